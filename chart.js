@@ -0,0 +1,216 @@
+const zlib = require("zlib");
+
+// -------------------------
+// History charts (PNG line charts for the History button)
+// -------------------------
+// 5x7 bitmap font for chart labels (upper case only). Each glyph is 7 rows of 5 bits, as hex
+const CHART_FONT = {
+  "0": "0e11131519110e", "1": "040c040404040e", "2": "0e11010204081f", "3": "1f02040201110e",
+  "4": "02060a121f0202", "5": "1f101e0101110e", "6": "0608101e11110e", "7": "1f010204080808",
+  "8": "0e11110e11110e", "9": "0e11110f01020c", "A": "0e11111f111111", "B": "1e11111e11111e",
+  "C": "0e11101010110e", "D": "1c12111111121c", "E": "1f10101e10101f", "F": "1f10101e101010",
+  "G": "0e11101711110f", "H": "1111111f111111", "I": "0e04040404040e", "J": "0702020202120c",
+  "K": "11121418141211", "L": "1010101010101f", "M": "111b1515111111", "N": "11111915131111",
+  "O": "0e11111111110e", "P": "1e11111e101010", "Q": "0e11111115120d", "R": "1e11111e141211",
+  "S": "0f10100e01011e", "T": "1f040404040404", "U": "1111111111110e", "V": "11111111110a04",
+  "W": "1111111515150a", "X": "11110a040a1111", "Y": "1111110a040404", "Z": "1f01020408101f",
+  " ": "00000000000000", ".": "00000000000c0c", ",": "000000000c0408", ":": "000c0c000c0c00",
+  "-": "0000001f000000", "/": "00010204081000", "$": "040f140e051e04", "(": "02040808080402",
+  ")": "08040202020408", "+": "0004041f040400", "?": "0e110102040004",
+};
+
+const CHART_COLORS = {
+  background: [255, 255, 255],
+  grid: [229, 229, 229],
+  axis: [96, 96, 96],
+  price: [0, 100, 210],
+  bids: [245, 138, 7],
+  watchers: [46, 160, 67],
+};
+
+// Minimal RGB canvas - just enough to draw a line chart without a native canvas dependency
+function createBitmap(width, height, color) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) data.set(color, i * 3);
+  return { width, height, data };
+}
+
+function fillRect(bmp, x, y, w, h, color) {
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(bmp.width, Math.round(x + w));
+  const y1 = Math.min(bmp.height, Math.round(y + h));
+  for (let py = y0; py < y1; py++) {
+    for (let px = x0; px < x1; px++) bmp.data.set(color, (py * bmp.width + px) * 3);
+  }
+}
+
+function drawLine(bmp, x0, y0, x1, y1, color, thickness = 1) {
+  const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+  const offset = Math.floor(thickness / 2);
+  for (let i = 0; i <= steps; i++) {
+    const x = x0 + ((x1 - x0) * i) / steps;
+    const y = y0 + ((y1 - y0) * i) / steps;
+    fillRect(bmp, x - offset, y - offset, thickness, thickness, color);
+  }
+}
+
+function textWidth(text, scale = 1) {
+  return String(text).length * 6 * scale - scale;
+}
+
+function drawText(bmp, text, x, y, color, scale = 1) {
+  let cx = Math.round(x);
+  for (const char of String(text).toUpperCase()) {
+    const glyph = CHART_FONT[char] || CHART_FONT["?"];
+    for (let row = 0; row < 7; row++) {
+      const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+      for (let col = 0; col < 5; col++) {
+        if (bits & (0x10 >> col)) fillRect(bmp, cx + col * scale, y + row * scale, scale, scale, color);
+      }
+    }
+    cx += 6 * scale;
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(bmp) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(bmp.width, 0);
+  header.writeUInt32BE(bmp.height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const rowBytes = bmp.width * 3;
+  const raw = Buffer.alloc((rowBytes + 1) * bmp.height);
+  for (let y = 0; y < bmp.height; y++) {
+    bmp.data.copy(raw, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function formatChartTime(t) {
+  // MM-DD HH:MM in UTC
+  return new Date(t).toISOString().slice(5, 16).replace("T", " ");
+}
+
+// Line chart of a listing's history samples ({ t, price, currency, bids, watchers }): price on the
+// left axis, bids/watchers on the right. `currency` labels the price axis when no sample has one.
+// Returns a PNG buffer
+function renderHistoryChart(points, { currency: fallbackCurrency = "USD", width = 800, height = 400 } = {}) {
+  const plot = { left: 80, right: width - 70, top: 50, bottom: height - 60 };
+  const bmp = createBitmap(width, height, CHART_COLORS.background);
+
+  const priced = points.filter((p) => p.price !== null);
+  const currency = priced[priced.length - 1]?.currency || fallbackCurrency;
+
+  // Axis ranges
+  const t0 = points[0]?.t ?? Date.now();
+  const t1 = Math.max(points[points.length - 1]?.t ?? t0, t0 + 1);
+
+  let priceLow = Math.min(...priced.map((p) => p.price));
+  let priceHigh = Math.max(...priced.map((p) => p.price));
+  if (!priced.length) {
+    priceLow = 0;
+    priceHigh = 1;
+  } else if (priceLow === priceHigh) {
+    priceLow = Math.max(0, priceLow - 1);
+    priceHigh += 1;
+  } else {
+    const pad = (priceHigh - priceLow) * 0.05;
+    priceLow = Math.max(0, priceLow - pad);
+    priceHigh += pad;
+  }
+
+  const countMax = Math.max(1, ...points.map((p) => Math.max(p.bids, p.watchers)));
+  const countStep = Math.ceil(countMax / 4);
+  const countHigh = countStep * 4;
+
+  const xFor = (t) => plot.left + ((t - t0) / (t1 - t0)) * (plot.right - plot.left);
+  const yFor = (value, low, high) => plot.bottom - ((value - low) / (high - low)) * (plot.bottom - plot.top);
+
+  // Grid + axis labels
+  for (let i = 0; i <= 4; i++) {
+    const y = plot.top + ((plot.bottom - plot.top) * i) / 4;
+    drawLine(bmp, plot.left, y, plot.right, y, CHART_COLORS.grid);
+
+    const priceLabel = (priceHigh - ((priceHigh - priceLow) * i) / 4).toFixed(priceHigh - priceLow < 10 ? 2 : 0);
+    drawText(bmp, priceLabel, plot.left - 8 - textWidth(priceLabel), y - 3, CHART_COLORS.price);
+    drawText(bmp, String(countHigh - countStep * i), plot.right + 8, y - 3, CHART_COLORS.axis);
+  }
+
+  for (let i = 0; i <= 4; i++) {
+    const t = t0 + ((t1 - t0) * i) / 4;
+    const x = xFor(t);
+    drawLine(bmp, x, plot.top, x, plot.bottom, CHART_COLORS.grid);
+    const label = formatChartTime(t);
+    const labelX = Math.min(Math.max(x - textWidth(label) / 2, 4), width - textWidth(label) - 4);
+    drawText(bmp, label, labelX, plot.bottom + 10, CHART_COLORS.axis);
+  }
+
+  drawLine(bmp, plot.left, plot.top, plot.left, plot.bottom, CHART_COLORS.axis);
+  drawLine(bmp, plot.right, plot.top, plot.right, plot.bottom, CHART_COLORS.axis);
+  drawLine(bmp, plot.left, plot.bottom, plot.right, plot.bottom, CHART_COLORS.axis);
+  drawText(bmp, "TIME (UTC)", (width - textWidth("TIME (UTC)")) / 2, height - 22, CHART_COLORS.axis);
+
+  // Series
+  const series = [
+    { points: priced, value: (p) => p.price, low: priceLow, high: priceHigh, color: CHART_COLORS.price },
+    { points, value: (p) => p.bids, low: 0, high: countHigh, color: CHART_COLORS.bids },
+    { points, value: (p) => p.watchers, low: 0, high: countHigh, color: CHART_COLORS.watchers },
+  ];
+  for (const { points: data, value, low, high, color } of series) {
+    for (let i = 0; i < data.length; i++) {
+      const x = xFor(data[i].t);
+      const y = yFor(value(data[i]), low, high);
+      if (i === 0) {
+        fillRect(bmp, x - 2, y - 2, 5, 5, color);
+      } else {
+        drawLine(bmp, xFor(data[i - 1].t), yFor(value(data[i - 1]), low, high), x, y, color, 2);
+      }
+    }
+  }
+
+  // Legend
+  let legendX = plot.left;
+  for (const [label, color] of [[`PRICE (${currency})`, CHART_COLORS.price], ["BIDS", CHART_COLORS.bids], ["WATCHERS", CHART_COLORS.watchers]]) {
+    fillRect(bmp, legendX, 18, 14, 14, color);
+    drawText(bmp, label, legendX + 20, 18, CHART_COLORS.axis, 2);
+    legendX += 20 + textWidth(label, 2) + 30;
+  }
+
+  return encodePng(bmp);
+}
+
+module.exports = {
+  renderHistoryChart,
+  encodePng,
+  crc32,
+};
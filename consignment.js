@@ -0,0 +1,51 @@
+const { roundPrice } = require("./money");
+
+// -------------------------
+// Consignment payout math
+// -------------------------
+// `settings` is the bot's consignmentConfig: feeTiers and perOrderFees (eBay's final value fee),
+// commissionPercent and commissionBase ("net" or "gross")
+function calculateEbayFees(salePrice, settings) {
+  let fee = 0;
+  let lower = 0;
+  for (const tier of settings.feeTiers) {
+    const upper = tier.upTo ?? Infinity;
+    if (salePrice > lower) {
+      fee += (Math.min(salePrice, upper) - lower) * (tier.percent / 100);
+    }
+    lower = upper;
+  }
+
+  const perOrder = settings.perOrderFees.find((t) => t.upTo === null || salePrice <= t.upTo);
+  return roundPrice(fee + (perOrder?.fee || 0));
+}
+
+// Splits a sale into eBay fees, shipping, house commission and what the owner is owed
+function calculateConsignmentSplit(salePrice, shippingCost, settings) {
+  const ebayFees = calculateEbayFees(salePrice, settings);
+  const afterCosts = salePrice - ebayFees - shippingCost;
+  const commissionBase = settings.commissionBase === "gross" ? salePrice : afterCosts;
+  const commission = roundPrice(Math.max(0, commissionBase) * (settings.commissionPercent / 100));
+
+  return {
+    salePrice: roundPrice(salePrice),
+    ebayFees,
+    shippingCost: roundPrice(shippingCost),
+    commission,
+    net: roundPrice(afterCosts - commission),
+  };
+}
+
+// Sold BIN listings, or ended auctions that got at least one bid and met their reserve.
+// reservePriceMet is only false when eBay says so; auctions without a reserve don't report it
+function isCompletedSale(listing) {
+  if (listing.status === "sold") return true;
+  return listing.status === "ended" && listing.listingType !== "buy_it_now" && listing.bidCount > 0 &&
+    listing.reservePriceMet !== false;
+}
+
+module.exports = {
+  calculateEbayFees,
+  calculateConsignmentSplit,
+  isCompletedSale,
+};
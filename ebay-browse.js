@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+const { formatMoney, roundPrice } = require("./money");
+const { getListingStatus } = require("./ebay-scraper");
+
+// -------------------------
+// eBay Browse API: items and item groups (trackers), item_summary/search (comps, saved searches)
+// -------------------------
+function sumQuantities(values) {
+  return values.some((value) => value === null) ? null : values.reduce((sum, value) => sum + value, 0);
+}
+
+// Parse a Browse API item into our standard listing format
+function parseBrowseItem(item, marketplace) {
+  const endTime = item.itemEndDate ? new Date(item.itemEndDate).getTime() : null;
+
+  // Determine listing type from buyingOptions
+  const buyingOptions = item.buyingOptions || [];
+  const isAuction = buyingOptions.includes("AUCTION");
+  const isFixedPrice = buyingOptions.includes("FIXED_PRICE");
+
+  let listingType;
+  let buyItNowPrice = null;
+
+  if (isAuction && isFixedPrice) {
+    listingType = "auction_with_bin";
+    // For auction+BIN, the main price is current bid, BIN price is in currentBidPrice or buyItNowPrice
+    buyItNowPrice = item.buyItNowPrice ? formatMoney(parseFloat(item.buyItNowPrice.value), item.buyItNowPrice.currency) : null;
+  } else if (isAuction) {
+    listingType = "auction";
+  } else {
+    listingType = "buy_it_now";
+  }
+
+  const availability = item.estimatedAvailabilities?.[0] || {};
+  const quantityAvailable = availability.estimatedAvailableQuantity ?? null;
+  const quantitySold = availability.estimatedSoldQuantity ?? null;
+  const isEnded = Boolean(item.itemEndDate && new Date(item.itemEndDate) < new Date());
+  const isSoldOut = availability.estimatedAvailabilityStatus === "OUT_OF_STOCK" || quantityAvailable === 0;
+
+  return {
+    title: item.title || "Unknown Item",
+    currentPrice: item.price ? formatMoney(parseFloat(item.price.value), item.price.currency) : "N/A",
+    bidCount: item.bidCount || 0,
+    endTime,
+    imageUrl: item.image?.imageUrl || null,
+    description: item.shortDescription || item.description?.substring(0, 500) || "",
+    views: item.viewCount || 0,
+    watchers: item.watchCount || 0,
+    status: getListingStatus(listingType, isEnded, isSoldOut, quantitySold, quantityAvailable),
+    quantityAvailable,
+    quantitySold,
+    source: "api",
+    marketplaceId: marketplace.id,
+    listingType,
+    buyItNowPrice,
+    // Only sent for auctions with a reserve
+    reservePriceMet: item.reservePriceMet ?? null,
+  };
+}
+
+// Items in a group only differ by their variation aspects (Size, Color...), so those make the label
+function getVariationAspectNames(items) {
+  const values = {};
+  for (const item of items) {
+    for (const aspect of item.localizedAspects || []) {
+      if (!values[aspect.name]) values[aspect.name] = new Set();
+      values[aspect.name].add(aspect.value);
+    }
+  }
+  return Object.keys(values).filter((name) => values[name].size > 1);
+}
+
+// A multi-variation listing (item group) as one listing: shown at its cheapest variation, with stock
+// and status from the whole group
+function parseItemGroup(items, marketplace) {
+  const aspectNames = getVariationAspectNames(items);
+  const variations = items.map((item) => {
+    const availability = item.estimatedAvailabilities?.[0] || {};
+    const aspects = Object.fromEntries((item.localizedAspects || []).map((aspect) => [aspect.name, aspect.value]));
+    return {
+      id: item.itemId?.split("|")[2] || item.itemId,
+      label: aspectNames.map((name) => `${name}: ${aspects[name]}`).join(" · ") || item.title,
+      price: item.price ? formatMoney(parseFloat(item.price.value), item.price.currency) : "N/A",
+      available: availability.estimatedAvailableQuantity ?? null,
+      sold: availability.estimatedSoldQuantity ?? null,
+      inStock: availability.estimatedAvailabilityStatus !== "OUT_OF_STOCK" && availability.estimatedAvailableQuantity !== 0,
+    };
+  });
+
+  // The group shows as its cheapest variation, like eBay's "from" price
+  const cheapest = items.reduce((best, item) =>
+    parseFloat(item.price?.value ?? Infinity) < parseFloat(best.price?.value ?? Infinity) ? item : best
+  );
+
+  const listing = parseBrowseItem(cheapest, marketplace);
+  const quantityAvailable = sumQuantities(variations.map((v) => v.available));
+  const quantitySold = sumQuantities(variations.map((v) => v.sold));
+  const isEnded = Boolean(cheapest.itemEndDate && new Date(cheapest.itemEndDate) < new Date());
+
+  return {
+    ...listing,
+    status: getListingStatus(listing.listingType, isEnded, variations.every((v) => !v.inStock), quantitySold, quantityAvailable),
+    quantityAvailable,
+    quantitySold,
+    variations,
+  };
+}
+
+// Sales and stock-outs between two checks of a multi-variation listing (API or scraped variations)
+function diffVariations(oldVariations, newVariations) {
+  const previous = new Map((oldVariations || []).map((v) => [v.id, v]));
+  const changes = [];
+
+  for (const variation of newVariations || []) {
+    const before = previous.get(variation.id);
+    if (!before) continue;
+
+    if (variation.sold !== null && before.sold !== null && variation.sold > before.sold) {
+      changes.push({ type: "sold", variation, count: variation.sold - before.sold });
+    }
+    if (before.inStock && !variation.inStock) {
+      changes.push({ type: "out_of_stock", variation });
+    }
+  }
+
+  return changes;
+}
+
+// Median / low / high of the matches' prices (in the most common currency) plus the best matches
+function summarizeComps(items, topCount = 5) {
+  const priced = items.filter((item) => item.price && !isNaN(parseFloat(item.price.value)));
+  if (!priced.length) return null;
+
+  const currencyCounts = {};
+  for (const item of priced) {
+    currencyCounts[item.price.currency] = (currencyCounts[item.price.currency] || 0) + 1;
+  }
+  const currency = Object.entries(currencyCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+  const matches = priced.filter((item) => item.price.currency === currency);
+  const prices = matches.map((item) => parseFloat(item.price.value)).sort((a, b) => a - b);
+  const mid = Math.floor(prices.length / 2);
+  const median = prices.length % 2 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+
+  return {
+    count: prices.length,
+    currency,
+    median: roundPrice(median),
+    low: roundPrice(prices[0]),
+    high: roundPrice(prices[prices.length - 1]),
+    // Search order is eBay's best match order
+    top: matches.slice(0, topCount).map((item) => ({
+      title: item.title,
+      price: roundPrice(parseFloat(item.price.value)),
+      condition: item.condition || null,
+      url: item.itemWebUrl,
+    })),
+  };
+}
+
+// Recordings are named after the query, the way ebay-mock-api looks them up
+function getRecordingName(query) {
+  const slug = String(query)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${slug || "query"}.json`;
+}
+
+// request is the shared HTTP client's request(); getAccessToken resolves an application token.
+// With recordDir set, raw responses are saved there for ebay-mock-api/recordings
+function createEbayBrowseClient({ baseUrl, request, getAccessToken, marketplaceId, recordDir = "" }) {
+  function record(endpoint, name, data) {
+    if (!recordDir) return;
+    try {
+      const file = path.join(recordDir, endpoint, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf8");
+    } catch (err) {
+      console.warn(`Failed to record ${endpoint} response:`, err.message);
+    }
+  }
+
+  // The query may be empty when searching by epid (an eBay catalog product's listings).
+  // options.marketplaceId searches another site than the client's
+  async function searchItems(query, { categoryId, epid, filter, sort, limit = 50, marketplaceId: site = marketplaceId } = {}) {
+    const token = await getAccessToken();
+
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (query) params.set("q", query.slice(0, 100));
+    if (epid) params.set("epid", epid);
+    if (categoryId) params.set("category_ids", categoryId);
+    if (filter) params.set("filter", filter);
+    if (sort) params.set("sort", sort);
+
+    const response = await request(`${baseUrl}/buy/browse/v1/item_summary/search?${params}`, {
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "X-EBAY-C-MARKETPLACE-ID": site,
+      },
+    }, { quota: "browse" });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`eBay search error: ${response.status} - ${error}`);
+    }
+
+    const data = await response.json();
+    record("item_summary_search", getRecordingName(query || `epid ${epid}`), data);
+
+    return data.itemSummaries || [];
+  }
+
+  async function getItemGroup(itemGroupId, marketplace, headers) {
+    const response = await request(
+      `${baseUrl}/buy/browse/v1/item/get_items_by_item_group?item_group_id=${itemGroupId}`,
+      { headers },
+      { quota: "browse" }
+    );
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`eBay API error (item group): ${response.status} - ${error}`);
+    }
+
+    const data = await response.json();
+    const items = data.items || [];
+    if (!items.length) {
+      throw new Error("eBay API returned an empty item group");
+    }
+
+    return parseItemGroup(items, marketplace);
+  }
+
+  // A listing by its legacy item ID, on the marketplace it was listed on (from getEbayMarketplace)
+  async function getItem(itemId, marketplace) {
+    const token = await getAccessToken();
+    const headers = {
+      "Authorization": `Bearer ${token}`,
+      "X-EBAY-C-MARKETPLACE-ID": marketplace.id,
+      "Accept-Language": marketplace.language,
+      "X-EBAY-C-ENDUSERCTX": "affiliateCampaignId=<ePNCampaignId>,affiliateReferenceId=<referenceId>",
+    };
+
+    const response = await request(`${baseUrl}/buy/browse/v1/item/v1|${itemId}|0`, { headers }, { quota: "browse" });
+
+    if (!response.ok) {
+      const error = await response.text();
+      // Multi-variation listings are item groups (error 11006) and have to be fetched as a group
+      if (/\b11006\b|item_group/i.test(error)) {
+        return getItemGroup(itemId, marketplace, headers);
+      }
+      throw new Error(`eBay API error: ${response.status} - ${error}`);
+    }
+
+    return parseBrowseItem(await response.json(), marketplace);
+  }
+
+  return { searchItems, getItem };
+}
+
+module.exports = {
+  createEbayBrowseClient,
+  parseBrowseItem,
+  diffVariations,
+  summarizeComps,
+};
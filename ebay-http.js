@@ -0,0 +1,178 @@
+// -------------------------
+// Shared HTTP client for eBay traffic (API and scraping) and other marketplace scrapes
+// -------------------------
+// Every request gets a timeout and a token from its host's bucket. 429/5xx answers and network
+// errors are retried with jittered exponential backoff (or after Retry-After when eBay sends one).
+// Scrapes go through a per-host circuit breaker that pauses them once a site starts serving captchas.
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+// Only these are repeated after a network error - a POST may have gone through
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"];
+
+// Retry-After in ms (delta-seconds or an HTTP date), or null if missing/unreadable
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Exponential backoff with "equal jitter": half the step is fixed, the other half random
+function getBackoffDelay(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+// eBay's bot check redirects to /splashui/captcha or serves an interstitial in place of the page;
+// other marketplaces serve similar reCAPTCHA/hCaptcha walls
+function looksLikeCaptcha(response, text) {
+  if (/\/splashui\/captcha|[?&/]captcha/i.test(response.url || "")) return true;
+  return /g-recaptcha|h-captcha|id="captcha|Pardon Our Interruption|Please verify yourself/i.test(text);
+}
+
+function createHttpClient({
+  timeoutMs = 15000,
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  // { host: { perSecond, burst } }; hosts not listed share defaultRateLimit's settings (one bucket each)
+  rateLimits = {},
+  defaultRateLimit = { perSecond: 1, burst: 3 },
+  breakerThreshold = 3,
+  breakerCooldownMs = 15 * 60 * 1000,
+  // Called once per request sent with a quota name (retries count - eBay counts them too)
+  onQuotaUse = () => {},
+  fetchImpl = fetch,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now = Date.now,
+} = {}) {
+  const buckets = new Map();
+  const breakers = new Map();
+  const stats = { requests: 0, retries: 0, throttled: 0, rateLimited: 0, captchas: 0, failures: 0 };
+
+  async function takeToken(host) {
+    const limit = rateLimits[host] || defaultRateLimit;
+    let bucket = buckets.get(host);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now() };
+      buckets.set(host, bucket);
+    }
+
+    for (;;) {
+      const time = now();
+      bucket.tokens = Math.min(limit.burst, bucket.tokens + ((time - bucket.updatedAt) / 1000) * limit.perSecond);
+      bucket.updatedAt = time;
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+      stats.throttled++;
+      await sleep(Math.ceil(((1 - bucket.tokens) / limit.perSecond) * 1000));
+    }
+  }
+
+  function assertBreakerClosed(host) {
+    const breaker = breakers.get(host);
+    if (breaker?.openUntil && now() < breaker.openUntil) {
+      const err = new Error(`Scraping ${host} is paused until ${new Date(breaker.openUntil).toISOString()} (it is serving captchas)`);
+      err.code = "EBAY_CIRCUIT_OPEN";
+      throw err;
+    }
+  }
+
+  // Consecutive captchas open the breaker; after the cooldown one request is let through and
+  // another captcha reopens it straight away
+  function recordScrapeResult(host, blocked) {
+    const breaker = breakers.get(host) || { failures: 0, openUntil: null };
+    breakers.set(host, breaker);
+
+    if (!blocked) {
+      breaker.failures = 0;
+      breaker.openUntil = null;
+      return;
+    }
+
+    stats.captchas++;
+    breaker.failures++;
+    if (breaker.failures >= breakerThreshold) {
+      breaker.openUntil = now() + breakerCooldownMs;
+      console.warn(`${host} is serving captchas - pausing scrapes for ${Math.round(breakerCooldownMs / 60000)} min`);
+    }
+  }
+
+  // fetch() with the resilience rules above. Options: quota (counted via onQuotaUse), scrape (captcha
+  // check + circuit breaker), retries and timeout (override the client defaults for one call).
+  // Resolves with the last response once retries run out, so callers still see eBay's error body
+  async function request(url, options = {}, { quota = null, scrape = false, retries = maxRetries, timeout = timeoutMs } = {}) {
+    const host = new URL(url).hostname;
+    const method = (options.method || "GET").toUpperCase();
+
+    for (let attempt = 0; ; attempt++) {
+      if (scrape) assertBreakerClosed(host);
+      await takeToken(host);
+      if (quota) onQuotaUse(quota);
+      stats.requests++;
+
+      let response;
+      try {
+        response = await fetchImpl(url, { ...options, signal: AbortSignal.timeout(timeout) });
+      } catch (err) {
+        if (attempt >= retries || !IDEMPOTENT_METHODS.includes(method)) {
+          stats.failures++;
+          throw err.name === "TimeoutError" ? new Error(`Request to ${host} timed out after ${timeout}ms`) : err;
+        }
+        stats.retries++;
+        await sleep(getBackoffDelay(attempt, baseDelayMs, maxDelayMs));
+        continue;
+      }
+
+      if (scrape) {
+        const blocked = looksLikeCaptcha(response, await response.clone().text());
+        recordScrapeResult(host, blocked);
+        if (blocked) {
+          stats.failures++;
+          await response.body?.cancel();
+          const err = new Error(`${host} answered ${url} with a captcha`);
+          err.code = "EBAY_CAPTCHA";
+          throw err;
+        }
+      }
+
+      if (!RETRY_STATUSES.includes(response.status)) return response;
+      if (response.status === 429) stats.rateLimited++;
+
+      // A Retry-After longer than we'd ever back off means the quota is gone for a while - don't wait on it
+      const retryAfter = parseRetryAfter(response.headers.get("retry-after"), now());
+      if (attempt >= retries || (retryAfter !== null && retryAfter > maxDelayMs)) {
+        stats.failures++;
+        return response;
+      }
+
+      await response.body?.cancel();
+      stats.retries++;
+      await sleep(retryAfter ?? getBackoffDelay(attempt, baseDelayMs, maxDelayMs));
+    }
+  }
+
+  function getStats() {
+    return {
+      ...stats,
+      breakers: [...breakers.entries()]
+        .filter(([, breaker]) => breaker.failures > 0)
+        .map(([host, breaker]) => ({
+          host,
+          failures: breaker.failures,
+          openUntil: breaker.openUntil && breaker.openUntil > now() ? breaker.openUntil : null,
+        })),
+    };
+  }
+
+  return { request, getStats };
+}
+
+module.exports = {
+  createHttpClient,
+  parseRetryAfter,
+  getBackoffDelay,
+  looksLikeCaptcha,
+};
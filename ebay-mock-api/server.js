@@ -0,0 +1,247 @@
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// ======================================
+// Local mock of the eBay REST endpoints the bot talks to.
+// Point the bot at it with "ebayApiBaseUrl": "http://localhost:3002" in config.json
+// ======================================
+const PORT = process.env.PORT || 3002;
+// Recorded API responses, replayed for read-only endpoints
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, "recordings");
+// ======================================
+
+// In-memory state (resets on restart)
+const inventoryItems = new Map(); // sku -> inventory item
+const offers = new Map(); // offerId -> offer
+const items = new Map(); // listingId -> Browse API item
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function sendError(res, status, errorId, message) {
+  sendJson(res, status, { errors: [{ errorId, domain: "API_INVENTORY", category: "REQUEST", message }] });
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = "";
+    req.on("data", (chunk) => { data += chunk; });
+    req.on("end", () => resolve(data));
+  });
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return null;
+  }
+}
+
+function slugify(str, maxLen = 60) {
+  return String(str)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLen);
+}
+
+// recordings/<endpoint>/<slug>.json, falling back to default.json
+// (the bot writes files with the same names when "ebayRecordDir" is set)
+function loadRecording(endpoint, key) {
+  const dir = path.join(RECORDINGS_DIR, endpoint);
+  for (const name of [`${slugify(key)}.json`, "default.json"]) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  return null;
+}
+
+function loadItemGroup(itemGroupId) {
+  const file = path.join(RECORDINGS_DIR, "get_items_by_item_group", `${slugify(itemGroupId || "")}.json`);
+  return itemGroupId && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function randomDigits(length) {
+  let out = String(crypto.randomInt(1, 10));
+  while (out.length < length) out += crypto.randomInt(0, 10);
+  return out;
+}
+
+// Builds the Browse API view of a published offer
+function buildBrowseItem(listingId, offer) {
+  const inventoryItem = inventoryItems.get(offer.sku) || {};
+  const price = offer.pricingSummary?.price || { value: "0.00", currency: "USD" };
+  return {
+    itemId: `v1|${listingId}|0`,
+    title: inventoryItem.product?.title || offer.sku,
+    shortDescription: offer.listingDescription || "",
+    price,
+    buyingOptions: [offer.format === "AUCTION" ? "AUCTION" : "FIXED_PRICE"],
+    image: { imageUrl: inventoryItem.product?.imageUrls?.[0] || null },
+    bidCount: 0,
+    itemWebUrl: `https://www.ebay.com/itm/${listingId}`,
+  };
+}
+
+async function handle(req, res, log) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  const body = await readBody(req);
+
+  log(`${req.method} ${url.pathname}`);
+
+  // POST /identity/v1/oauth2/token (client credentials + refresh token grants)
+  if (req.method === "POST" && url.pathname === "/identity/v1/oauth2/token") {
+    const params = new URLSearchParams(body);
+    if (!req.headers.authorization?.startsWith("Basic ")) {
+      return sendJson(res, 401, { error: "invalid_client" });
+    }
+    if (params.get("grant_type") === "refresh_token" && !params.get("refresh_token")) {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+    return sendJson(res, 200, {
+      access_token: `mock-${params.get("grant_type")}-${crypto.randomUUID()}`,
+      expires_in: 7200,
+      token_type: "User Access Token",
+    });
+  }
+
+  // Everything else needs a bearer token
+  if (!req.headers.authorization?.startsWith("Bearer ")) {
+    return sendError(res, 401, 1001, "Invalid access token");
+  }
+
+  // /sell/inventory/v1/...
+  if (parts[0] === "sell" && parts[1] === "inventory" && parts[2] === "v1") {
+    const [resource, id, action] = parts.slice(3);
+
+    // PUT /inventory_item/{sku}
+    if (resource === "inventory_item" && id && req.method === "PUT") {
+      const item = parseJson(body);
+      if (!item?.product?.title) return sendError(res, 400, 25709, "Invalid value for product.title");
+      if (!req.headers["content-language"]) return sendError(res, 400, 25709, "Content-Language header missing");
+      const existed = inventoryItems.has(id);
+      inventoryItems.set(id, { sku: id, ...item });
+      return sendJson(res, existed ? 204 : 201);
+    }
+
+    // GET /inventory_item/{sku}
+    if (resource === "inventory_item" && id && req.method === "GET") {
+      const item = inventoryItems.get(id);
+      return item ? sendJson(res, 200, item) : sendError(res, 404, 25710, "Inventory item not found");
+    }
+
+    // POST /offer
+    if (resource === "offer" && !id && req.method === "POST") {
+      const offer = parseJson(body);
+      if (!offer?.sku || !inventoryItems.has(offer.sku)) {
+        return sendError(res, 400, 25702, "SKU does not exist");
+      }
+      for (const existing of offers.values()) {
+        if (existing.sku === offer.sku && existing.marketplaceId === offer.marketplaceId) {
+          return sendError(res, 400, 25002, "Offer entity already exists");
+        }
+      }
+      const offerId = randomDigits(11);
+      offers.set(offerId, { ...offer, offerId, status: "UNPUBLISHED" });
+      return sendJson(res, 201, { offerId });
+    }
+
+    // GET|PUT /offer/{offerId}
+    if (resource === "offer" && id && !action) {
+      const existing = offers.get(id);
+      if (!existing) return sendError(res, 404, 25713, "Offer not found");
+      if (req.method === "GET") return sendJson(res, 200, existing);
+      if (req.method === "PUT") {
+        const offer = parseJson(body);
+        if (!offer) return sendError(res, 400, 25709, "Invalid JSON");
+        offers.set(id, { ...offer, offerId: id, status: existing.status, listing: existing.listing });
+        return sendJson(res, 204);
+      }
+    }
+
+    // POST /offer/{offerId}/publish
+    if (resource === "offer" && id && action === "publish" && req.method === "POST") {
+      const offer = offers.get(id);
+      if (!offer) return sendError(res, 404, 25713, "Offer not found");
+      if (offer.status === "PUBLISHED") return sendJson(res, 200, { listingId: offer.listing.listingId });
+
+      const missing = ["categoryId", "pricingSummary", "listingPolicies", "merchantLocationKey"]
+        .filter((field) => !offer[field]);
+      if (missing.length && !process.env.MOCK_LENIENT_PUBLISH) {
+        return sendError(res, 400, 25002, `Offer is missing required fields: ${missing.join(", ")}`);
+      }
+
+      const listingId = randomDigits(12);
+      offer.status = "PUBLISHED";
+      offer.listing = { listingId, listingStatus: "ACTIVE" };
+      items.set(listingId, buildBrowseItem(listingId, offer));
+      return sendJson(res, 200, { listingId });
+    }
+
+    return sendError(res, 404, 2002, "Resource not found");
+  }
+
+  // GET /buy/browse/v1/item_summary/search?q=...&filter=sellers:{name}
+  if (req.method === "GET" && url.pathname === "/buy/browse/v1/item_summary/search") {
+    const recording = loadRecording("item_summary_search", url.searchParams.get("q") || "") || { total: 0, itemSummaries: [] };
+
+    // Apply the seller filter to whatever was recorded
+    const sellers = (url.searchParams.get("filter") || "").match(/sellers:\{([^}]*)\}/)?.[1];
+    if (sellers) {
+      const names = sellers.split("|").map((name) => name.toLowerCase());
+      const itemSummaries = (recording.itemSummaries || []).filter((item) =>
+        names.includes(String(item.seller?.username).toLowerCase())
+      );
+      return sendJson(res, 200, { ...recording, total: itemSummaries.length, itemSummaries });
+    }
+
+    return sendJson(res, 200, recording);
+  }
+
+  // GET /buy/browse/v1/item/get_items_by_item_group?item_group_id=...
+  // Replays recordings/get_items_by_item_group/<id>.json (no default - other IDs aren't groups)
+  if (req.method === "GET" && url.pathname === "/buy/browse/v1/item/get_items_by_item_group") {
+    const group = loadItemGroup(url.searchParams.get("item_group_id"));
+    return group ? sendJson(res, 200, group) : sendError(res, 404, 11001, "The specified item group Id was not found");
+  }
+
+  // GET /buy/browse/v1/item/v1|{id}|0
+  if (req.method === "GET" && parts[0] === "buy" && parts[1] === "browse" && parts[3] === "item" && parts[4]) {
+    const match = parts[4].match(/^v1\|(\d+)\|\d+$/);
+    // Like eBay, multi-variation listings can't be fetched as a single item
+    if (match && loadItemGroup(match[1])) {
+      return sendError(res, 400, 11006, "The legacy ID is an item group ID. Use get_items_by_item_group to retrieve the item group");
+    }
+    const item = match && items.get(match[1]);
+    return item ? sendJson(res, 200, item) : sendError(res, 404, 11001, "The specified item Id was not found");
+  }
+
+  return sendError(res, 404, 2002, "Resource not found");
+}
+
+// Tests start the mock in-process (on a free port) with createMockServer({ log: () => {} })
+function createMockServer({ log = console.log } = {}) {
+  return http.createServer((req, res) => {
+    handle(req, res, log).catch((err) => {
+      console.error("Mock error:", err);
+      sendError(res, 500, 10000, err.message);
+    });
+  });
+}
+
+if (require.main === module) {
+  createMockServer().listen(PORT, () => {
+    console.log(`eBay mock API running on port ${PORT}`);
+    console.log(`Set "ebayApiBaseUrl": "http://localhost:${PORT}" in the bot's config.json`);
+    console.log("Set MOCK_LENIENT_PUBLISH=1 to publish offers without policies/category/price");
+    console.log(`Replaying recorded responses from ${RECORDINGS_DIR}`);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,469 @@
+const cheerio = require("cheerio");
+const { formatMoney, parsePriceAmount, detectCurrency } = require("./money");
+const { findJsonObjectEnd, extractJsonObject, findJsonLdProduct, pickField, SOURCE_CONFIDENCE } = require("./scrape-utils");
+
+// -------------------------
+// eBay marketplaces (derived from the listing URL's domain)
+// -------------------------
+// Scraper phrases are the page text that marks a listing type / ended / sold-out listing / auction
+// reserve on that site
+const EBAY_MARKETPLACES = {
+  "ebay.com": {
+    id: "EBAY_US",
+    language: "en-US",
+    currency: "USD",
+    phrases: {
+      bid: ["Place bid", "bid history"],
+      bin: ["Buy It Now"],
+      ended: ["bidding has ended"],
+      outOfStock: ["out of stock", "no longer available"],
+      reserveMet: ["Reserve met"],
+      reserveNotMet: ["Reserve not met"],
+    },
+  },
+  "ebay.co.uk": {
+    id: "EBAY_GB",
+    language: "en-GB",
+    currency: "GBP",
+    phrases: {
+      bid: ["Place bid", "bid history"],
+      bin: ["Buy it now"],
+      ended: ["bidding has ended"],
+      outOfStock: ["out of stock", "no longer available"],
+      reserveMet: ["Reserve met"],
+      reserveNotMet: ["Reserve not met"],
+    },
+  },
+  "ebay.de": {
+    id: "EBAY_DE",
+    language: "de-DE",
+    currency: "EUR",
+    phrases: {
+      bid: ["Bieten", "Gebote"],
+      bin: ["Sofort-Kaufen", "Sofort kaufen"],
+      ended: ["Angebot wurde beendet", "Dieses Angebot wurde beendet"],
+      outOfStock: ["nicht mehr verfügbar", "ausverkauft"],
+      reserveMet: ["Mindestpreis erreicht"],
+      reserveNotMet: ["Mindestpreis nicht erreicht"],
+    },
+  },
+  "ebay.fr": {
+    id: "EBAY_FR",
+    language: "fr-FR",
+    currency: "EUR",
+    phrases: {
+      bid: ["Enchérir", "Historique des enchères"],
+      bin: ["Achat immédiat"],
+      ended: ["enchère est terminée", "annonce est terminée"],
+      outOfStock: ["rupture de stock", "plus disponible"],
+      reserveMet: ["Prix de réserve atteint"],
+      reserveNotMet: ["Prix de réserve non atteint"],
+    },
+  },
+  "ebay.ca": {
+    id: "EBAY_CA",
+    language: "en-CA",
+    currency: "CAD",
+    phrases: {
+      bid: ["Place bid", "bid history"],
+      bin: ["Buy It Now"],
+      ended: ["bidding has ended"],
+      outOfStock: ["out of stock", "no longer available"],
+      reserveMet: ["Reserve met"],
+      reserveNotMet: ["Reserve not met"],
+    },
+  },
+  "ebay.com.au": {
+    id: "EBAY_AU",
+    language: "en-AU",
+    currency: "AUD",
+    phrases: {
+      bid: ["Place bid", "bid history"],
+      bin: ["Buy It Now"],
+      ended: ["bidding has ended"],
+      outOfStock: ["out of stock", "no longer available"],
+      reserveMet: ["Reserve met"],
+      reserveNotMet: ["Reserve not met"],
+    },
+  },
+};
+
+// Short share links (ebay.us) don't say which site they point at, so they count as US
+function getEbayMarketplace(url) {
+  let host = "";
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^(www|m)\./, "");
+  } catch {}
+  return EBAY_MARKETPLACES[host] || EBAY_MARKETPLACES["ebay.com"];
+}
+
+// Scraped prices come in the site's own format; store them the way formatMoney writes them
+function normalizeScrapedPrice(text, marketplace) {
+  if (!text || text === "N/A") return text;
+  const amount = parsePriceAmount(text);
+  if (amount === null) return text;
+  return formatMoney(amount, detectCurrency(text) || marketplace.currency);
+}
+
+// The marketplace domain (e.g. "ebay.co.uk") a hostname belongs to, or null
+function getEbayDomain(hostname) {
+  const host = String(hostname || "").toLowerCase();
+  return Object.keys(EBAY_MARKETPLACES).find((domain) => host === domain || host.endsWith(`.${domain}`)) || null;
+}
+
+// Reads the item ID from any eBay item link form. Returns { domain, itemId, epid } or null if it isn't an eBay link.
+// Handles bare item numbers, /itm/<id>, /itm/<slug>/<id>, legacy ?item=<id> and /p/<epid>?iid=<id>.
+// Product links without a listing come back with itemId null and the product's ePID
+function parseEbayItemUrl(input) {
+  const text = String(input || "").trim();
+  if (/^\d{9,15}$/.test(text)) return { domain: "ebay.com", itemId: text, epid: null };
+
+  let urlObj;
+  try {
+    urlObj = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+
+  const domain = getEbayDomain(urlObj.hostname);
+  if (!domain) return null;
+
+  const itemId = urlObj.pathname.match(/\/itm\/(?:[^/]+\/)?(\d{9,15})(?:\/|$)/)?.[1] ||
+    urlObj.searchParams.get("item") ||
+    urlObj.searchParams.get("iid") ||
+    null;
+
+  // /p/<epid> or the older /p/<slug>/<epid>
+  const isProduct = /^\/p\//.test(urlObj.pathname);
+  const epid = isProduct ? urlObj.pathname.match(/^\/p\/(?:[^/]+\/)?(\d+)(?:\/|$)/)?.[1] || null : null;
+
+  if (!itemId && !isProduct) return null;
+  return { domain, itemId: itemId && /^\d+$/.test(itemId) ? itemId : null, epid };
+}
+
+function getEbayItemId(url) {
+  return parseEbayItemUrl(url)?.itemId || null;
+}
+
+// BIN listings that ran out of stock after selling are "sold", and so is a single item that sold
+// and ended. A multi-quantity listing ended early with stock left (3 of 10 sold) is only "ended"
+function getListingStatus(listingType, isEnded, isSoldOut, quantitySold, quantityAvailable = null) {
+  if (listingType === "buy_it_now" && quantitySold > 0 && !(quantityAvailable > 0)) {
+    if (isSoldOut) return "sold";
+    if (isEnded && quantitySold === 1) return "sold";
+  }
+  return isEnded ? "ended" : "active";
+}
+
+function getListingTypeFromOptions(isAuction, isFixedPrice) {
+  if (isAuction && isFixedPrice) return "auction_with_bin";
+  return isAuction ? "auction" : "buy_it_now";
+}
+
+// -------------------------
+// eBay item page parser
+// -------------------------
+// Variation data from the "MSKU" model eBay embeds in item pages: select menus (Size, Color),
+// their values, and a map of value combinations → variation with price and quantity
+function parseScrapedVariations(html, marketplace) {
+  const index = html.indexOf('"MSKU":{');
+  if (index === -1) return null;
+
+  const msku = extractJsonObject(html, index + '"MSKU":'.length);
+  if (!msku?.variationCombinations || !msku.variationsMap) return null;
+
+  const menus = msku.selectMenus || [];
+  const menuItems = msku.menuItemMap || {};
+  const variations = [];
+
+  for (const [combination, variationId] of Object.entries(msku.variationCombinations)) {
+    const valueIds = combination.split("_");
+    const label = menus.map((menu) => {
+      const valueId = valueIds.find((id) => (menu.menuItemValueIds || []).map(String).includes(id));
+      return `${menu.displayLabel}: ${menuItems[valueId]?.displayName ?? "?"}`;
+    }).join(" · ");
+
+    const variation = msku.variationsMap[variationId] || {};
+    const price = variation.binModel?.price?.value || variation.price?.value;
+    const quantity = variation.quantity || {};
+    const available = quantity.quantityAvailable ?? quantity.totalQuantityAvailable ?? quantity.availableQuantity ?? null;
+
+    variations.push({
+      id: String(variationId),
+      label: label || String(variationId),
+      price: price?.value !== undefined
+        ? formatMoney(parseFloat(price.value), price.currency || marketplace.currency)
+        : "N/A",
+      available,
+      sold: quantity.quantitySold ?? quantity.soldQuantity ?? null,
+      inStock: !quantity.outOfStock && available !== 0,
+    });
+  }
+
+  return variations.length ? variations : null;
+}
+
+// The item's state as embedded in the page scripts, with the variation model cut out so its
+// per-variation quantities aren't mistaken for the listing's
+function getPageState($) {
+  let state = "";
+  $("script:not([type='application/ld+json'])").each((i, el) => {
+    state += `${$(el).html() || ""}\n`;
+  });
+
+  const index = state.indexOf('"MSKU":{');
+  const end = index === -1 ? -1 : findJsonObjectEnd(state, index + '"MSKU":'.length);
+  return end === -1 ? state : state.slice(0, index) + state.slice(end);
+}
+
+// Parses an eBay item page into our standard listing format. Every field's origin is reported in
+// fieldSources ({ source, confidence }) so a markup change that pushes us onto guesses shows up.
+// `now` is only used for relative end times and deciding whether the end time has passed
+function parseEbayItemPage(html, url, { now = Date.now() } = {}) {
+  const marketplace = getEbayMarketplace(url);
+  const $ = cheerio.load(html);
+  const product = findJsonLdProduct($);
+  const offer = [].concat(product?.offers || [])[0] || null;
+  const state = getPageState($);
+  const fields = {};
+
+  const lowerHtml = html.toLowerCase();
+  const hasPhrase = (phrases) => phrases.some((phrase) => lowerHtml.includes(phrase.toLowerCase()));
+  const stateNumber = (...keys) => {
+    for (const key of keys) {
+      const match = state.match(new RegExp(`"${key}"\\s*:\\s*(\\d+)`));
+      if (match) return parseInt(match[1], 10);
+    }
+    return null;
+  };
+
+  const title = pickField(fields, "title", [
+    ["json-ld", () => product?.name?.trim()],
+    ["selector", () => $("h1.x-item-title__mainTitle span").text().trim() ||
+                       $("h1[itemprop='name']").text().trim() ||
+                       $(".x-item-title__mainTitle").text().trim()],
+  ], "Unknown Item");
+
+  const currentPrice = pickField(fields, "currentPrice", [
+    ["json-ld", () => {
+      const amount = parseFloat(offer?.price ?? offer?.lowPrice);
+      return isNaN(amount) ? null : formatMoney(amount, offer.priceCurrency || marketplace.currency);
+    }],
+    ["selector", () => normalizeScrapedPrice(
+      $(".x-price-primary span").first().text().trim() ||
+      $("[itemprop='price']").attr("content") ||
+      $(".x-bin-price__content span").first().text().trim(),
+      marketplace
+    )],
+  ], "N/A");
+
+  const bidCount = pickField(fields, "bidCount", [
+    ["page-state", () => stateNumber("bidCount")],
+    ["selector", () => {
+      const bidText = $(".x-bid-count span").text().trim() ||
+                      $("[data-testid='x-bid-count'] span").text().trim();
+      const bidMatch = bidText.match(/(\d+)\s*(bid|gebot|enchère)/i);
+      return bidMatch ? parseInt(bidMatch[1], 10) : null;
+    }],
+  ], 0);
+
+  const endTime = pickField(fields, "endTime", [
+    // Timer data in eBay's scripts (most reliable)
+    ["page-state", () => {
+      const patterns = [
+        /"endTime":\s*(\d{13})/,
+        /"timeMs":\s*(\d{13})/,
+        /"startTime":\s*\d+,\s*"endTime":\s*(\d{13})/,
+        /endTimeMs['"]\s*:\s*(\d{13})/,
+        /"Timer"[^}]*"endTime":\s*(\d{13})/,
+      ];
+      for (const pattern of patterns) {
+        const match = state.match(pattern);
+        if (match) return parseInt(match[1], 10);
+      }
+      return null;
+    }],
+    // Countdown timer element data attributes
+    ["selector", () => {
+      const timerEl = $("[data-timer], .x-timer, .vi-tm-left");
+      const parsed = parseInt(timerEl.attr("data-timer") || timerEl.attr("data-end-time"), 10);
+      return isNaN(parsed) ? null : parsed;
+    }],
+    // Displayed end time text
+    ["text", () => {
+      const endTimeText = $(".x-end-time span").text().trim() ||
+                          $("[data-testid='x-end-time']").text().trim() ||
+                          $(".vi-tm-left").text().trim() ||
+                          $(".ux-timer__text").text().trim();
+      if (!endTimeText) return null;
+
+      const parsed = Date.parse(endTimeText);
+      if (!isNaN(parsed)) return parsed;
+
+      // Relative time like "1d 5h" or "2h 30m" (de: "1T 5Std", fr: "1j 5h")
+      const daysMatch = endTimeText.match(/(\d+)\s*(d|t|j)/i);
+      const hoursMatch = endTimeText.match(/(\d+)\s*(h|std)/i);
+      const minsMatch = endTimeText.match(/(\d+)\s*m/i);
+      if (!daysMatch && !hoursMatch && !minsMatch) return null;
+
+      const days = daysMatch ? parseInt(daysMatch[1], 10) : 0;
+      const hours = hoursMatch ? parseInt(hoursMatch[1], 10) : 0;
+      const mins = minsMatch ? parseInt(minsMatch[1], 10) : 0;
+      return now + (days * 86400000) + (hours * 3600000) + (mins * 60000);
+    }],
+  ], null);
+
+  const views = pickField(fields, "views", [
+    ["selector", () => {
+      const viewsText = $(".d-view-count").text().trim() ||
+                        $("[data-testid='x-view-count']").text().trim() ||
+                        $(".vi-notify-new-bg span").text().trim();
+      const viewsMatch = viewsText.match(/([\d,]+)\s*view/i);
+      return viewsMatch ? parseInt(viewsMatch[1].replace(/,/g, ""), 10) : null;
+    }],
+  ], 0);
+
+  const watchers = pickField(fields, "watchers", [
+    ["selector", () => {
+      const watchersText = $(".d-watch-count").text().trim() ||
+                           $("[data-testid='x-watch-count']").text().trim() ||
+                           $(".vi-notify-new-bg").text().trim();
+      const watchersMatch = watchersText.match(/([\d,]+)\s*watch/i);
+      return watchersMatch ? parseInt(watchersMatch[1].replace(/,/g, ""), 10) : null;
+    }],
+  ], 0);
+
+  const imageUrl = pickField(fields, "imageUrl", [
+    ["json-ld", () => {
+      const image = [].concat(product?.image || [])[0];
+      return typeof image === "object" ? image?.url : image;
+    }],
+    ["selector", () => $(".ux-image-carousel-item img").first().attr("src") ||
+                       $("[itemprop='image']").attr("content") ||
+                       $(".x-photos-min-view img").first().attr("src") ||
+                       $("img[data-testid='ux-image-carousel-item']").first().attr("src")],
+  ], null);
+
+  let description = pickField(fields, "description", [
+    ["json-ld", () => product?.description?.trim()],
+    ["selector", () => $(".x-item-description-text").text().trim() ||
+                       $("[data-testid='item-description'] iframe").attr("srcdoc")],
+  ], "");
+
+  // If description is in iframe srcdoc, try to parse it
+  if (description.includes("<")) {
+    description = cheerio.load(description).text().trim();
+  }
+
+  description = description.slice(0, 500);
+  if (description.length === 500) description += "...";
+
+  // Listing type. The words "Buy It Now" also show up in carousels of other items, so the page's
+  // own buying options and buttons are checked before any page text
+  const listingType = pickField(fields, "listingType", [
+    ["page-state", () => {
+      const options = state.match(/"buyingOptions"\s*:\s*\[([^\]]*)\]/)?.[1];
+      if (!options) return null;
+      return getListingTypeFromOptions(options.includes("AUCTION"), options.includes("FIXED_PRICE"));
+    }],
+    ["selector", () => {
+      const isAuction = $(".x-bid-count, [data-testid='x-bid-count'], [data-testid='x-bid-action']").length > 0;
+      const isFixedPrice = $(".x-bin-price, [data-testid='x-bin-action']").length > 0;
+      return isAuction || isFixedPrice ? getListingTypeFromOptions(isAuction, isFixedPrice) : null;
+    }],
+    ["text", () => {
+      const isAuction = hasPhrase(marketplace.phrases.bid);
+      const isFixedPrice = hasPhrase(marketplace.phrases.bin);
+      return isAuction || isFixedPrice ? getListingTypeFromOptions(isAuction, isFixedPrice) : null;
+    }],
+  ], "buy_it_now");
+
+  const buyItNowPrice = listingType !== "auction_with_bin" ? null : pickField(fields, "buyItNowPrice", [
+    ["selector", () => normalizeScrapedPrice(
+      $(".x-bin-price__content span").first().text().trim() ||
+      $(".x-bin-price span.ux-textspans").first().text().trim(),
+      marketplace
+    )],
+  ], null);
+
+  // Quantity ("3 available", "Last one", "10 sold") from the quantity box only -
+  // the same words appear in carousels of other items further down the page
+  const quantityText = $(".x-quantity__availability, .d-quantity__availability, #qtySubTxt, .x-quantity").text();
+
+  const quantityAvailable = pickField(fields, "quantityAvailable", [
+    ["page-state", () => stateNumber("quantityAvailable", "availableQuantity")],
+    ["selector", () => {
+      const availableMatch = quantityText.match(/([\d.,]+)\s*(available|verfügbar|disponible)/i);
+      if (availableMatch) return parseInt(availableMatch[1].replace(/[.,]/g, ""), 10);
+      return /last one|letzter artikel|dernier article/i.test(quantityText) ? 1 : null;
+    }],
+  ], null);
+
+  const quantitySold = pickField(fields, "quantitySold", [
+    ["page-state", () => stateNumber("quantitySold", "soldQuantity")],
+    ["selector", () => {
+      const soldMatch = quantityText.match(/([\d.,]+)\s*(sold|verkauft|vendu)/i);
+      return soldMatch ? parseInt(soldMatch[1].replace(/[.,]/g, ""), 10) : null;
+    }],
+  ], null);
+
+  const isSoldOut = pickField(fields, "soldOut", [
+    ["json-ld", () => offer?.availability ? /OutOfStock|SoldOut/i.test(offer.availability) : null],
+    [fields.quantityAvailable.source, () => quantityAvailable === null ? null : quantityAvailable === 0],
+    ["text", () => hasPhrase(marketplace.phrases.outOfStock) || null],
+  ], false);
+
+  const isEnded = pickField(fields, "ended", [
+    ["selector", () => $(".ended-msg").length > 0 || $(".x-end-panel").text().toLowerCase().includes("ended") || null],
+    [fields.endTime.source, () => endTime === null ? null : endTime <= now],
+    ["text", () => hasPhrase(marketplace.phrases.ended) || null],
+  ], false);
+
+  // Only auctions with a reserve show it; null means no reserve (or nothing on the page says)
+  const reservePriceMet = listingType === "buy_it_now" ? null : pickField(fields, "reservePriceMet", [
+    ["page-state", () => {
+      const match = state.match(/"reservePriceMet"\s*:\s*(true|false)/);
+      return match ? match[1] === "true" : null;
+    }],
+    ["text", () => {
+      if (hasPhrase(marketplace.phrases.reserveNotMet)) return false;
+      return hasPhrase(marketplace.phrases.reserveMet) || null;
+    }],
+  ], null);
+
+  const variations = parseScrapedVariations(html, marketplace);
+  fields.variations = variations
+    ? { source: "page-state", confidence: SOURCE_CONFIDENCE["page-state"] }
+    : { source: "default", confidence: SOURCE_CONFIDENCE.default };
+
+  return {
+    title,
+    currentPrice,
+    bidCount,
+    endTime,
+    imageUrl,
+    description,
+    views,
+    watchers,
+    status: getListingStatus(listingType, isEnded, isSoldOut, quantitySold, quantityAvailable),
+    quantityAvailable,
+    quantitySold,
+    source: "scrape",
+    marketplaceId: marketplace.id,
+    listingType,
+    buyItNowPrice,
+    reservePriceMet,
+    variations,
+    fieldSources: fields,
+  };
+}
+
+module.exports = {
+  EBAY_MARKETPLACES,
+  getEbayMarketplace,
+  parseEbayItemUrl,
+  getEbayItemId,
+  normalizeScrapedPrice,
+  getListingStatus,
+  parseEbayItemPage,
+};
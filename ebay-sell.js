@@ -0,0 +1,134 @@
+// -------------------------
+// eBay Sell Inventory API (listing ticket → inventory item + unpublished offer → live listing)
+// -------------------------
+// `defaults` are the bot's ebaySellDefaults: marketplaceId, currency, contentLanguage, condition and
+// the optional categoryId, price, policy IDs and merchantLocationKey
+function buildInventoryItemFromTicket(ticket, imageUrls, defaults) {
+  const product = {
+    title: String(ticket.itemName || "Untitled item").slice(0, 80),
+    imageUrls: imageUrls.slice(0, 24),
+  };
+  if (ticket.itemDesc) product.description = ticket.itemDesc;
+
+  const item = {
+    availability: { shipToLocationAvailability: { quantity: ticket.quantity || 1 } },
+    condition: ticket.condition || defaults.condition,
+    product,
+  };
+
+  // Package details from the intake wizard, if given
+  if (ticket.weight || ticket.dimensions) {
+    item.packageWeightAndSize = {};
+    if (ticket.weight) item.packageWeightAndSize.weight = ticket.weight;
+    if (ticket.dimensions) item.packageWeightAndSize.dimensions = ticket.dimensions;
+  }
+
+  return item;
+}
+
+function buildOfferFromTicket(ticket, sku, defaults) {
+  const offer = {
+    sku,
+    marketplaceId: defaults.marketplaceId,
+    format: "FIXED_PRICE",
+    availableQuantity: ticket.quantity || 1,
+    listingDescription: ticket.itemDesc || ticket.itemName,
+  };
+
+  // Everything below is optional for an unpublished offer; eBay only insists on it at publish time
+  const categoryId = ticket.ebayCategoryId || defaults.categoryId;
+  // A suggested price from comps in another currency can't be listed as it is
+  const suggestedPrice = (ticket.suggestedPriceCurrency || defaults.currency) === defaults.currency
+    ? ticket.suggestedPrice
+    : null;
+  const price = ticket.targetPrice || suggestedPrice || defaults.price;
+  if (categoryId) offer.categoryId = categoryId;
+  if (defaults.merchantLocationKey) offer.merchantLocationKey = defaults.merchantLocationKey;
+  if (price) {
+    offer.pricingSummary = {
+      price: { value: String(price), currency: defaults.currency },
+    };
+  }
+
+  const listingPolicies = {};
+  if (defaults.fulfillmentPolicyId) listingPolicies.fulfillmentPolicyId = defaults.fulfillmentPolicyId;
+  if (defaults.paymentPolicyId) listingPolicies.paymentPolicyId = defaults.paymentPolicyId;
+  if (defaults.returnPolicyId) listingPolicies.returnPolicyId = defaults.returnPolicyId;
+  if (Object.keys(listingPolicies).length) offer.listingPolicies = listingPolicies;
+
+  return offer;
+}
+
+// request is the shared HTTP client's request(); getAccessToken resolves a seller (user) token
+function createEbaySellClient({ baseUrl, request, getAccessToken, defaults }) {
+  async function sellRequest(method, apiPath, body) {
+    const token = await getAccessToken();
+
+    const response = await request(`${baseUrl}/sell/inventory/v1${apiPath}`, {
+      method,
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Accept": "application/json",
+        "Content-Type": "application/json",
+        "Content-Language": defaults.contentLanguage,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    }, { quota: "sell" });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`eBay Sell API error: ${response.status} - ${error}`);
+    }
+
+    // createOrReplaceInventoryItem and updateOffer answer with an empty body
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  // Creates (or updates) the inventory item + unpublished offer for a ticket.
+  // imageUrls must be publicly reachable - see resolveTicketImageUrls()
+  async function createDraftFromTicket(channelId, ticket, imageUrls) {
+    const sku = ticket.ebayDraft?.sku || ticket.sku || `SB-${channelId}`;
+
+    await sellRequest(
+      "PUT",
+      `/inventory_item/${encodeURIComponent(sku)}`,
+      buildInventoryItemFromTicket(ticket, imageUrls, defaults)
+    );
+
+    const offer = buildOfferFromTicket(ticket, sku, defaults);
+    let offerId = ticket.ebayDraft?.offerId;
+
+    if (offerId) {
+      await sellRequest("PUT", `/offer/${offerId}`, offer);
+    } else {
+      const created = await sellRequest("POST", "/offer", offer);
+      offerId = created.offerId;
+    }
+
+    return { sku, offerId };
+  }
+
+  // Publishes the offer and returns the eBay listing ID
+  async function publishOffer(offerId) {
+    // Staff may have already published it from Seller Hub
+    const offer = await sellRequest("GET", `/offer/${offerId}`);
+    if (offer?.status === "PUBLISHED" && offer.listing?.listingId) {
+      return offer.listing.listingId;
+    }
+
+    const result = await sellRequest("POST", `/offer/${offerId}/publish`);
+    if (!result?.listingId) {
+      throw new Error("eBay did not return a listing ID for the published offer");
+    }
+    return result.listingId;
+  }
+
+  return { createDraftFromTicket, publishOffer };
+}
+
+module.exports = {
+  createEbaySellClient,
+  buildInventoryItemFromTicket,
+  buildOfferFromTicket,
+};
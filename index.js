@@ -1,6 +1,24 @@
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
 const cheerio = require("cheerio");
+const { formatMoney, roundPrice, parseMoney, isSamePrice } = require("./money");
+const {
+  EBAY_MARKETPLACES,
+  getEbayMarketplace,
+  parseEbayItemUrl,
+  getEbayItemId,
+  parseEbayItemPage,
+} = require("./ebay-scraper");
+const { getMercariItemId, resolveMercariUrl, parseMercariItemPage } = require("./mercari-scraper");
+const { getPoshmarkItemId, resolvePoshmarkUrl, parsePoshmarkItemPage } = require("./poshmark-scraper");
+const { createHttpClient } = require("./ebay-http");
+const { createEbayBrowseClient, summarizeComps, diffVariations } = require("./ebay-browse");
+const { createEbaySellClient } = require("./ebay-sell");
+const { createScheduler } = require("./scheduler");
+const { calculateConsignmentSplit, isCompletedSale } = require("./consignment");
+const { renderHistoryChart } = require("./chart");
 
 const {
   Client,
@@ -8,9 +26,12 @@ const {
   GatewayIntentBits,
   Partials,
   ActionRowBuilder,
+  AttachmentBuilder,
   ButtonBuilder,
   ButtonStyle,
   ModalBuilder,
+  StringSelectMenuBuilder,
+  UserSelectMenuBuilder,
   TextInputBuilder,
   TextInputStyle,
   ChannelType,
@@ -35,10 +56,99 @@ const {
   ebayArchivedCategoryId,
 } = config;
 
+// Tracker categories for marketplaces other than eBay ({ mercari: "<category ID>", ... }).
+// Marketplaces without one share the eBay Buy It Now category
+const marketplaceCategoryIds = config.marketplaceCategoryIds || {};
+// Hours an unclaimed "images_done" ticket waits before staff get reminded (0 disables reminders)
+const claimReminderHours = config.claimReminderHours ?? 4;
+// Hours a closed ticket/tracker channel stays before it is deleted (0 keeps closed channels)
+const closedChannelGraceHours = config.closedChannelGraceHours ?? 24;
+// Pings before an auction ends ("24h", "1h", "10m"). /ebay-alerts overrides these per guild and per listing
+const endingAlertOffsets = config.endingAlertOffsets || ["24h", "1h", "10m"];
+// Role pinged alongside the owner for ending alerts (optional)
+const endingAlertRoleId = config.endingAlertRoleId || "";
+
+// Consignment split applied to every completed sale. Fee tiers mirror eBay's final value fee:
+// a percentage of the sale up to each threshold, plus a per-order fee that depends on the total
+const consignmentConfig = {
+  feeTiers: [
+    { upTo: 7500, percent: 13.25 },
+    { upTo: null, percent: 2.35 },
+  ],
+  perOrderFees: [
+    { upTo: 10, fee: 0.3 },
+    { upTo: null, fee: 0.4 },
+  ],
+  defaultShippingCost: 0,
+  commissionPercent: 20,
+  // "net" = commission on what's left after eBay fees + shipping, "gross" = on the sale price
+  commissionBase: "net",
+  ...(config.consignment || {}),
+};
+
 // Config-based eBay credentials (optional - can be empty)
 const configEbayAppId = config.ebayAppId || "";
 const configEbayDevId = config.ebayDevId || "";
 const configEbayCertId = config.ebayCertId || "";
+const configEbayRefreshToken = config.ebayRefreshToken || "";
+
+// Base URL for eBay REST calls - point at a local mock (see ebay-mock-api/) for testing
+const ebayApiBaseUrl = (config.ebayApiBaseUrl || "https://api.ebay.com").replace(/\/+$/, "");
+// When set, raw comps search responses are saved here so the mock API can replay them offline
+const ebayRecordDir = config.ebayRecordDir || "";
+// Price/bid/watcher samples kept per tracked listing (older samples get thinned out past this)
+const ebayHistoryMaxPoints = config.ebayHistoryMaxPoints || 2000;
+// How often /ebay-seller accounts are checked for new listings, and how many trackers one check may open
+const ebaySellerSyncMinutes = config.ebaySellerSyncMinutes || 30;
+const ebaySellerMaxNewPerSync = config.ebaySellerMaxNewPerSync || 10;
+// Channel where /ebay-watch-search posts new matches, and how often each saved search runs
+const ebayDealsChannelId = config.ebayDealsChannelId || "";
+const ebayWatchSearchMinutes = config.ebayWatchSearchMinutes || 15;
+// How many tracker checks may run at once
+const ebayUpdateConcurrency = config.ebayUpdateConcurrency || 4;
+
+// Shared HTTP client for all eBay traffic (see ebay-http.js). rateLimits are { host: { perSecond, burst } };
+// other hosts (the eBay sites we scrape) each get defaultRateLimit. dailyQuota is shown in /ebay-status
+const ebayHttpConfig = {
+  timeoutMs: 15000,
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  rateLimits: {},
+  defaultRateLimit: { perSecond: 1, burst: 3 },
+  breakerThreshold: 3,
+  breakerCooldownMinutes: 15,
+  dailyQuota: { browse: 5000 },
+  ...(config.ebayHttp || {}),
+};
+
+// Defaults applied to offers created from listing tickets (policy IDs come from Seller Hub)
+const ebaySellDefaults = {
+  marketplaceId: "EBAY_US",
+  currency: "USD",
+  contentLanguage: "en-US",
+  condition: "USED_EXCELLENT",
+  categoryId: "",
+  price: "",
+  fulfillmentPolicyId: "",
+  paymentPolicyId: "",
+  returnPolicyId: "",
+  merchantLocationKey: "",
+  ...(config.ebaySellDefaults || {}),
+};
+
+// Item conditions offered at intake. Values match eBay's ConditionEnum
+// so they can be sent straight to the Inventory API
+const LISTING_CONDITIONS = [
+  { value: "NEW", label: "New" },
+  { value: "NEW_OTHER", label: "New (other / open box)" },
+  { value: "LIKE_NEW", label: "Like New" },
+  { value: "USED_EXCELLENT", label: "Used - Excellent" },
+  { value: "USED_VERY_GOOD", label: "Used - Very Good" },
+  { value: "USED_GOOD", label: "Used - Good" },
+  { value: "USED_ACCEPTABLE", label: "Used - Acceptable" },
+  { value: "FOR_PARTS_OR_NOT_WORKING", label: "For parts / not working" },
+];
 
 // -------------------------
 // Slash Command Definitions
@@ -60,6 +170,269 @@ const commands = [
     .setName("ebay-organize")
     .setDescription("Check all eBay listings and move them to correct categories")
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+  new SlashCommandBuilder()
+    .setName("listing-template")
+    .setDescription("Manage per-category intake templates for listing tickets")
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommand((sub) =>
+      sub
+        .setName("set")
+        .setDescription("Create or update a category template")
+        .addStringOption((opt) =>
+          opt.setName("name").setDescription("Template name, e.g. Sneakers").setRequired(true).setMaxLength(50)
+        )
+        .addStringOption((opt) =>
+          opt.setName("fields").setDescription("Comma-separated fields to ask for (default: all, see /listing-template list)")
+        )
+        .addStringOption((opt) =>
+          opt.setName("required").setDescription("Comma-separated fields that must be filled in")
+        )
+        .addStringOption((opt) =>
+          opt.setName("ebay_category").setDescription("Default eBay category ID")
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("condition")
+            .setDescription("Default condition")
+            .addChoices(...LISTING_CONDITIONS.map((c) => ({ name: c.label, value: c.value })))
+        )
+        .addStringOption((opt) =>
+          opt.setName("weight").setDescription("Default weight, e.g. 2 lb")
+        )
+        .addStringOption((opt) =>
+          opt.setName("dimensions").setDescription("Default package size, e.g. 12x8x4 in")
+        )
+        .addIntegerOption((opt) =>
+          opt.setName("quantity").setDescription("Default quantity").setMinValue(1)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("remove")
+        .setDescription("Delete a category template")
+        .addStringOption((opt) =>
+          opt.setName("name").setDescription("Template name").setRequired(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription("Show all category templates and the available fields")
+    ),
+  new SlashCommandBuilder()
+    .setName("queue")
+    .setDescription("List unclaimed listing tickets waiting for staff, oldest first"),
+  new SlashCommandBuilder()
+    .setName("reopen")
+    .setDescription("Reopen a closed listing ticket or eBay tracker")
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Channel to reopen (defaults to this one)")
+        .addChannelTypes(ChannelType.GuildText)
+    ),
+  new SlashCommandBuilder()
+    .setName("ebay-history")
+    .setDescription("Chart or export the price, bid and watcher history of a tracked listing")
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Tracker channel (defaults to this one)")
+        .addChannelTypes(ChannelType.GuildText)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("format")
+        .setDescription("Chart image (default) or CSV file")
+        .addChoices({ name: "Chart", value: "chart" }, { name: "CSV", value: "csv" })
+    ),
+  new SlashCommandBuilder()
+    .setName("ebay-seller")
+    .setDescription("Automatically track every listing from an eBay seller account (staff only)")
+    .addSubcommand((sub) =>
+      sub
+        .setName("add")
+        .setDescription("Start tracking a seller's active listings")
+        .addStringOption((opt) =>
+          opt.setName("username").setDescription("eBay seller username").setRequired(true).setMaxLength(64)
+        )
+        .addUserOption((opt) =>
+          opt.setName("owner").setDescription("Owner of the tracker channels (defaults to you)")
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("site")
+            .setDescription("eBay site the seller lists on (default ebay.com)")
+            .addChoices(
+              { name: "ebay.com", value: "ebay.com" },
+              { name: "ebay.co.uk", value: "ebay.co.uk" },
+              { name: "ebay.de", value: "ebay.de" },
+              { name: "ebay.fr", value: "ebay.fr" },
+              { name: "ebay.ca", value: "ebay.ca" },
+              { name: "ebay.com.au", value: "ebay.com.au" }
+            )
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("categories")
+            .setDescription("Category IDs to search via the API (comma separated). Without them the store page is scraped")
+            .setMaxLength(200)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("remove")
+        .setDescription("Stop tracking a seller (existing tracker channels stay)")
+        .addStringOption((opt) =>
+          opt.setName("username").setDescription("eBay seller username").setRequired(true).setMaxLength(64)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription("List tracked sellers")
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("sync")
+        .setDescription("Check a tracked seller for new listings now")
+        .addStringOption((opt) =>
+          opt.setName("username").setDescription("eBay seller username").setRequired(true).setMaxLength(64)
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("ebay-watch-search")
+    .setDescription("Saved eBay searches that post new matches to the deals channel (staff only)")
+    .addSubcommand((sub) =>
+      sub
+        .setName("add")
+        .setDescription("Save a search")
+        .addStringOption((opt) =>
+          opt.setName("keywords").setDescription("Search keywords").setRequired(true).setMaxLength(100)
+        )
+        .addNumberOption((opt) =>
+          opt.setName("max-price").setDescription("Highest price to alert on").setMinValue(0)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("condition")
+            .setDescription("Item condition (default any)")
+            .addChoices({ name: "New", value: "NEW" }, { name: "Used", value: "USED" })
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("type")
+            .setDescription("Listing type (default any)")
+            .addChoices({ name: "Auction", value: "AUCTION" }, { name: "Buy It Now", value: "FIXED_PRICE" })
+        )
+        .addStringOption((opt) =>
+          opt.setName("category").setDescription("eBay category ID").setMaxLength(20)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("remove")
+        .setDescription("Delete a saved search")
+        .addStringOption((opt) =>
+          opt.setName("id").setDescription("Search ID (see /ebay-watch-search list)").setRequired(true).setMaxLength(20)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription("List saved searches")
+    ),
+  new SlashCommandBuilder()
+    .setName("following")
+    .setDescription("Listings you follow and which DM notifications you get"),
+  new SlashCommandBuilder()
+    .setName("ebay-alerts")
+    .setDescription("Auction ending alerts")
+    .addSubcommand((sub) =>
+      sub
+        .setName("show")
+        .setDescription("Show the alert times that apply to a tracker")
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription("Tracker channel (defaults to this one)")
+            .addChannelTypes(ChannelType.GuildText)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("listing")
+        .setDescription("Set alert times for this tracker")
+        .addStringOption((opt) =>
+          opt
+            .setName("times")
+            .setDescription('e.g. "24h, 1h, 10m", "off", or "default" to use the server setting')
+            .setRequired(true)
+            .setMaxLength(100)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("server")
+        .setDescription("Set the default alert times and role for this server (staff only)")
+        .addStringOption((opt) =>
+          opt
+            .setName("times")
+            .setDescription('e.g. "24h, 1h, 10m", "off", or "default" to use the bot config')
+            .setMaxLength(100)
+        )
+        .addRoleOption((opt) =>
+          opt.setName("role").setDescription("Role pinged with the owner")
+        )
+        .addBooleanOption((opt) =>
+          opt.setName("clear-role").setDescription("Stop pinging a role")
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("payouts")
+    .setDescription("Consignment ledger: balances owed to owners and payouts")
+    .addSubcommand((sub) =>
+      sub.setName("balances").setDescription("List what is owed to each owner")
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("pay")
+        .setDescription("Record a payout to an owner")
+        .addUserOption((opt) =>
+          opt.setName("owner").setDescription("Owner who was paid").setRequired(true)
+        )
+        .addNumberOption((opt) =>
+          opt.setName("amount").setDescription("Amount paid").setRequired(true).setMinValue(0.01)
+        )
+        .addStringOption((opt) =>
+          opt.setName("currency").setDescription("Currency (default USD)").setMaxLength(3)
+        )
+        .addStringOption((opt) =>
+          opt.setName("note").setDescription("Payment method / reference").setMaxLength(200)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("statement")
+        .setDescription("Show an owner's sales and payouts")
+        .addUserOption((opt) =>
+          opt.setName("owner").setDescription("Owner (defaults to you)")
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("set-shipping")
+        .setDescription("Set the actual shipping cost of a sale and recalculate it")
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription("Tracker channel of the sale (defaults to this one)")
+            .addChannelTypes(ChannelType.GuildText)
+        )
+        .addNumberOption((opt) =>
+          opt.setName("cost").setDescription("Shipping cost").setRequired(true).setMinValue(0)
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("transcript")
+    .setDescription("Fetch the archived transcript of a closed ticket or tracker")
+    .addStringOption((opt) =>
+      opt.setName("query").setDescription("Item name or channel ID").setRequired(true)
+    ),
 ];
 
 async function registerSlashCommands() {
@@ -94,7 +467,8 @@ async function registerSlashCommands() {
 // GuildMessages: to receive messageCreate for attachments in listing channels
 const client = new Client({
   intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages],
-  partials: [Partials.Channel],
+  // Message partial: delete events for uncached messages (archived image bookkeeping)
+  partials: [Partials.Channel, Partials.Message],
 });
 
 // ---- Crash report logging ----
@@ -238,7 +612,8 @@ async function createUniqueChannelName(guild, categoryId, emoji, baseName) {
 
 function isImageAttachment(att) {
   if (att.contentType && att.contentType.startsWith("image/")) return true;
-  return /\.(png|jpe?g|webp|gif)$/i.test(att.url);
+  // Discord CDN URLs carry signing params, so check the file name first
+  return /\.(png|jpe?g|webp|gif)$/i.test(att.name || "") || /\.(png|jpe?g|webp|gif)(\?|$)/i.test(att.url);
 }
 
 function memberIsStaff(interaction) {
@@ -252,6 +627,362 @@ function memberIsStaff(interaction) {
   return Boolean(hasRole || hasPerm);
 }
 
+// -------------------------
+// Ticket image archive (content-addressed, survives Discord CDN expiry)
+// -------------------------
+// Files live at <imageStoreDir>/<first 2 hex chars>/<sha256>.<ext>, so identical uploads share one file
+const imageStoreDir = config.imageStoreDir || path.join(path.dirname(dataFile), "images");
+// Public URL the image server is reachable at (e.g. behind the same reverse proxy as the deletion endpoint)
+const imageBaseUrl = (config.imageBaseUrl || "").replace(/\/+$/, "");
+const imageServerPort = config.imageServerPort || null;
+// Downloads that are bigger or slower than this fail (the ticket keeps the original link)
+const imageMaxBytes = config.imageMaxBytes || 25 * 1024 * 1024;
+const imageDownloadTimeoutMs = config.imageDownloadTimeoutMs || 30000;
+
+const IMAGE_CONTENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+
+// Reads width/height from PNG, GIF, WebP and JPEG headers. Returns null for anything else
+function getImageDimensions(buf) {
+  try {
+    // PNG: IHDR is always the first chunk
+    if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+      return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+
+    // GIF: logical screen size right after the signature
+    if (buf.length >= 10 && buf.toString("ascii", 0, 4) === "GIF8") {
+      return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    }
+
+    // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+    if (buf.length >= 30 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+      const chunk = buf.toString("ascii", 12, 16);
+      if (chunk === "VP8 ") {
+        return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === "VP8L") {
+        const bits = buf.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === "VP8X") {
+        return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+      }
+      return null;
+    }
+
+    // JPEG: walk the markers until a start-of-frame
+    if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buf.length) {
+        if (buf[offset] !== 0xff) return null;
+        const marker = buf[offset + 1];
+        if (marker === 0xff) {
+          offset++; // fill byte
+          continue;
+        }
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+        }
+        if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) {
+          offset += 2; // standalone marker
+          continue;
+        }
+        offset += 2 + buf.readUInt16BE(offset + 2);
+      }
+    }
+  } catch {
+    // Truncated or corrupt header
+  }
+  return null;
+}
+
+function getImageExtension(buf, contentType, fileName) {
+  if (buf.length >= 4 && buf.readUInt32BE(0) === 0x89504e47) return "png";
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8) return "jpg";
+  if (buf.toString("ascii", 0, 4) === "GIF8") return "gif";
+  if (buf.toString("ascii", 8, 12) === "WEBP") return "webp";
+
+  const fromType = Object.entries(IMAGE_CONTENT_TYPES).find(([, type]) => type === contentType)?.[0];
+  if (fromType) return fromType;
+  const fromName = String(fileName || "").match(/\.(png|jpe?g|gif|webp)$/i)?.[1]?.toLowerCase();
+  return fromName === "jpeg" ? "jpg" : fromName || "bin";
+}
+
+function getStoredImagePath(image) {
+  return path.join(imageStoreDir, image.sha256.slice(0, 2), `${image.sha256}.${image.ext}`);
+}
+
+function isImageStored(image) {
+  return Boolean(image?.sha256) && fs.existsSync(getStoredImagePath(image));
+}
+
+// Downloads an image into the store. Returns its content hash and metadata
+async function archiveImage(url, { contentType, fileName } = {}) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(imageDownloadTimeoutMs) });
+  if (!response.ok) {
+    throw new Error(`Failed to download image: ${response.status}`);
+  }
+
+  const tooLarge = () => new Error(`Image is larger than ${formatBytes(imageMaxBytes)}`);
+  if (Number(response.headers.get("content-length")) > imageMaxBytes) {
+    await response.body?.cancel().catch(() => {});
+    throw tooLarge();
+  }
+
+  // Content-Length can be missing or wrong, so the limit is also checked while reading
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > imageMaxBytes) throw tooLarge();
+    chunks.push(chunk);
+  }
+
+  const buf = Buffer.concat(chunks);
+  const sha256 = crypto.createHash("sha256").update(buf).digest("hex");
+  const ext = getImageExtension(buf, contentType || response.headers.get("content-type"), fileName);
+  const dims = getImageDimensions(buf);
+
+  const image = {
+    sha256,
+    ext,
+    size: buf.length,
+    width: dims?.width || null,
+    height: dims?.height || null,
+  };
+
+  // Content-addressed: an identical file is already on disk
+  const filePath = getStoredImagePath(image);
+  if (!fs.existsSync(filePath)) {
+    ensureDir(filePath);
+    fs.writeFileSync(filePath, buf);
+  }
+
+  return image;
+}
+
+// Older tickets stored bare CDN URLs - upgrade them to image records in place
+function getTicketImages(ticket) {
+  if (!Array.isArray(ticket.images)) ticket.images = [];
+  ticket.images = ticket.images.map((img) =>
+    typeof img === "string"
+      ? { url: img, sha256: null, ext: null, size: null, width: null, height: null, messageId: null, removed: false, addedAt: null }
+      : img
+  );
+  return ticket.images;
+}
+
+// Images still in use (not removed by deleting their message)
+function getActiveTicketImages(ticket) {
+  return getTicketImages(ticket).filter((img) => !img.removed);
+}
+
+// Stable ID for an image in button custom IDs - positions shift as photos are added, removed or
+// reordered. Images saved before attachment IDs were kept fall back to a hash of the link
+function getTicketImageKey(image) {
+  return image.attachmentId || image.sha256 || crypto.createHash("sha256").update(image.url).digest("hex").slice(0, 32);
+}
+
+function getServedImageUrl(image) {
+  if (!imageBaseUrl || !isImageStored(image)) return null;
+  return `${imageBaseUrl}/${image.sha256}.${image.ext}`;
+}
+
+function formatBytes(bytes) {
+  if (!bytes && bytes !== 0) return "?";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function describeImage(image) {
+  const dims = image.width && image.height ? `${image.width}x${image.height}` : "?x?";
+  const where = getServedImageUrl(image) || image.url;
+  return `${dims}, ${formatBytes(image.size)}${isImageStored(image) ? "" : " (not archived)"} - ${where}`;
+}
+
+// Public URLs for a ticket's images: served from the archive when an image server is
+// configured, otherwise re-uploaded to the channel so the links are freshly signed
+async function resolveTicketImageUrls(channel, images) {
+  if (imageBaseUrl) {
+    return images.map((img) => getServedImageUrl(img) || img.url);
+  }
+
+  const urls = [];
+  const pending = [];
+  for (const img of images) {
+    if (isImageStored(img)) {
+      pending.push(img);
+    } else {
+      urls.push({ img, url: img.url });
+    }
+  }
+
+  // Discord allows 10 files per message
+  for (let i = 0; i < pending.length; i += 10) {
+    const batch = pending.slice(i, i + 10);
+    const msg = await channel.send({
+      content: i === 0 ? "📎 Re-uploading archived photos..." : undefined,
+      files: batch.map((img, n) => new AttachmentBuilder(getStoredImagePath(img), { name: `photo-${i + n + 1}.${img.ext}` })),
+    });
+    const attachments = Array.from(msg.attachments.values());
+    batch.forEach((img, n) => urls.push({ img, url: attachments[n]?.url || img.url }));
+  }
+
+  // Keep the ticket's photo order
+  return images.map((img) => urls.find((u) => u.img === img).url);
+}
+
+// Retries the download for images saved before the archive existed (or that failed earlier)
+async function archiveMissingTicketImages() {
+  const pending = [];
+  for (const [channelId, ticket] of Object.entries(loadDb().listings || {})) {
+    for (const img of getTicketImages(ticket)) {
+      if (img.removed || isImageStored(img) || img.archiveFailed) continue;
+      pending.push({ channelId, url: img.url });
+    }
+  }
+
+  let archived = 0;
+  let failed = 0;
+
+  for (const { channelId, url } of pending) {
+    let fields;
+    try {
+      fields = await archiveImage(url);
+    } catch (err) {
+      // Expired CDN links can't come back - don't retry every restart
+      fields = { archiveFailed: true };
+    }
+
+    // The backfill runs alongside everything else, so each result goes into a fresh copy of the
+    // ticket - and only if the image is still there and still unarchived
+    const db = loadDb();
+    const ticket = db.listings?.[channelId];
+    const img = ticket && getTicketImages(ticket).find((i) => i.url === url && !i.removed && !isImageStored(i));
+    if (!img) continue;
+    Object.assign(img, fields);
+    saveDb(db);
+    if (fields.archiveFailed) failed++;
+    else archived++;
+  }
+
+  if (archived || failed) {
+    console.log(`Image archive backfill: ${archived} archived, ${failed} unrecoverable`);
+  }
+}
+
+function startImageServer() {
+  if (!imageServerPort) return;
+
+  http.createServer((req, res) => {
+    const match = req.method === "GET" && req.url.match(/^\/(?:images\/)?([a-f0-9]{64})\.(png|jpg|gif|webp)$/);
+    if (!match) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    const filePath = getStoredImagePath({ sha256: match[1], ext: match[2] });
+    if (!fs.existsSync(filePath)) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    // Content-addressed files never change
+    res.writeHead(200, {
+      "Content-Type": IMAGE_CONTENT_TYPES[match[2]],
+      "Cache-Control": "public, max-age=31536000, immutable",
+    });
+    fs.createReadStream(filePath).pipe(res);
+  }).on("error", (err) => {
+    // e.g. EADDRINUSE - the bot runs on without serving images
+    console.error(`Image server error on port ${imageServerPort}:`, err.message);
+  }).listen(imageServerPort, () => {
+    console.log(`Image server listening on port ${imageServerPort}`);
+  });
+}
+
+// -------------------------
+// eBay marketplaces (table and URL lookup live in ebay-scraper.js)
+// -------------------------
+// Records from before marketplaces were stored only have their URL
+function getListingMarketplace(listing) {
+  return Object.values(EBAY_MARKETPLACES).find((m) => m.id === listing.marketplaceId) ||
+    getEbayMarketplace(listing.url);
+}
+
+// -------------------------
+// eBay HTTP client and API quota usage
+// -------------------------
+// API calls per quota per UTC day, kept next to the DB so a restart doesn't reset the count
+const ebayApiUsageFile = path.join(path.dirname(dataFile), "ebay-api-usage.json");
+
+function loadEbayApiUsage() {
+  const today = new Date().toISOString().slice(0, 10);
+  try {
+    const usage = JSON.parse(fs.readFileSync(ebayApiUsageFile, "utf8"));
+    if (usage.day === today) return usage;
+  } catch {}
+  return { day: today, calls: {} };
+}
+
+function recordEbayApiCall(quota) {
+  const usage = loadEbayApiUsage();
+  usage.calls[quota] = (usage.calls[quota] || 0) + 1;
+  try {
+    ensureDir(ebayApiUsageFile);
+    fs.writeFileSync(ebayApiUsageFile, JSON.stringify(usage), "utf8");
+  } catch (err) {
+    console.warn("Could not save eBay API usage:", err.message);
+  }
+}
+
+const ebayHttp = createHttpClient({
+  timeoutMs: ebayHttpConfig.timeoutMs,
+  maxRetries: ebayHttpConfig.maxRetries,
+  baseDelayMs: ebayHttpConfig.baseDelayMs,
+  maxDelayMs: ebayHttpConfig.maxDelayMs,
+  rateLimits: {
+    // The API allows far more than a scraped site
+    [new URL(ebayApiBaseUrl).hostname]: { perSecond: 5, burst: 10 },
+    ...ebayHttpConfig.rateLimits,
+  },
+  defaultRateLimit: ebayHttpConfig.defaultRateLimit,
+  breakerThreshold: ebayHttpConfig.breakerThreshold,
+  breakerCooldownMs: ebayHttpConfig.breakerCooldownMinutes * 60 * 1000,
+  onQuotaUse: recordEbayApiCall,
+});
+
+function describeEbayHttpStatus() {
+  const usage = loadEbayApiUsage();
+  const quotas = [...new Set([...Object.keys(ebayHttpConfig.dailyQuota), ...Object.keys(usage.calls)])];
+  const lines = quotas.map((quota) => {
+    const used = usage.calls[quota] || 0;
+    const limit = ebayHttpConfig.dailyQuota[quota];
+    return limit
+      ? `${quota}: ${used} / ${limit} (${Math.round((used / limit) * 100)}%)`
+      : `${quota}: ${used}`;
+  });
+
+  const stats = ebayHttp.getStats();
+  const paused = stats.breakers.filter((breaker) => breaker.openUntil);
+
+  return [
+    `**API calls today (UTC):** ${lines.join(", ")}`,
+    `**Since restart:** ${stats.requests} requests, ${stats.retries} retries, ${stats.rateLimited} rate-limited (429), ${stats.failures} failed`,
+    paused.length
+      ? `**Scraping:** ⏸️ paused (captchas) - ${paused.map((b) => `${b.host} until <t:${Math.floor(b.openUntil / 1000)}:t>`).join(", ")}`
+      : `**Scraping:** ✅ running${stats.captchas ? ` (${stats.captchas} captchas seen)` : ""}`,
+  ];
+}
+
 // -------------------------
 // eBay API (optional - falls back to scraping if not configured)
 // -------------------------
@@ -298,14 +1029,14 @@ async function getEbayAccessToken() {
 
   const credentials = Buffer.from(`${creds.appId}:${creds.certId}`).toString("base64");
 
-  const response = await fetch("https://api.ebay.com/identity/v1/oauth2/token", {
+  const response = await ebayHttp.request(`${ebayApiBaseUrl}/identity/v1/oauth2/token`, {
     method: "POST",
     headers: {
       "Content-Type": "application/x-www-form-urlencoded",
       "Authorization": `Basic ${credentials}`,
     },
     body: "grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope",
-  });
+  }, { quota: "identity" });
 
   if (!response.ok) {
     const error = await response.text();
@@ -320,262 +1051,77 @@ async function getEbayAccessToken() {
   return ebayAccessToken;
 }
 
+// Browse API lookups: items and item groups for trackers, searches for comps and saved searches.
+// Searches run on the selling marketplace; items on the marketplace of their URL
+const ebayBrowse = createEbayBrowseClient({
+  baseUrl: ebayApiBaseUrl,
+  request: ebayHttp.request,
+  getAccessToken: getEbayAccessToken,
+  marketplaceId: ebaySellDefaults.marketplaceId,
+  recordDir: ebayRecordDir,
+});
+
 async function fetchEbayListingViaAPI(url) {
   // Extract item ID from URL
-  const itemIdMatch = url.match(/\/itm\/(?:.*\/)?(\d+)/);
-  if (!itemIdMatch) {
+  const itemId = getEbayItemId(url);
+  if (!itemId) {
     throw new Error("Could not extract item ID from URL");
   }
-  const itemId = itemIdMatch[1];
-
-  const token = await getEbayAccessToken();
-
-  const response = await fetch(`https://api.ebay.com/buy/browse/v1/item/v1|${itemId}|0`, {
-    headers: {
-      "Authorization": `Bearer ${token}`,
-      "X-EBAY-C-MARKETPLACE-ID": "EBAY_US",
-      "X-EBAY-C-ENDUSERCTX": "affiliateCampaignId=<ePNCampaignId>,affiliateReferenceId=<referenceId>",
-    },
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`eBay API error: ${response.status} - ${error}`);
-  }
-
-  const item = await response.json();
-
-  // Parse the API response into our standard format
-  const endTime = item.itemEndDate ? new Date(item.itemEndDate).getTime() : null;
-
-  // Determine listing type from buyingOptions
-  const buyingOptions = item.buyingOptions || [];
-  const isAuction = buyingOptions.includes("AUCTION");
-  const isFixedPrice = buyingOptions.includes("FIXED_PRICE");
-
-  let listingType;
-  let buyItNowPrice = null;
-
-  if (isAuction && isFixedPrice) {
-    listingType = "auction_with_bin";
-    // For auction+BIN, the main price is current bid, BIN price is in currentBidPrice or buyItNowPrice
-    buyItNowPrice = item.buyItNowPrice ? `${item.buyItNowPrice.currency} $${item.buyItNowPrice.value}` : null;
-  } else if (isAuction) {
-    listingType = "auction";
-  } else {
-    listingType = "buy_it_now";
-  }
 
-  return {
-    title: item.title || "Unknown Item",
-    currentPrice: item.price ? `${item.price.currency} $${item.price.value}` : "N/A",
-    bidCount: item.bidCount || 0,
-    endTime,
-    imageUrl: item.image?.imageUrl || null,
-    description: item.shortDescription || item.description?.substring(0, 500) || "",
-    views: item.viewCount || 0,
-    watchers: item.watchCount || 0,
-    status: item.itemEndDate && new Date(item.itemEndDate) < new Date() ? "ended" : "active",
-    source: "api",
-    listingType,
-    buyItNowPrice,
-  };
+  return ebayBrowse.getItem(itemId, getEbayMarketplace(url));
 }
 
 // -------------------------
-// eBay Scraper (fallback)
+// eBay Scraper (fallback) - page parsing lives in ebay-scraper.js
 // -------------------------
+// Fields that must come from the page rather than a default for a scrape to be trusted
+const SCRAPE_KEY_FIELDS = ["title", "currentPrice", "listingType"];
+
+const SCRAPE_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+};
+
+// The site's structured data went missing - the values are guesses from page text or defaults
+function warnWeakScrape(url, listing) {
+  const weak = SCRAPE_KEY_FIELDS.filter((name) => ["low", "none"].includes(listing.fieldSources[name]?.confidence));
+  if (weak.length) {
+    console.warn(`Scrape of ${url} has low-confidence fields: ${weak.map((name) => `${name} (${listing.fieldSources[name].source})`).join(", ")}`);
+  }
+}
+
 async function scrapeEbayListing(url) {
-  const response = await fetch(url, {
+  const marketplace = getEbayMarketplace(url);
+  const response = await ebayHttp.request(url, {
     headers: {
-      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-      "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-      "Accept-Language": "en-US,en;q=0.5",
+      ...SCRAPE_HEADERS,
+      "Accept-Language": `${marketplace.language},${marketplace.language.split("-")[0]};q=0.5`,
     },
-  });
+  }, { scrape: true });
 
   if (!response.ok) {
     throw new Error(`Failed to fetch eBay listing: ${response.status}`);
   }
 
-  const html = await response.text();
-  const $ = cheerio.load(html);
-
-  // Extract title
-  const title = $("h1.x-item-title__mainTitle span").text().trim() ||
-                $("h1[itemprop='name']").text().trim() ||
-                $(".x-item-title__mainTitle").text().trim() ||
-                "Unknown Item";
-
-  // Extract current price
-  let currentPrice = $(".x-price-primary span").first().text().trim() ||
-                     $("[itemprop='price']").attr("content") ||
-                     $(".x-bin-price__content span").first().text().trim() ||
-                     "N/A";
-
-  // Extract bid count
-  let bidCount = 0;
-  const bidText = $(".x-bid-count span").text().trim() ||
-                  $("[data-testid='x-bid-count'] span").text().trim();
-  const bidMatch = bidText.match(/(\d+)\s*bid/i);
-  if (bidMatch) {
-    bidCount = parseInt(bidMatch[1], 10);
-  }
-
-  // Extract end time - try multiple methods
-  let endTime = null;
-
-  // Method 1: Look for timer data in scripts (most reliable)
-  $("script").each((i, el) => {
-    if (endTime) return;
-    const scriptContent = $(el).html() || "";
-
-    // Look for various timestamp patterns in eBay's scripts
-    const patterns = [
-      /"endTime":\s*(\d{13})/,
-      /"timeMs":\s*(\d{13})/,
-      /"startTime":\s*\d+,\s*"endTime":\s*(\d{13})/,
-      /endTimeMs['"]\s*:\s*(\d{13})/,
-      /"Timer"[^}]*"endTime":\s*(\d{13})/,
-    ];
+  const listing = parseEbayItemPage(await response.text(), url);
+  warnWeakScrape(url, listing);
+  return listing;
+}
 
-    for (const pattern of patterns) {
-      const match = scriptContent.match(pattern);
-      if (match) {
-        endTime = parseInt(match[1], 10);
-        break;
-      }
-    }
-  });
+// Item pages of marketplaces without a public API (Mercari, Poshmark). They share the eBay client's
+// per-host rate limits and captcha circuit breaker
+async function scrapeMarketplaceListing(url, parse) {
+  const response = await ebayHttp.request(url, {
+    headers: { ...SCRAPE_HEADERS, "Accept-Language": "en-US,en;q=0.5" },
+  }, { scrape: true });
 
-  // Method 2: Look for countdown timer element data attributes
-  if (!endTime) {
-    const timerEl = $("[data-timer], .x-timer, .vi-tm-left");
-    const timerData = timerEl.attr("data-timer") || timerEl.attr("data-end-time");
-    if (timerData) {
-      const parsed = parseInt(timerData, 10);
-      if (!isNaN(parsed)) endTime = parsed;
-    }
-  }
-
-  // Method 3: Parse displayed end time text
-  if (!endTime) {
-    const endTimeText = $(".x-end-time span").text().trim() ||
-                        $("[data-testid='x-end-time']").text().trim() ||
-                        $(".vi-tm-left").text().trim() ||
-                        $(".ux-timer__text").text().trim();
-
-    if (endTimeText) {
-      // Try direct parse first
-      let parsed = Date.parse(endTimeText);
-
-      // Handle relative time like "1d 5h" or "2h 30m"
-      if (isNaN(parsed)) {
-        const daysMatch = endTimeText.match(/(\d+)\s*d/i);
-        const hoursMatch = endTimeText.match(/(\d+)\s*h/i);
-        const minsMatch = endTimeText.match(/(\d+)\s*m/i);
-
-        if (daysMatch || hoursMatch || minsMatch) {
-          const days = daysMatch ? parseInt(daysMatch[1], 10) : 0;
-          const hours = hoursMatch ? parseInt(hoursMatch[1], 10) : 0;
-          const mins = minsMatch ? parseInt(minsMatch[1], 10) : 0;
-          endTime = Date.now() + (days * 86400000) + (hours * 3600000) + (mins * 60000);
-        }
-      } else {
-        endTime = parsed;
-      }
-    }
-  }
-
-  // Extract views count
-  let views = 0;
-  const viewsText = $(".d-view-count").text().trim() ||
-                    $("[data-testid='x-view-count']").text().trim() ||
-                    $(".vi-notify-new-bg span").text().trim();
-  const viewsMatch = viewsText.match(/([\d,]+)\s*view/i);
-  if (viewsMatch) {
-    views = parseInt(viewsMatch[1].replace(/,/g, ""), 10);
-  }
-
-  // Extract watchers count
-  let watchers = 0;
-  const watchersText = $(".d-watch-count").text().trim() ||
-                       $("[data-testid='x-watch-count']").text().trim() ||
-                       $(".vi-notify-new-bg").text().trim();
-  const watchersMatch = watchersText.match(/([\d,]+)\s*watch/i);
-  if (watchersMatch) {
-    watchers = parseInt(watchersMatch[1].replace(/,/g, ""), 10);
-  }
-
-  // Extract image URL
-  const imageUrl = $(".ux-image-carousel-item img").first().attr("src") ||
-                   $("[itemprop='image']").attr("content") ||
-                   $(".x-photos-min-view img").first().attr("src") ||
-                   $("img[data-testid='ux-image-carousel-item']").first().attr("src") ||
-                   null;
-
-  // Extract description (truncated)
-  let description = $(".x-item-description-text").text().trim() ||
-                    $("[data-testid='item-description'] iframe").attr("srcdoc") ||
-                    "";
-
-  // If description is in iframe srcdoc, try to parse it
-  if (description.includes("<")) {
-    const descDoc = cheerio.load(description);
-    description = descDoc.text().trim();
-  }
-
-  description = description.slice(0, 500);
-  if (description.length === 500) description += "...";
-
-  // Determine if auction is ended
-  const isEnded = $(".ended-msg").length > 0 ||
-                  $(".x-end-panel").text().toLowerCase().includes("ended") ||
-                  html.toLowerCase().includes("bidding has ended");
-
-  // Determine listing type
-  // Check for auction indicators (bid count element, "Place bid" button, bid history)
-  const hasAuctionIndicators = $(".x-bid-count").length > 0 ||
-                               $("[data-testid='x-bid-count']").length > 0 ||
-                               html.includes("Place bid") ||
-                               html.includes("bid history");
-
-  // Check for Buy It Now indicators
-  const hasBinIndicators = $(".x-bin-price").length > 0 ||
-                           $("[data-testid='x-bin-action']").length > 0 ||
-                           html.includes("Buy It Now");
-
-  let listingType;
-  let buyItNowPrice = null;
-
-  if (hasAuctionIndicators && hasBinIndicators) {
-    listingType = "auction_with_bin";
-    // Extract BIN price
-    const binPriceText = $(".x-bin-price__content span").first().text().trim() ||
-                         $(".x-bin-price span.ux-textspans").first().text().trim();
-    if (binPriceText) {
-      buyItNowPrice = binPriceText;
-    }
-  } else if (hasAuctionIndicators) {
-    listingType = "auction";
-  } else {
-    listingType = "buy_it_now";
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${new URL(url).hostname} listing: ${response.status}`);
   }
 
-  return {
-    title,
-    currentPrice,
-    bidCount,
-    endTime,
-    imageUrl,
-    description,
-    views,
-    watchers,
-    status: isEnded ? "ended" : "active",
-    source: "scrape",
-    listingType,
-    buyItNowPrice,
-  };
+  const listing = parse(await response.text(), url);
+  warnWeakScrape(url, listing);
+  return listing;
 }
 
 // -------------------------
@@ -599,6 +1145,124 @@ async function getEbayListing(url) {
   return listing;
 }
 
+// -------------------------
+// Comps (the search and price summary are in ebay-browse.js)
+// -------------------------
+function buildCompsMessage(ticket, query, summary) {
+  const embed = new EmbedBuilder()
+    .setTitle(`Comps - ${query}`.slice(0, 256))
+    .setColor(0x0064d2);
+
+  if (!summary) {
+    embed.setDescription("No priced matches found on eBay. Try a shorter or more general item name.");
+    return { embeds: [embed], components: [] };
+  }
+
+  const money = (value) => formatMoney(value, summary.currency);
+  const top = summary.top
+    .map((m, i) => `${i + 1}. [${m.title.slice(0, 70)}](${m.url}) - **${money(m.price)}**${m.condition ? ` (${m.condition})` : ""}`)
+    .join("\n");
+
+  embed
+    .setDescription(`Based on **${summary.count}** active eBay listings.\n\n**Top matches**\n${top}`.slice(0, 4096))
+    .addFields(
+      { name: "Median", value: money(summary.median), inline: true },
+      { name: "Low", value: money(summary.low), inline: true },
+      { name: "High", value: money(summary.high), inline: true }
+    )
+    .setFooter({ text: "Pick a suggested price to save it on this ticket" });
+
+  if (ticket.targetPrice) {
+    embed.addFields({ name: "Target price (intake)", value: formatMoney(Number(ticket.targetPrice), ebaySellDefaults.currency), inline: true });
+  }
+
+  // comps_use:<which>:<currency>:<amount> - the currency is saved with the suggested price
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`comps_use:median:${summary.currency}:${summary.median.toFixed(2)}`)
+      .setLabel(`Use Median (${money(summary.median)})`)
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`comps_use:low:${summary.currency}:${summary.low.toFixed(2)}`)
+      .setLabel(`Use Low (${money(summary.low)})`)
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`comps_use:high:${summary.currency}:${summary.high.toFixed(2)}`)
+      .setLabel(`Use High (${money(summary.high)})`)
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId("comps_custom")
+      .setLabel("Custom Price")
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+// -------------------------
+// eBay Sell Inventory API (drafts from listing tickets)
+// -------------------------
+let ebayUserAccessToken = null;
+let ebayUserTokenExpiry = 0;
+
+// Seller refresh token (user consent grant) - database first, then config
+function getEbayRefreshToken() {
+  const db = loadDb();
+  return db.ebayCredentials?.refreshToken || configEbayRefreshToken;
+}
+
+function isEbaySellEnabled() {
+  return isEbayApiEnabled() && Boolean(getEbayRefreshToken());
+}
+
+async function getEbayUserAccessToken() {
+  // Return cached token if still valid (with 5 min buffer)
+  if (ebayUserAccessToken && Date.now() < ebayUserTokenExpiry - 300000) {
+    return ebayUserAccessToken;
+  }
+
+  const creds = getEbayCredentials();
+  const refreshToken = getEbayRefreshToken();
+  if (!creds || !refreshToken) {
+    throw new Error("eBay seller token not configured (use /ebay-setup)");
+  }
+
+  const credentials = Buffer.from(`${creds.appId}:${creds.certId}`).toString("base64");
+  const body = new URLSearchParams({
+    grant_type: "refresh_token",
+    refresh_token: refreshToken,
+    scope: "https://api.ebay.com/oauth/api_scope/sell.inventory",
+  });
+
+  const response = await ebayHttp.request(`${ebayApiBaseUrl}/identity/v1/oauth2/token`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "Authorization": `Basic ${credentials}`,
+    },
+    body: body.toString(),
+  }, { quota: "identity" });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`eBay seller OAuth failed: ${response.status} - ${error}`);
+  }
+
+  const data = await response.json();
+  ebayUserAccessToken = data.access_token;
+  ebayUserTokenExpiry = Date.now() + (data.expires_in * 1000);
+
+  console.log("eBay seller token obtained, expires in", data.expires_in, "seconds");
+  return ebayUserAccessToken;
+}
+
+const ebaySell = createEbaySellClient({
+  baseUrl: ebayApiBaseUrl,
+  request: ebayHttp.request,
+  getAccessToken: getEbayUserAccessToken,
+  defaults: ebaySellDefaults,
+});
+
 // -------------------------
 // Panel message (Create Listing button)
 // -------------------------
@@ -606,7 +1270,7 @@ function buildPanelMessage() {
   const embed = new EmbedBuilder()
     .setTitle("Create a Listing Ticket")
     .setDescription(
-      "Press the button below to create a new listing channel.\n\nYou'll be asked for an item name and optional description, then a private channel will be created for uploading photos."
+      "Press the button below to create a new listing channel.\n\nYou'll be asked for an item name, description, condition, pricing and shipping details, then a private channel will be created for uploading photos."
     );
 
   const row = new ActionRowBuilder().addComponents(
@@ -649,16 +1313,17 @@ async function ensurePanelMessage() {
 // -------------------------
 function buildEbayPanelMessage() {
   const embed = new EmbedBuilder()
-    .setTitle("Track an eBay Listing")
+    .setTitle("Track a Listing")
     .setDescription(
-      "Press the button below to start tracking an eBay auction.\n\nYou'll be asked for an eBay listing URL, then a channel will be created to track the listing's price and bid updates."
+      `Press the button below to start tracking a listing on ${MARKETPLACE_ADAPTERS.map((a) => `${a.emoji} ${a.name}`).join(", ")}.\n\n` +
+      "You'll be asked for the listing URL, then a channel will be created to track the listing's price and bid updates."
     )
     .setColor(0x0064d2); // eBay blue
 
   const row = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
       .setCustomId("ebay_add")
-      .setLabel("Add eBay Listing")
+      .setLabel("Add Listing")
       .setStyle(ButtonStyle.Primary)
   );
 
@@ -697,29 +1362,56 @@ async function ensureEbayPanelMessage() {
 // -------------------------
 // eBay Listing Embed
 // -------------------------
+// Discord renders <t:…:R> as a live countdown in each viewer's timezone, so it stays right between edits
 function formatTimeLeft(endTime) {
   if (!endTime) return "Unknown";
 
-  const now = Date.now();
-  const diff = endTime - now;
+  const seconds = Math.floor(endTime / 1000);
+  if (endTime <= Date.now()) return `Ended <t:${seconds}:R>`;
+  return `<t:${seconds}:R>`;
+}
 
-  if (diff <= 0) return "Ended";
+// Compact "2d 5h" style duration (for elapsed times; see formatTimeLeft for countdowns)
+function formatDuration(ms) {
+  const totalMinutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
 
-  const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-  const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-  const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
 
+function formatVariationStock(variation) {
   const parts = [];
-  if (days > 0) parts.push(`${days}d`);
-  if (hours > 0) parts.push(`${hours}h`);
-  if (minutes > 0 || parts.length === 0) parts.push(`${minutes}m`);
+  if (!variation.inStock) parts.push("**out of stock**");
+  else if (variation.available !== null) parts.push(`${variation.available} left`);
+  if (variation.sold !== null) parts.push(`${variation.sold} sold`);
+  return parts.join(" · ");
+}
 
-  return parts.join(" ");
+// One line per variation, trimmed to fit an embed field
+function formatVariations(variations) {
+  const lines = variations.map((v) => `${v.label} - ${v.price}${formatVariationStock(v) ? ` · ${formatVariationStock(v)}` : ""}`);
+  let value = "";
+  for (let i = 0; i < lines.length; i++) {
+    const more = `\n…and ${lines.length - i} more`;
+    if (value.length + lines[i].length + 1 > 1024 - more.length) return value + more;
+    value += (value ? "\n" : "") + lines[i];
+  }
+  return value;
+}
+
+function describeVariationChange(change) {
+  return change.type === "sold"
+    ? `🛒 **${change.variation.label}** sold${change.count > 1 ? ` ×${change.count}` : ""} at ${change.variation.price}`
+    : `⚠️ **${change.variation.label}** is now out of stock`;
 }
 
 function buildEbayListingEmbed(listing) {
   // Determine color based on status and listing type
-  let color = 0x0064d2; // eBay blue for active
+  let color = getListingAdapter(listing).color; // Marketplace color (eBay blue) for active
   if (listing.status === "ended" || listing.status === "sold" || listing.status === "shipped") {
     color = 0x808080; // Gray for ended/sold/shipped
   }
@@ -755,17 +1447,56 @@ function buildEbayListingEmbed(listing) {
     );
   }
 
-  embed.setFooter({ text: `Last updated: ${new Date(listing.lastChecked).toLocaleString()} | via ${listing.source === "api" ? "eBay API" : "web scrape"}` });
+  if (listing.multiQuantity && !listing.variations?.length) {
+    const stock = formatVariationStock({
+      inStock: listing.quantityAvailable !== 0,
+      available: listing.quantityAvailable ?? null,
+      sold: listing.quantitySold ?? null,
+    });
+    if (stock) embed.addFields({ name: "Quantity", value: stock, inline: true });
+  }
 
-  if (listing.imageUrl) {
-    embed.setImage(listing.imageUrl);
+  if (listing.variations?.length) {
+    embed.addFields({ name: `Variations (${listing.variations.length})`, value: formatVariations(listing.variations) });
   }
 
-  // Update title based on status
-  if (listing.status === "ended") {
-    embed.setTitle(`[ENDED] ${listing.title}`);
-  } else if (listing.status === "sold") {
-    embed.setTitle(`[SOLD] ${listing.title}`);
+  // Linked listing ticket (photos, intake notes) in a separate channel
+  if (listing.ticketChannelId) {
+    embed.addFields({ name: "Listing Ticket", value: `<#${listing.ticketChannelId}>`, inline: true });
+  }
+
+  if (listing.runs?.length) {
+    const last = listing.runs[listing.runs.length - 1];
+    embed.addFields({
+      name: `Previous Runs (${listing.runs.length})`,
+      value: `Last ended <t:${Math.floor(last.endedAt / 1000)}:R> at ${last.finalPrice || "N/A"}` +
+        (last.listingType === "buy_it_now" ? "" : ` with ${last.bidCount || 0} bids`),
+      inline: true,
+    });
+  }
+
+  if (listing.missingFromSellerAt) {
+    embed.addFields({
+      name: "⚠️ Seller",
+      value: `Not in ${listing.seller}'s active listings since <t:${Math.floor(listing.missingFromSellerAt / 1000)}:R>`,
+      inline: true,
+    });
+  }
+
+  // The embed timestamp shows the last check in each viewer's timezone
+  embed
+    .setFooter({ text: `Last updated via ${listing.source === "api" ? "eBay API" : "web scrape"}` })
+    .setTimestamp(listing.lastChecked || null);
+
+  if (listing.imageUrl) {
+    embed.setImage(listing.imageUrl);
+  }
+
+  // Update title based on status
+  if (listing.status === "ended") {
+    embed.setTitle(`[ENDED] ${listing.title}`);
+  } else if (listing.status === "sold") {
+    embed.setTitle(`[SOLD] ${listing.title}`);
   } else if (listing.status === "shipped") {
     embed.setTitle(`[SHIPPED] ${listing.title}`);
   }
@@ -773,14 +1504,19 @@ function buildEbayListingEmbed(listing) {
   return embed;
 }
 
-function buildEbayListingButtons(listing) {
+// Tracker message components: the listing actions, plus a Follow/Unfollow row
+function buildEbayListingComponents(listing) {
   const buttons = [
     new ButtonBuilder()
       .setCustomId("ebay_refresh")
       .setLabel("Refresh")
       .setStyle(ButtonStyle.Secondary),
     new ButtonBuilder()
-      .setLabel("Open on eBay")
+      .setCustomId("ebay_history")
+      .setLabel("History")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setLabel(`Open on ${getListingAdapter(listing).name}`)
       .setStyle(ButtonStyle.Link)
       .setURL(listing.url),
   ];
@@ -791,7 +1527,7 @@ function buildEbayListingButtons(listing) {
   if (listing.status === "active") {
     // Active listings
     if (isBuyItNow) {
-      // BIN (active): Refresh, Open on eBay, Mark Sold, Close Tracking
+      // BIN (active): Refresh, History, Open on eBay, Mark Sold, Close Tracking
       buttons.push(
         new ButtonBuilder()
           .setCustomId("ebay_sold")
@@ -807,879 +1543,4495 @@ function buildEbayListingButtons(listing) {
         .setStyle(ButtonStyle.Danger)
     );
   } else if (listing.status === "ended" || listing.status === "sold") {
-    // Ended auctions or sold BIN: Refresh, Open on eBay, Mark Shipped
+    // Ended auctions or sold BIN: Refresh, History, Open on eBay, Mark Shipped
     buttons.push(
       new ButtonBuilder()
         .setCustomId("ebay_shipped")
         .setLabel("Mark Shipped")
         .setStyle(ButtonStyle.Success)
     );
+    // Ended without a sale (or the buyer never paid): attach the relisted item to this channel
+    if (listing.status === "ended") {
+      buttons.push(
+        new ButtonBuilder()
+          .setCustomId("ebay_relist")
+          .setLabel("Relisted")
+          .setEmoji("🔁")
+          .setStyle(ButtonStyle.Primary)
+      );
+    }
   }
-  // shipped status: only Refresh and Open on eBay buttons
+  // shipped status: only Refresh, History and Open on eBay buttons
+
+  const followRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("ebay_follow")
+      .setLabel("Follow")
+      .setEmoji("🔔")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId("ebay_unfollow")
+      .setLabel("Unfollow")
+      .setEmoji("🔕")
+      .setStyle(ButtonStyle.Secondary)
+  );
 
-  return new ActionRowBuilder().addComponents(buttons);
+  return [new ActionRowBuilder().addComponents(buttons), followRow];
 }
 
 // -------------------------
-// Ticket channel message (upload instructions + buttons)
+// eBay listing history (time series, PNG charts, CSV export)
 // -------------------------
-function buildListingIntroMessage(itemName, itemDesc, ownerId) {
+// One sample per check: { t, price, currency, bids, views, watchers, status }
+function recordListingHistory(listing) {
+  if (!listing.history) listing.history = [];
+
+  const price = parseMoney(listing.currentPrice, getListingMarketplace(listing).currency);
+  listing.history.push({
+    t: listing.lastChecked || Date.now(),
+    price: price ? price.amount : null,
+    currency: price ? price.currency : null,
+    bids: listing.bidCount || 0,
+    views: listing.views || 0,
+    watchers: listing.watchers || 0,
+    status: listing.status,
+  });
+
+  // Past the cap, halve the resolution of the older half so the chart still covers the whole listing
+  if (listing.history.length > ebayHistoryMaxPoints) {
+    const half = Math.floor(listing.history.length / 2);
+    listing.history = [
+      ...listing.history.slice(0, half).filter((_, i) => i % 2 === 0),
+      ...listing.history.slice(half),
+    ];
+  }
+}
+
+function buildHistoryCsv(listing) {
+  const rows = [["timestamp", "price", "currency", "bids", "views", "watchers", "status"]];
+  for (const point of listing.history || []) {
+    rows.push([
+      new Date(point.t).toISOString(),
+      point.price ?? "",
+      point.currency || "",
+      point.bids,
+      point.views,
+      point.watchers,
+      point.status || "",
+    ]);
+  }
+  return rows.map((row) => row.join(",")).join("\n") + "\n";
+}
+
+// Reply payload for the History button / /ebay-history
+function buildHistoryReply(channelId, listing, format = "chart") {
+  const points = listing.history || [];
+  if (!points.length) {
+    return { content: "No history recorded for this listing yet - it fills in as the tracker checks eBay." };
+  }
+
+  const csv = new AttachmentBuilder(Buffer.from(buildHistoryCsv(listing), "utf8"), {
+    name: `history-${listing.itemId || channelId}.csv`,
+  });
+  if (format === "csv") {
+    return { content: `📈 ${points.length} samples for **${listing.title}**`, files: [csv] };
+  }
+
+  const priced = points.filter((p) => p.price !== null);
+  const currency = priced[priced.length - 1]?.currency || getListingMarketplace(listing).currency;
   const embed = new EmbedBuilder()
-    .setTitle("Listing Ticket Created")
+    .setTitle(`History - ${listing.title}`.slice(0, 256))
+    .setURL(listing.url)
+    .setColor(0x0064d2)
+    .setImage("attachment://history.png")
     .addFields(
-      { name: "Owner", value: `<@${ownerId}>`, inline: true },
-      { name: "Item", value: itemName || "-", inline: true },
-      { name: "Description", value: itemDesc?.trim() ? itemDesc : "-" }
-    )
-    .setDescription(
-      [
-        "✅ Upload product photos in this channel.",
-        "• Add multiple angles, labels, serial numbers, flaws, etc.",
-        "• When you're finished, press **Done Uploading**.",
-      ].join("\n")
+      { name: "Samples", value: String(points.length), inline: true },
+      { name: "Since", value: `<t:${Math.floor(points[0].t / 1000)}:f>`, inline: true }
     );
 
+  if (priced.length) {
+    const prices = priced.map((p) => p.price);
+    embed.addFields({
+      name: "Price Range",
+      value: `${formatMoney(Math.min(...prices), currency)} - ${formatMoney(Math.max(...prices), currency)}`,
+      inline: true,
+    });
+  }
+
+  embed.addFields({ name: "Peak Watchers", value: String(Math.max(...points.map((p) => p.watchers))), inline: true });
+
   const row = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
-      .setCustomId("listing_done")
-      .setLabel("Done Uploading")
-      .setStyle(ButtonStyle.Success),
-    new ButtonBuilder()
-      .setCustomId("listing_close")
-      .setLabel("Close Ticket")
+      .setCustomId(`ebay_history_csv:${channelId}`)
+      .setLabel("Download CSV")
       .setStyle(ButtonStyle.Secondary)
   );
 
-  return { embeds: [embed], components: [row] };
+  return {
+    embeds: [embed],
+    files: [new AttachmentBuilder(renderHistoryChart(points, { currency }), { name: "history.png" })],
+    components: [row],
+  };
 }
 
 // -------------------------
-// Ready
+// eBay Tracker channels
 // -------------------------
-client.once(Events.ClientReady, async (readyClient) => {
-  console.log(`Ready! Logged in as ${readyClient.user.tag}`);
-
-  // Register slash commands
-  await registerSlashCommands();
+// Active eBay trackers live in the auction or BIN category depending on listing type; other
+// marketplaces (all fixed price) get their own category if one is configured
+function getEbayTrackerCategory(listing) {
+  const adapter = getListingAdapter(listing);
+  if (adapter.id !== "ebay") {
+    return { categoryId: marketplaceCategoryIds[adapter.id] || ebayBuyItNowCategoryId, emoji: adapter.emoji };
+  }
+  if (listing.listingType === "buy_it_now") {
+    return { categoryId: ebayBuyItNowCategoryId, emoji: "💰" };
+  }
+  // auction or auction_with_bin
+  return { categoryId: ebayAuctionsCategoryId, emoji: "🔨" };
+}
 
-  try {
-    await ensurePanelMessage();
-    console.log("Listing panel ensured.");
-  } catch (err) {
-    console.error("Failed to ensure panel message:", err);
+// Where a tracker channel belongs for its current status (what /ebay-organize enforces)
+function getEbayChannelPlacement(listing) {
+  if (listing.status === "shipped") {
+    return { categoryId: ebayArchivedCategoryId, emoji: "✅" };
   }
 
-  try {
-    await ensureEbayPanelMessage();
-    if (ebayIntakeChannelId) {
-      console.log("eBay panel ensured.");
-      console.log(`eBay API: ${isEbayApiEnabled() ? "enabled" : "disabled (using web scraping)"}`);
-      startEbayUpdateLoop();
-    }
-  } catch (err) {
-    console.error("Failed to ensure eBay panel message:", err);
+  const { categoryId, emoji } = getEbayTrackerCategory(listing);
+  // Ended/sold items stay in their original category with ✅ emoji
+  if (listing.status === "ended" || listing.status === "sold") {
+    return { categoryId, emoji: "✅" };
   }
-});
+  return { categoryId, emoji };
+}
+
+// The channel name with its leading tracker emoji (💰, 🔨, 📦, ...) swapped for ✅
+function markChannelNameDone(name, listing) {
+  const { emoji } = getEbayTrackerCategory(listing);
+  return name.startsWith(emoji) ? `✅${name.slice(emoji.length)}` : name;
+}
+
+function buildEbayListingRecord(url, ownerId, listing) {
+  const now = Date.now();
+  const record = {
+    url,
+    platform: getListingAdapter(listing).id,
+    itemId: getListingAdapter(listing).getItemId(url),
+    ownerId,
+    title: listing.title,
+    currentPrice: listing.currentPrice,
+    bidCount: listing.bidCount,
+    endTime: listing.endTime,
+    imageUrl: listing.imageUrl,
+    description: listing.description,
+    views: listing.views,
+    watchers: listing.watchers,
+    status: listing.status,
+    source: listing.source,
+    marketplaceId: listing.marketplaceId || getEbayMarketplace(url).id,
+    listingType: listing.listingType,
+    buyItNowPrice: listing.buyItNowPrice,
+    variations: listing.variations || null,
+    quantityAvailable: listing.quantityAvailable ?? null,
+    quantitySold: listing.quantitySold ?? null,
+    multiQuantity: isMultiQuantity(listing),
+    lastChecked: now,
+    createdAt: now,
+  };
+  record.nextCheckAt = getNextCheckAt(record, now);
+  recordListingHistory(record);
+  return record;
+}
+
+// Creates a public tracker channel for a fetched listing (the tracker panel flow, any marketplace)
+async function createEbayTrackerChannel(guild, ownerId, url, listing, extra = {}) {
+  // Determine category and emoji based on listing type
+  const { categoryId, emoji } = getEbayTrackerCategory(listing);
+
+  // Create channel with simplified name
+  const chanName = await createUniqueChannelName(guild, categoryId, emoji, listing.title);
+
+  const channel = await guild.channels.create({
+    name: chanName,
+    type: ChannelType.GuildText,
+    parent: categoryId,
+    topic: `${getListingAdapter(listing).name} Tracker | owner=${ownerId} | ${url}`,
+    permissionOverwrites: [
+      // @everyone can view (or deny if you want private)
+      {
+        id: guild.id,
+        allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory],
+        deny: [PermissionFlagsBits.SendMessages],
+      },
+      // owner allowed to send
+      {
+        id: ownerId,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.ReadMessageHistory,
+        ],
+      },
+      // staff role allowed
+      {
+        id: staffRoleId,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.ManageMessages,
+          PermissionFlagsBits.ReadMessageHistory,
+        ],
+      },
+      // bot allowed
+      {
+        id: client.user.id,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.ManageChannels,
+          PermissionFlagsBits.ManageMessages,
+          PermissionFlagsBits.EmbedLinks,
+          PermissionFlagsBits.ReadMessageHistory,
+        ],
+      },
+    ],
+  });
+
+  // Store listing data
+  const db = loadDb();
+  if (!db.ebayListings) db.ebayListings = {};
+  const record = { ...buildEbayListingRecord(url, ownerId, listing), ...extra };
+  db.ebayListings[channel.id] = record;
+  saveDb(db);
+  ebayScheduler.schedule(channel.id, record.nextCheckAt);
+
+  // Post the listing embed
+  await postTrackerEmbed(channel, record);
+
+  return { channel, record };
+}
 
 // -------------------------
-// Interactions: button + modal submit
+// Tracker embed message (the live embed is found by the ID stored on the record)
 // -------------------------
-client.on(Events.InteractionCreate, async (interaction) => {
+// How far back the repair looks for a tracker embed posted before IDs were stored
+const TRACKER_EMBED_SEARCH_LIMIT = 1000;
+
+// The tracker embed is the bot message carrying the Refresh button
+function isTrackerEmbedMessage(message) {
+  return message.author.id === client.user.id &&
+    message.embeds.length > 0 &&
+    message.components.some((row) => row.components?.some((c) => c.customId === "ebay_refresh"));
+}
+
+// Remembers which message is the live embed, on both the caller's copy and the stored record
+function setTrackerEmbedMessageId(channelId, listing, messageId) {
+  listing.embedMessageId = messageId;
   const db = loadDb();
+  const stored = db.ebayListings?.[channelId];
+  if (stored && stored.embedMessageId !== messageId) {
+    stored.embedMessageId = messageId;
+    saveDb(db);
+  }
+}
 
-  // ---- Slash Commands ----
-  if (interaction.isChatInputCommand()) {
-    // /ebay-setup - Show modal to configure credentials
-    if (interaction.commandName === "ebay-setup") {
-      const modal = new ModalBuilder()
-        .setCustomId("ebay_setup_modal")
-        .setTitle("Configure eBay API Credentials");
+async function pinTrackerEmbed(message) {
+  if (message.pinned) return;
+  try {
+    await message.pin();
+  } catch (err) {
+    console.warn(`Could not pin tracker embed in ${message.channelId}:`, err.message);
+  }
+}
 
-      const appIdInput = new TextInputBuilder()
-        .setCustomId("ebay_app_id")
-        .setLabel("App ID (Client ID)")
-        .setPlaceholder("YourApp-Sellboy-PRD-xxxxxxxx-xxxxxxxx")
-        .setStyle(TextInputStyle.Short)
-        .setRequired(true)
-        .setMaxLength(100);
+async function postTrackerEmbed(channel, listing) {
+  const message = await channel.send({
+    embeds: [buildEbayListingEmbed(listing)],
+    components: buildEbayListingComponents(listing),
+  });
+  setTrackerEmbedMessageId(channel.id, listing, message.id);
+  await pinTrackerEmbed(message);
+  return message;
+}
 
-      const devIdInput = new TextInputBuilder()
-        .setCustomId("ebay_dev_id")
-        .setLabel("Dev ID (optional)")
-        .setPlaceholder("xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx")
-        .setStyle(TextInputStyle.Short)
-        .setRequired(false)
-        .setMaxLength(100);
+// Makes sure a tracker has a live embed: the stored message if it still exists, otherwise the newest
+// tracker embed in the pins or channel history (records from before IDs were stored), otherwise a
+// freshly posted one. The embed ends up pinned and its ID stored.
+// Returns { message, result } with result "ok", "found" or "reposted"
+async function repairTrackerEmbed(channel, listing) {
+  if (listing.embedMessageId) {
+    const message = await channel.messages.fetch(listing.embedMessageId).catch(() => null);
+    if (message) {
+      await pinTrackerEmbed(message);
+      return { message, result: "ok" };
+    }
+  }
 
-      const certIdInput = new TextInputBuilder()
-        .setCustomId("ebay_cert_id")
-        .setLabel("Cert ID (Client Secret)")
-        .setPlaceholder("PRD-xxxxxxxx-xxxx-xxxx-xxxx-xxxx")
-        .setStyle(TextInputStyle.Short)
-        .setRequired(true)
-        .setMaxLength(100);
+  const pinned = await channel.messages.fetchPinned().catch(() => null);
+  let message = pinned ? [...pinned.values()].find(isTrackerEmbedMessage) : null;
+  if (!message) {
+    const history = await fetchAllMessages(channel, TRACKER_EMBED_SEARCH_LIMIT).catch(() => []);
+    message = history.filter(isTrackerEmbedMessage).pop() || null;
+  }
 
-      modal.addComponents(
-        new ActionRowBuilder().addComponents(appIdInput),
-        new ActionRowBuilder().addComponents(devIdInput),
-        new ActionRowBuilder().addComponents(certIdInput)
-      );
+  if (message) {
+    setTrackerEmbedMessageId(channel.id, listing, message.id);
+    await pinTrackerEmbed(message);
+    return { message, result: "found" };
+  }
 
-      await interaction.showModal(modal);
-      return;
-    }
+  console.log(`Tracker embed missing in ${channel.id}, re-posting it`);
+  return { message: await postTrackerEmbed(channel, listing), result: "reposted" };
+}
 
-    // /ebay-status - Check API configuration status
-    if (interaction.commandName === "ebay-status") {
-      await interaction.deferReply({ ephemeral: true });
+// One-off migration for trackers created before embed IDs were stored
+async function migrateTrackerEmbedIds() {
+  const db = loadDb();
+  const pending = Object.entries(db.ebayListings || {}).filter(([, listing]) =>
+    !listing.embedMessageId && listing.status !== "closed" && !listing.channelDeletedAt
+  );
+  if (!pending.length) return;
 
-      const creds = getEbayCredentials();
-      if (!creds) {
-        await interaction.editReply({
-          content: "**eBay API Status**\n\n❌ Not configured\n\nUse `/ebay-setup` to configure credentials.",
-        });
-        return;
+  const counts = { ok: 0, found: 0, reposted: 0, failed: 0 };
+  for (const [channelId, listing] of pending) {
+    try {
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      if (!channel) {
+        counts.failed++;
+        continue;
       }
+      const { result } = await repairTrackerEmbed(channel, listing);
+      counts[result]++;
+    } catch (err) {
+      console.error(`Failed to migrate tracker embed for ${channelId}:`, err.message);
+      counts.failed++;
+    }
+  }
 
-      // Test the API connection
-      let testResult = "⏳ Testing...";
-      try {
-        // Clear cached token to force a fresh test
-        ebayAccessToken = null;
-        ebayTokenExpiry = 0;
-        await getEbayAccessToken();
-        testResult = "✅ Connection successful";
-      } catch (err) {
-        testResult = `❌ Connection failed: ${err.message}`;
-      }
+  console.log(`Tracker embed IDs migrated: ${counts.found} found, ${counts.reposted} re-posted, ${counts.failed} failed.`);
+}
 
-      const maskedAppId = creds.appId.slice(0, 8) + "..." + creds.appId.slice(-4);
-      const maskedCertId = creds.certId.slice(0, 8) + "..." + creds.certId.slice(-4);
+// Share-link hosts that only redirect to the real listing
+const EBAY_SHORT_LINK_HOSTS = ["ebay.us", "ebay.to"];
 
-      await interaction.editReply({
-        content: [
-          "**eBay API Status**",
-          "",
-          `✅ Configured (source: ${creds.source})`,
-          `App ID: \`${maskedAppId}\``,
-          `Cert ID: \`${maskedCertId}\``,
-          "",
-          `**API Test:** ${testResult}`,
-        ].join("\n"),
-      });
-      return;
-    }
+// The listing's URL on the site of its marketplace (e.g. EBAY_GB → ebay.co.uk), which is where
+// trackers read the marketplace and currency from
+function buildEbayItemUrl(itemId, marketplaceId) {
+  const domain = Object.keys(EBAY_MARKETPLACES).find((key) => EBAY_MARKETPLACES[key].id === marketplaceId) || "ebay.com";
+  return `https://www.${domain}/itm/${itemId}`;
+}
 
-    // /ebay-clear - Remove stored credentials
-    if (interaction.commandName === "ebay-clear") {
-      await interaction.deferReply({ ephemeral: true });
+// A pasted link as an absolute URL string (people often leave off the https://)
+function toAbsoluteUrl(input) {
+  const text = String(input || "").trim();
+  return /^https?:\/\//i.test(text) ? text : `https://${text}`;
+}
 
-      const creds = getEbayCredentials();
-      if (!creds) {
-        await interaction.editReply({
-          content: "No eBay credentials are configured.",
-        });
-        return;
-      }
+// The pasted link's hostname without "www.", or "" if it isn't a URL
+function getInputHost(input) {
+  try {
+    return new URL(toAbsoluteUrl(input)).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
 
-      if (creds.source === "config") {
-        await interaction.editReply({
-          content: "⚠️ Credentials are stored in `config.json`, not the database.\n\nTo remove them, edit the config file directly and remove the `ebayAppId`, `ebayDevId`, and `ebayCertId` fields.",
-        });
-        return;
-      }
+// Turns whatever the user pasted into { itemId, url } with url in the canonical
+// https://www.<domain>/itm/<id> form. Short links are followed to the listing they point at,
+// product links go to one of the product's listings
+async function resolveEbayListingUrl(input) {
+  let text = String(input || "").trim();
+
+  if (EBAY_SHORT_LINK_HOSTS.includes(getInputHost(text))) {
+    const response = await ebayHttp.request(toAbsoluteUrl(text), {
+      redirect: "follow",
+      headers: {
+        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+      },
+    });
+    await response.body?.cancel();
+    text = response.url;
+  }
 
-      // Remove from database
-      delete db.ebayCredentials;
-      saveDb(db);
+  const parsed = parseEbayItemUrl(text);
+  if (!parsed) {
+    throw new Error("That isn't an eBay item link. Paste a listing URL (e.g., https://www.ebay.com/itm/...), a share link or the item number");
+  }
+  if (!parsed.itemId) {
+    return resolveEbayProductListing(parsed);
+  }
 
-      // Clear cached token
-      ebayAccessToken = null;
-      ebayTokenExpiry = 0;
+  return { itemId: parsed.itemId, url: `https://www.${parsed.domain}/itm/${parsed.itemId}` };
+}
 
-      await interaction.editReply({
-        content: "✅ eBay credentials have been removed from the database.",
-      });
-      return;
-    }
+// A /p/<epid> product link names a catalog product, not a listing - this picks eBay's best match
+// among the product's active listings on that site
+async function resolveEbayProductListing({ domain, epid }) {
+  const productError = "That's a product page, not a listing. Open the specific listing and copy its link";
+  if (!epid || !isEbayApiEnabled()) throw new Error(productError);
 
-    // /ebay-organize - Organize all eBay listings into correct categories
-    if (interaction.commandName === "ebay-organize") {
-      await interaction.deferReply({ ephemeral: true });
+  const [item] = await ebayBrowse.searchItems("", { epid, limit: 1, marketplaceId: EBAY_MARKETPLACES[domain].id });
+  const itemId = item && (item.legacyItemId || item.itemId?.split("|")[1]);
+  if (!itemId) {
+    throw new Error(`No active listings found for that product. ${productError}`);
+  }
 
-      const guild = await client.guilds.fetch(guildId);
-      const results = {
-        total: 0,
-        moved: 0,
-        emojiUpdated: 0,
-        typeDetected: 0,
-        errors: 0,
-        skipped: 0,
-      };
+  return { itemId, url: `https://www.${domain}/itm/${itemId}` };
+}
+
+// The tracker (if any) already following this item on that marketplace. Returns [channelId, listing] or null.
+// Closed trackers count until their channel is deleted, since they can be reopened
+function findEbayTrackerByItemId(db, itemId, platform = "ebay") {
+  if (!itemId) return null;
+  return Object.entries(db.ebayListings || {}).find(([, listing]) =>
+    !listing.channelDeletedAt &&
+    getListingAdapter(listing).id === platform &&
+    (listing.itemId || getListingAdapter(listing).getItemId(listing.url)) === itemId
+  ) || null;
+}
+
+// -------------------------
+// Marketplace adapters
+// -------------------------
+// Trackers follow listings on every marketplace listed here. An adapter has:
+//   id           - stored on tracker records as `platform` (records from before adapters are eBay)
+//   name, emoji  - shown on tracker channels and buttons; the emoji prefixes fixed-price trackers
+//   color        - embed color while the listing is active
+//   matchesUrl(input)   - whether a pasted link (or item number) belongs to this marketplace
+//   getItemId(url)      - the marketplace's item ID from a listing URL, or null
+//   resolveUrl(input)   - async { itemId, url } with url in canonical form; throws a user-facing message
+//   fetchListing(url)   - async listing in the shape parseEbayItemPage returns (title, currentPrice,
+//                         bidCount, endTime, imageUrl, description, views, watchers, status, quantityAvailable,
+//                         quantitySold, source, marketplaceId, listingType, buyItNowPrice, variations)
+// eBay comes first so bare item numbers are read as eBay items
+const MARKETPLACE_ADAPTERS = [
+  {
+    id: "ebay",
+    name: "eBay",
+    emoji: "💰",
+    color: 0x0064d2,
+    matchesUrl: (input) => Boolean(parseEbayItemUrl(input)) || EBAY_SHORT_LINK_HOSTS.includes(getInputHost(input)),
+    getItemId: getEbayItemId,
+    resolveUrl: resolveEbayListingUrl,
+    fetchListing: getEbayListing,
+  },
+  {
+    id: "mercari",
+    name: "Mercari",
+    emoji: "📦",
+    color: 0x5356ee,
+    matchesUrl: (input) => getInputHost(input) === "mercari.com",
+    getItemId: getMercariItemId,
+    resolveUrl: async (input) => {
+      const itemId = getMercariItemId(toAbsoluteUrl(input));
+      if (!itemId) {
+        throw new Error("That isn't a Mercari item link. Open the item and copy its link (https://www.mercari.com/us/item/m...)");
+      }
+      return { itemId, url: resolveMercariUrl(toAbsoluteUrl(input)) };
+    },
+    fetchListing: (url) => scrapeMarketplaceListing(url, parseMercariItemPage),
+  },
+  {
+    id: "poshmark",
+    name: "Poshmark",
+    emoji: "👗",
+    color: 0x7f0353,
+    matchesUrl: (input) => ["poshmark.com", "poshmark.ca"].includes(getInputHost(input)),
+    getItemId: getPoshmarkItemId,
+    resolveUrl: async (input) => {
+      const itemId = getPoshmarkItemId(toAbsoluteUrl(input));
+      if (!itemId) {
+        throw new Error("That isn't a Poshmark listing link. Open the listing and copy its link (https://poshmark.com/listing/...)");
+      }
+      return { itemId, url: resolvePoshmarkUrl(toAbsoluteUrl(input)) };
+    },
+    fetchListing: (url) => scrapeMarketplaceListing(url, parsePoshmarkItemPage),
+  },
+];
+
+// The adapter for a pasted link, or null if no marketplace recognizes it
+function getMarketplaceAdapter(input) {
+  return MARKETPLACE_ADAPTERS.find((adapter) => adapter.matchesUrl(input)) || null;
+}
+
+// The adapter a tracker record (or fetched listing) belongs to
+function getListingAdapter(listing) {
+  return MARKETPLACE_ADAPTERS.find((adapter) => adapter.id === (listing.platform || "ebay")) || MARKETPLACE_ADAPTERS[0];
+}
+
+// Turns any supported link into { adapter, itemId, url }. Throws with a user-facing message
+async function resolveListingUrl(input) {
+  const adapter = getMarketplaceAdapter(input);
+  if (!adapter) {
+    throw new Error(`That isn't a listing link from a marketplace we track (${MARKETPLACE_ADAPTERS.map((a) => a.name).join(", ")}). Paste the item's URL`);
+  }
+  return { adapter, ...(await adapter.resolveUrl(input)) };
+}
+
+// Fetches a listing through its marketplace's adapter, tagged with the platform it came from
+async function fetchMarketplaceListing(url, adapter = getMarketplaceAdapter(url)) {
+  return { ...(await adapter.fetchListing(url)), platform: adapter.id };
+}
+
+function describeExistingTracker([channelId, listing]) {
+  return listing.status === "closed"
+    ? `That item is already tracked in <#${channelId}> (closed - use Reopen there).`
+    : `That item is already tracked in <#${channelId}>.`;
+}
+
+// Turns a listing ticket channel into an eBay tracker for its live listing.
+// The ticket record stays under the same channel ID, so both records point at each other
+async function convertTicketToTracker(guild, channel, ticket, url) {
+  const listingId = getEbayItemId(url);
+
+  let listing;
+  try {
+    listing = await getEbayListing(url);
+  } catch (err) {
+    // Freshly published listings can take a moment to show up in the Browse API
+    console.warn(`Could not fetch new listing ${listingId || url}, using ticket data: ${err.message}`);
+    listing = {
+      title: ticket.itemName,
+      currentPrice: (ticket.targetPrice || ebaySellDefaults.price)
+        ? formatMoney(Number(ticket.targetPrice || ebaySellDefaults.price), ebaySellDefaults.currency)
+        : "N/A",
+      bidCount: 0,
+      endTime: null,
+      imageUrl: getActiveTicketImages(ticket).map((img) => getServedImageUrl(img) || img.url)[0] || null,
+      description: ticket.itemDesc || "",
+      views: 0,
+      watchers: 0,
+      status: "active",
+      source: "api",
+      listingType: "buy_it_now",
+      buyItNowPrice: null,
+    };
+  }
+
+  const db = loadDb();
+  if (!db.ebayListings) db.ebayListings = {};
+  db.ebayListings[channel.id] = {
+    ...buildEbayListingRecord(url, ticket.ownerId, listing),
+    offerId: ticket.ebayDraft?.offerId || null,
+  };
+
+  const storedTicket = db.listings[channel.id];
+  if (storedTicket) {
+    storedTicket.status = "listed";
+    storedTicket.ebayListingId = listingId;
+    storedTicket.ebayTrackerChannelId = channel.id;
+  }
+  saveDb(db);
+  ebayScheduler.schedule(channel.id, db.ebayListings[channel.id].nextCheckAt);
+
+  const { categoryId, emoji } = getEbayTrackerCategory(listing);
+
+  try {
+    if (categoryId && channel.parentId !== categoryId) {
+      await channel.setParent(categoryId, { lockPermissions: false });
+    }
+    const chanName = await createUniqueChannelName(guild, categoryId, emoji, listing.title);
+    await channel.setName(chanName);
+    await channel.setTopic(`eBay Tracker | owner=${ticket.ownerId} | ${url}`);
+
+    // Trackers are public read-only, like channels created from the eBay panel
+    await channel.permissionOverwrites.edit(guild.id, {
+      ViewChannel: true,
+      ReadMessageHistory: true,
+      SendMessages: false,
+    });
+  } catch (err) {
+    console.error(`Failed to move ticket ${channel.id} to tracker category:`, err.message);
+  }
+
+  const record = db.ebayListings[channel.id];
+  await postTrackerEmbed(channel, record);
+
+  return record;
+}
+
+// Live status of a separate tracker, shown inside the listing ticket
+function buildTicketEbayStatusEmbed(listing, trackerChannelId) {
+  const isBuyItNow = listing.listingType === "buy_it_now";
+  const embed = new EmbedBuilder()
+    .setTitle(`Live on eBay - ${listing.title}`.slice(0, 256))
+    .setURL(listing.url)
+    .setColor(listing.status === "active" ? 0x0064d2 : 0x808080)
+    .addFields(
+      { name: "Status", value: listing.status, inline: true },
+      { name: isBuyItNow ? "Price" : "Current Bid", value: listing.currentPrice || "N/A", inline: true }
+    );
+
+  if (!isBuyItNow) {
+    embed.addFields(
+      { name: "Bids", value: String(listing.bidCount || 0), inline: true },
+      { name: "Time Left", value: formatTimeLeft(listing.endTime), inline: true }
+    );
+  }
+
+  embed
+    .addFields({ name: "Tracker", value: `<#${trackerChannelId}>`, inline: true })
+    .setFooter({ text: "Last updated" })
+    .setTimestamp(listing.lastChecked || null);
+
+  return embed;
+}
+
+// Mirrors a tracker's price/bids/status onto its separate listing ticket
+async function syncTicketWithTracker(trackerChannelId, listing) {
+  if (!listing.ticketChannelId) return;
+
+  const ticket = loadDb().listings?.[listing.ticketChannelId];
+  if (!ticket) return;
+
+  let statusMessageId = ticket.ebayStatusMessageId || null;
+  try {
+    const channel = await client.channels.fetch(listing.ticketChannelId).catch(() => null);
+    if (channel) {
+      const payload = { embeds: [buildTicketEbayStatusEmbed(listing, trackerChannelId)] };
+      const existing = statusMessageId
+        ? await channel.messages.fetch(statusMessageId).catch(() => null)
+        : null;
+
+      if (existing) {
+        await existing.edit(payload);
+      } else {
+        const msg = await channel.send(payload);
+        statusMessageId = msg.id;
+      }
+    }
+  } catch (err) {
+    console.error(`Failed to update ticket ${listing.ticketChannelId} with eBay status:`, err.message);
+  }
+
+  // Tracker checks run side by side, so only this ticket's two fields are written, on a fresh copy
+  const db = loadDb();
+  const stored = db.listings?.[listing.ticketChannelId];
+  if (!stored) return;
+
+  stored.ebayLive = {
+    currentPrice: listing.currentPrice,
+    bidCount: listing.bidCount,
+    status: listing.status,
+    endTime: listing.endTime,
+    lastChecked: listing.lastChecked,
+  };
+  stored.ebayStatusMessageId = statusMessageId;
+  saveDb(db);
+}
+
+// Gives the tracker the ticket's notes and cover photo
+async function postTicketSummaryToTracker(trackerChannel, ticketChannelId, ticket) {
+  const images = getActiveTicketImages(ticket);
+  const embed = new EmbedBuilder()
+    .setTitle(`Listing Ticket - ${ticket.itemName}`.slice(0, 256))
+    .setDescription(ticket.itemDesc?.trim() ? ticket.itemDesc.slice(0, 4000) : "No notes.")
+    .addFields(
+      { name: "Ticket", value: `<#${ticketChannelId}>`, inline: true },
+      { name: "Photos", value: String(images.length), inline: true }
+    );
+
+  const details = [
+    ["Condition", ticket.condition && getConditionLabel(ticket.condition)],
+    ["SKU", ticket.sku],
+    ["Floor Price", ticket.floorPrice && `$${ticket.floorPrice}`],
+  ];
+  for (const [name, value] of details) {
+    if (value) embed.addFields({ name, value, inline: true });
+  }
+
+  const files = [];
+  const cover = images[0];
+  if (cover && isImageStored(cover)) {
+    const name = `cover.${cover.ext}`;
+    files.push(new AttachmentBuilder(getStoredImagePath(cover), { name }));
+    embed.setThumbnail(`attachment://${name}`);
+  } else if (cover) {
+    embed.setThumbnail(cover.url);
+  }
+
+  await trackerChannel.send({ embeds: [embed], files });
+}
+
+// Links a listing ticket to its live eBay listing. mode "convert" turns the ticket channel
+// into the tracker; "create" uses a separate tracker channel (re-using one that already tracks the item)
+async function linkTicketToEbayListing(guild, ticketChannel, ticket, url, mode) {
+  let db = loadDb();
+  const existing = findEbayTrackerByItemId(db, getEbayItemId(url));
+
+  if (mode === "convert") {
+    if (existing) throw new Error(describeExistingTracker(existing));
+    await convertTicketToTracker(guild, ticketChannel, ticket, url);
+    return { trackerChannelId: ticketChannel.id, created: false };
+  }
+
+  let trackerChannelId;
+  let created = false;
+
+  if (existing) {
+    const [channelId, listing] = existing;
+    if (listing.ticketChannelId && listing.ticketChannelId !== ticketChannel.id) {
+      throw new Error(`That listing is already linked to another ticket (<#${listing.ticketChannelId}>)`);
+    }
+    listing.ticketChannelId = ticketChannel.id;
+    saveDb(db);
+    trackerChannelId = channelId;
+  } else {
+    const listing = await getEbayListing(url);
+    const { channel } = await createEbayTrackerChannel(guild, ticket.ownerId, url, listing, {
+      ticketChannelId: ticketChannel.id,
+    });
+    trackerChannelId = channel.id;
+    created = true;
+  }
+
+  db = loadDb();
+  const storedTicket = db.listings[ticketChannel.id];
+  storedTicket.status = "listed";
+  storedTicket.ebayListingId = getEbayItemId(url);
+  storedTicket.ebayTrackerChannelId = trackerChannelId;
+  saveDb(db);
+
+  const trackerChannel = await client.channels.fetch(trackerChannelId).catch(() => null);
+  if (trackerChannel) {
+    await postTicketSummaryToTracker(trackerChannel, ticketChannel.id, storedTicket).catch((err) => {
+      console.error(`Failed to post ticket summary to ${trackerChannelId}:`, err.message);
+    });
+  }
+
+  await syncTicketWithTracker(trackerChannelId, loadDb().ebayListings[trackerChannelId]);
+  return { trackerChannelId, created };
+}
+
+// -------------------------
+// Listing intake wizard (chained modals + select menus)
+// -------------------------
+// Optional intake fields. Step 1 = first modal (after name/description),
+// "select" = condition menu, step 2 = details modal. Discord allows 5 inputs per modal.
+const INTAKE_FIELDS = {
+  quantity: { label: "Quantity", step: 1, placeholder: "1", maxLength: 5 },
+  sku: { label: "Internal SKU", step: 1, placeholder: "e.g. SB-0042", maxLength: 50 },
+  condition: { label: "Condition", step: "select" },
+  targetPrice: { label: "Target price", step: 2, placeholder: "e.g. 49.99", maxLength: 12 },
+  floorPrice: { label: "Floor price (lowest we'll accept)", step: 2, placeholder: "e.g. 35", maxLength: 12 },
+  ebayCategoryId: { label: "eBay category ID", step: 2, placeholder: "e.g. 15709", maxLength: 12 },
+  weight: { label: "Weight", step: 2, placeholder: "e.g. 2.5 lb, 12 oz, 1.2 kg", maxLength: 20 },
+  dimensions: { label: "Package dimensions (L x W x H)", step: 2, placeholder: "e.g. 12x8x4 in", maxLength: 30 },
+};
+
+const DEFAULT_INTAKE_TEMPLATE = {
+  name: "General",
+  fields: Object.keys(INTAKE_FIELDS),
+  required: [],
+  defaults: {},
+};
+
+const WEIGHT_UNITS = {
+  POUND: "lb",
+  OUNCE: "oz",
+  KILOGRAM: "kg",
+  GRAM: "g",
+};
+
+// In-progress wizards, keyed by user ID (a wizard only lives for one ephemeral conversation)
+const intakeSessions = new Map();
+const INTAKE_SESSION_TTL_MS = 30 * 60 * 1000;
+
+function getIntakeSession(userId) {
+  const session = intakeSessions.get(userId);
+  if (!session) return null;
+  if (Date.now() > session.expiresAt) {
+    intakeSessions.delete(userId);
+    return null;
+  }
+  return session;
+}
+
+function startIntakeSession(userId, templateKey, template) {
+  const session = { templateKey, values: {}, expiresAt: Date.now() + INTAKE_SESSION_TTL_MS };
+
+  // Template defaults apply even to fields the template doesn't ask for
+  for (const [key, raw] of Object.entries(template.defaults)) {
+    const { value } = parseIntakeField(key, raw);
+    if (value !== null && value !== undefined) session.values[key] = value;
+  }
+
+  intakeSessions.set(userId, session);
+  return session;
+}
+
+function getIntakeTemplate(db, templateKey) {
+  return (templateKey && db.intakeTemplates?.[templateKey]) || DEFAULT_INTAKE_TEMPLATE;
+}
+
+function templateFieldsForStep(template, step) {
+  return template.fields.filter((key) => INTAKE_FIELDS[key]?.step === step);
+}
+
+function parsePrice(text) {
+  const cleaned = String(text).replace(/[$£€,\s]/g, "");
+  if (!/^\d+(\.\d{1,2})?$/.test(cleaned)) return null;
+  return Number(cleaned).toFixed(2);
+}
+
+function parseWeight(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(lbs?|pounds?|oz|ounces?|kgs?|kilograms?|g|grams?)?$/i);
+  if (!match) return null;
+
+  const unitText = (match[2] || "lb").toLowerCase();
+  let unit = "POUND";
+  if (unitText.startsWith("o")) unit = "OUNCE";
+  else if (unitText.startsWith("k")) unit = "KILOGRAM";
+  else if (unitText.startsWith("g")) unit = "GRAM";
+
+  return { value: Number(match[1]), unit };
+}
+
+function parseDimensions(text) {
+  const num = "(\\d+(?:\\.\\d+)?)";
+  const sep = "\\s*[x×*]\\s*";
+  const match = String(text).trim().match(
+    new RegExp(`^${num}${sep}${num}${sep}${num}\\s*(in|inch|inches|"|cm|centimeters?)?$`, "i")
+  );
+  if (!match) return null;
+
+  const unit = (match[4] || "in").toLowerCase().startsWith("c") ? "CENTIMETER" : "INCH";
+  return {
+    length: Number(match[1]),
+    width: Number(match[2]),
+    height: Number(match[3]),
+    unit,
+  };
+}
+
+function formatWeight(weight) {
+  if (!weight) return "-";
+  return `${weight.value} ${WEIGHT_UNITS[weight.unit] || weight.unit}`;
+}
+
+function formatDimensions(dims) {
+  if (!dims) return "-";
+  return `${dims.length} x ${dims.width} x ${dims.height} ${dims.unit === "CENTIMETER" ? "cm" : "in"}`;
+}
+
+function getConditionLabel(condition) {
+  return LISTING_CONDITIONS.find((c) => c.value === condition)?.label || condition || "-";
+}
+
+// Parses one raw intake value. Returns { value } or { error }
+function parseIntakeField(key, raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return { value: null };
+
+  switch (key) {
+    case "quantity": {
+      const qty = Number(text);
+      if (!Number.isInteger(qty) || qty < 1) return { error: "Quantity must be a whole number of at least 1." };
+      return { value: qty };
+    }
+    case "targetPrice":
+    case "floorPrice": {
+      const price = parsePrice(text);
+      if (!price) return { error: `${key === "floorPrice" ? "Floor" : "Target"} price must be a price like 49.99.` };
+      return { value: price };
+    }
+    case "ebayCategoryId":
+      if (!/^\d+$/.test(text)) return { error: "eBay category ID must be numeric." };
+      return { value: text };
+    case "weight": {
+      const weight = parseWeight(text);
+      if (!weight) return { error: "Weight must look like `2.5 lb`, `12 oz`, `1.2 kg` or `500 g`." };
+      return { value: weight };
+    }
+    case "dimensions": {
+      const dims = parseDimensions(text);
+      if (!dims) return { error: "Package dimensions must look like `12x8x4 in` or `30x20x10 cm`." };
+      return { value: dims };
+    }
+    case "condition":
+      if (!LISTING_CONDITIONS.some((c) => c.value === text)) return { error: "Unknown condition." };
+      return { value: text };
+    default:
+      return { value: text };
+  }
+}
+
+function buildIntakeModalInput(key, template) {
+  const field = INTAKE_FIELDS[key];
+  const input = new TextInputBuilder()
+    .setCustomId(`intake_${key}`)
+    .setLabel(field.label)
+    .setStyle(TextInputStyle.Short)
+    .setRequired(template.required.includes(key))
+    .setMaxLength(field.maxLength);
+
+  if (field.placeholder) input.setPlaceholder(field.placeholder);
+  if (template.defaults[key]) input.setValue(String(template.defaults[key]));
+  return input;
+}
+
+function buildIntakeStep1Modal(template) {
+  const modal = new ModalBuilder()
+    .setCustomId("listing_modal")
+    .setTitle(`New Listing Ticket - ${template.name}`.slice(0, 45));
+
+  const itemName = new TextInputBuilder()
+    .setCustomId("item_name")
+    .setLabel("Item name")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMaxLength(100);
+
+  const itemDesc = new TextInputBuilder()
+    .setCustomId("item_desc")
+    .setLabel("Description (optional)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false)
+    .setMaxLength(1000);
+
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(itemName),
+    new ActionRowBuilder().addComponents(itemDesc),
+    ...templateFieldsForStep(template, 1).map((key) =>
+      new ActionRowBuilder().addComponents(buildIntakeModalInput(key, template))
+    )
+  );
+
+  return modal;
+}
+
+function buildIntakeStep2Modal(template) {
+  const modal = new ModalBuilder()
+    .setCustomId("listing_modal_details")
+    .setTitle(`Listing Details - ${template.name}`.slice(0, 45));
+
+  modal.addComponents(
+    ...templateFieldsForStep(template, 2).map((key) =>
+      new ActionRowBuilder().addComponents(buildIntakeModalInput(key, template))
+    )
+  );
+
+  return modal;
+}
+
+function buildIntakeTemplateSelect(db) {
+  // An admin template keyed "general" replaces the built-in default
+  const templates = Object.entries(db.intakeTemplates || {})
+    .filter(([key]) => key !== "general")
+    .slice(0, 24);
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId("listing_intake_template")
+    .setPlaceholder("What kind of item is it?")
+    .addOptions(
+      { label: getIntakeTemplate(db, "general").name, value: "general", description: "No specific category" },
+      ...templates.map(([key, t]) => ({
+        label: t.name.slice(0, 100),
+        value: key,
+        description: t.defaults?.ebayCategoryId ? `eBay category ${t.defaults.ebayCategoryId}` : undefined,
+      }))
+    );
+
+  return {
+    ephemeral: true,
+    content: "**New Listing Ticket** - step 1: pick a category.",
+    components: [new ActionRowBuilder().addComponents(menu)],
+  };
+}
+
+// The message between the two modals: condition menu + continue/cancel
+function buildIntakeStepMessage(session, template) {
+  const values = session.values;
+  const components = [];
+
+  if (template.fields.includes("condition")) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId("listing_intake_condition")
+      .setPlaceholder("Select the item's condition")
+      .addOptions(
+        LISTING_CONDITIONS.map((c) => ({
+          label: c.label,
+          value: c.value,
+          default: values.condition === c.value,
+        }))
+      );
+    components.push(new ActionRowBuilder().addComponents(menu));
+  }
+
+  const hasDetails = templateFieldsForStep(template, 2).length > 0;
+  components.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId("listing_intake_next")
+        .setLabel(hasDetails ? "Continue" : "Create Ticket")
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId("listing_intake_cancel")
+        .setLabel("Cancel")
+        .setStyle(ButtonStyle.Secondary)
+    )
+  );
+
+  const lines = [
+    `**New Listing Ticket** - **${values.itemName}** (${template.name})`,
+    template.fields.includes("condition") ? `Condition: **${getConditionLabel(values.condition)}**` : null,
+    hasDetails ? "Pick the condition, then press **Continue** for price, category and shipping details." : null,
+  ].filter(Boolean);
+
+  return { content: lines.join("\n"), components };
+}
+
+// Reads a modal's intake fields into the session. Returns a list of error messages
+function applyIntakeModalValues(session, template, fields, step) {
+  const errors = [];
+  for (const key of templateFieldsForStep(template, step)) {
+    const { value, error } = parseIntakeField(key, fields.getTextInputValue(`intake_${key}`));
+    if (error) errors.push(error);
+    else session.values[key] = value;
+  }
+  return errors;
+}
+
+// Final checks once every step is filled in
+function validateIntake(session, template) {
+  const errors = [];
+  const values = session.values;
+
+  for (const key of template.required) {
+    if (values[key] === null || values[key] === undefined || values[key] === "") {
+      errors.push(`${INTAKE_FIELDS[key]?.label || key} is required for ${template.name}.`);
+    }
+  }
+
+  if (values.targetPrice && values.floorPrice && Number(values.floorPrice) > Number(values.targetPrice)) {
+    errors.push("Floor price can't be higher than the target price.");
+  }
+
+  return errors;
+}
+
+// -------------------------
+// Ticket channel message (upload instructions + buttons)
+// -------------------------
+function buildListingIntroMessage(ticket) {
+  const fields = [
+    { name: "Owner", value: `<@${ticket.ownerId}>`, inline: true },
+    { name: "Item", value: ticket.itemName || "-", inline: true },
+    { name: "Description", value: ticket.itemDesc?.trim() ? ticket.itemDesc : "-" },
+  ];
+
+  // Intake details (only the ones that were filled in)
+  const details = [
+    ["Category", ticket.template],
+    ["Condition", ticket.condition && getConditionLabel(ticket.condition)],
+    ["Target Price", ticket.targetPrice && `$${ticket.targetPrice}`],
+    ["Floor Price", ticket.floorPrice && `$${ticket.floorPrice}`],
+    ["Suggested Price", ticket.suggestedPrice && formatMoney(Number(ticket.suggestedPrice), ticket.suggestedPriceCurrency || ebaySellDefaults.currency)],
+    ["eBay Category", ticket.ebayCategoryId],
+    ["Weight", ticket.weight && formatWeight(ticket.weight)],
+    ["Package", ticket.dimensions && formatDimensions(ticket.dimensions)],
+    ["Quantity", ticket.quantity && String(ticket.quantity)],
+    ["SKU", ticket.sku],
+  ];
+  for (const [name, value] of details) {
+    if (value) fields.push({ name, value, inline: true });
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle("Listing Ticket Created")
+    .addFields(fields)
+    .setDescription(
+      [
+        "✅ Upload product photos in this channel.",
+        "• Add multiple angles, labels, serial numbers, flaws, etc.",
+        "• Use **Manage Photos** to remove shots, reorder them or pick the cover.",
+        "• When you're finished, press **Done Uploading**.",
+      ].join("\n")
+    );
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("listing_done")
+      .setLabel("Done Uploading")
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId("listing_photos")
+      .setLabel("Manage Photos")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId("listing_comps")
+      .setLabel("Find Comps")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId("listing_close")
+      .setLabel("Close Ticket")
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+function buildTicketTopic(ticket) {
+  const parts = ["Listing ticket", `owner=${ticket.ownerId}`, `item=${ticket.itemName}`];
+  if (ticket.assignedTo) parts.push(`claimed by <@${ticket.assignedTo}>`);
+  return parts.join(" | ").slice(0, 1024);
+}
+
+// Channel topic edits are heavily rate limited (2 per 10 min), so never make a reply wait on one
+function refreshTicketTopic(channel, ticket) {
+  channel.setTopic(buildTicketTopic(ticket)).catch((err) => {
+    console.error(`Failed to update topic for ${channel.id}:`, err.message);
+  });
+}
+
+function buildClaimButtons() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("listing_claim")
+      .setLabel("Claim")
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId("listing_unclaim")
+      .setLabel("Unclaim")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId("listing_handoff")
+      .setLabel("Hand Off")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+// Creates the private ticket channel and its DB record from a finished intake
+async function createListingTicket(guild, ownerId, intake) {
+  // Create a new private channel with simplified name
+  const chanName = await createUniqueChannelName(guild, listingCategoryId, "❓", intake.itemName);
+
+  const channel = await guild.channels.create({
+    name: chanName,
+    type: ChannelType.GuildText,
+    parent: listingCategoryId,
+    topic: buildTicketTopic({ ownerId, itemName: intake.itemName }),
+    permissionOverwrites: [
+      // @everyone denied
+      {
+        id: guild.id,
+        deny: [PermissionFlagsBits.ViewChannel],
+      },
+      // owner allowed
+      {
+        id: ownerId,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.AttachFiles,
+          PermissionFlagsBits.EmbedLinks,
+          PermissionFlagsBits.ReadMessageHistory,
+        ],
+      },
+      // staff role allowed
+      {
+        id: staffRoleId,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.AttachFiles,
+          PermissionFlagsBits.EmbedLinks,
+          PermissionFlagsBits.ReadMessageHistory,
+          PermissionFlagsBits.ManageMessages,
+        ],
+      },
+      // bot allowed
+      {
+        id: client.user.id,
+        allow: [
+          PermissionFlagsBits.ViewChannel,
+          PermissionFlagsBits.SendMessages,
+          PermissionFlagsBits.ManageChannels,
+          PermissionFlagsBits.ManageMessages,
+          PermissionFlagsBits.AttachFiles,
+          PermissionFlagsBits.EmbedLinks,
+          PermissionFlagsBits.ReadMessageHistory,
+        ],
+      },
+    ],
+  });
+
+  // Persist ticket
+  const db = loadDb();
+  const ticket = {
+    ownerId,
+    itemName: intake.itemName,
+    itemDesc: intake.itemDesc || "",
+    template: intake.template || null,
+    condition: intake.condition || null,
+    targetPrice: intake.targetPrice || null,
+    floorPrice: intake.floorPrice || null,
+    ebayCategoryId: intake.ebayCategoryId || null,
+    weight: intake.weight || null,
+    dimensions: intake.dimensions || null,
+    quantity: intake.quantity || null,
+    sku: intake.sku || null,
+    images: [],
+    status: "open",
+    assignedTo: null,
+    createdAt: Date.now(),
+  };
+  db.listings[channel.id] = ticket;
+  saveDb(db);
+
+  // Seed the channel with instructions + buttons
+  await channel.send(buildListingIntroMessage(ticket));
+
+  return channel;
+}
+
+// -------------------------
+// Ticket photo gallery (ephemeral, one photo per page)
+// -------------------------
+// The first active image is the cover; drafts and exports follow this order
+function buildPhotoGalleryMessage(ticket, channelId, page) {
+  const images = getActiveTicketImages(ticket);
+
+  if (!images.length) {
+    return {
+      content: "No photos in this ticket yet. Upload some, then press **Manage Photos** again.",
+      embeds: [],
+      components: [],
+      files: [],
+      attachments: [],
+    };
+  }
+
+  page = Math.max(0, Math.min(page, images.length - 1));
+  const img = images[page];
+  const key = getTicketImageKey(img);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Photos - ${ticket.itemName}`.slice(0, 256))
+    .setDescription(`Photo **${page + 1}** of **${images.length}**${page === 0 ? " ⭐ Cover" : ""}`)
+    .addFields(
+      { name: "Size", value: `${img.width && img.height ? `${img.width}x${img.height}` : "?x?"}, ${formatBytes(img.size)}`, inline: true },
+      { name: "Archived", value: isImageStored(img) ? "Yes" : "No (original link only)", inline: true }
+    );
+
+  if (img.messageId) {
+    embed.addFields({ name: "Uploaded in", value: `https://discord.com/channels/${guildId}/${channelId}/${img.messageId}`, inline: false });
+  }
+
+  // Show the archived copy so the preview works after the CDN link expires
+  const files = [];
+  if (isImageStored(img)) {
+    const name = `photo-${page + 1}.${img.ext}`;
+    files.push(new AttachmentBuilder(getStoredImagePath(img), { name }));
+    embed.setImage(`attachment://${name}`);
+  } else {
+    embed.setImage(img.url);
+  }
+
+  const navRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`photos:page:${page - 1}`)
+      .setLabel("◀ Prev")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId("photos:position")
+      .setLabel(`${page + 1} / ${images.length}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true),
+    new ButtonBuilder()
+      .setCustomId(`photos:page:${page + 1}`)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === images.length - 1)
+  );
+
+  const editRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`photos:up:${key}`)
+      .setLabel("Move Up")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`photos:down:${key}`)
+      .setLabel("Move Down")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(page === images.length - 1),
+    new ButtonBuilder()
+      .setCustomId(`photos:cover:${key}`)
+      .setLabel("Set Cover")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(`photos:remove:${key}`)
+      .setLabel("Remove")
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return { content: "", embeds: [embed], components: [navRow, editRow], files, attachments: [] };
+}
+
+// Applies a gallery action to the image with that key. Returns the page to show next,
+// or null if the image is gone (removed, or the gallery is out of date)
+function applyPhotoAction(ticket, action, key, userId) {
+  const active = getActiveTicketImages(ticket);
+  const removed = getTicketImages(ticket).filter((img) => img.removed);
+  let index = active.findIndex((img) => getTicketImageKey(img) === key);
+  if (index === -1) return null;
+
+  if (action === "up" && index > 0) {
+    [active[index - 1], active[index]] = [active[index], active[index - 1]];
+    index--;
+  } else if (action === "down" && index < active.length - 1) {
+    [active[index + 1], active[index]] = [active[index], active[index + 1]];
+    index++;
+  } else if (action === "cover") {
+    active.unshift(...active.splice(index, 1));
+    index = 0;
+  } else if (action === "remove") {
+    const [img] = active.splice(index, 1);
+    img.removed = true;
+    img.removedAt = Date.now();
+    img.removedBy = userId;
+    removed.push(img);
+    index = Math.min(index, active.length - 1);
+  }
+
+  ticket.images = [...active, ...removed];
+  return Math.max(0, index);
+}
+
+// Last step of the intake wizard; the interaction must already be deferred or updated
+async function finishListingIntake(interaction, session, template) {
+  const errors = validateIntake(session, template);
+  if (errors.length) {
+    await interaction.editReply({ content: `❌ ${errors.join("\n❌ ")}`, components: [] });
+    return;
+  }
+
+  intakeSessions.delete(interaction.user.id);
+
+  const guild = await client.guilds.fetch(guildId);
+  const channel = await createListingTicket(guild, interaction.user.id, {
+    ...session.values,
+    template: template.name,
+  });
+
+  // Reply with link
+  await interaction.editReply({ content: `Created listing channel: <#${channel.id}>`, components: [] });
+}
+
+// -------------------------
+// Ready
+// -------------------------
+client.once(Events.ClientReady, async (readyClient) => {
+  console.log(`Ready! Logged in as ${readyClient.user.tag}`);
+
+  // Register slash commands
+  await registerSlashCommands();
+
+  try {
+    await ensurePanelMessage();
+    console.log("Listing panel ensured.");
+  } catch (err) {
+    console.error("Failed to ensure panel message:", err);
+  }
+
+  startImageServer();
+  startClaimReminderLoop();
+  startEndingAlertLoop();
+  startSellerSyncLoop();
+  startClosedChannelCleanupLoop();
+  archiveMissingTicketImages().catch((err) => {
+    console.error("Image archive backfill failed:", err);
+  });
+
+  try {
+    await ensureEbayPanelMessage();
+    if (ebayIntakeChannelId) {
+      console.log("eBay panel ensured.");
+      console.log(`eBay API: ${isEbayApiEnabled() ? "enabled" : "disabled (using web scraping)"}`);
+      startEbayUpdateScheduler();
+      migrateTrackerEmbedIds().catch((err) => {
+        console.error("Tracker embed migration failed:", err);
+      });
+    }
+  } catch (err) {
+    console.error("Failed to ensure eBay panel message:", err);
+  }
+});
+
+// -------------------------
+// Interactions: button + modal submit
+// -------------------------
+client.on(Events.InteractionCreate, async (interaction) => {
+  const db = loadDb();
+
+  // ---- Slash Commands ----
+  if (interaction.isChatInputCommand()) {
+    // /ebay-setup - Show modal to configure credentials
+    if (interaction.commandName === "ebay-setup") {
+      const modal = new ModalBuilder()
+        .setCustomId("ebay_setup_modal")
+        .setTitle("Configure eBay API Credentials");
+
+      const appIdInput = new TextInputBuilder()
+        .setCustomId("ebay_app_id")
+        .setLabel("App ID (Client ID)")
+        .setPlaceholder("YourApp-Sellboy-PRD-xxxxxxxx-xxxxxxxx")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(100);
+
+      const devIdInput = new TextInputBuilder()
+        .setCustomId("ebay_dev_id")
+        .setLabel("Dev ID (optional)")
+        .setPlaceholder("xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(false)
+        .setMaxLength(100);
+
+      const certIdInput = new TextInputBuilder()
+        .setCustomId("ebay_cert_id")
+        .setLabel("Cert ID (Client Secret)")
+        .setPlaceholder("PRD-xxxxxxxx-xxxx-xxxx-xxxx-xxxx")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(100);
+
+      const refreshTokenInput = new TextInputBuilder()
+        .setCustomId("ebay_refresh_token")
+        .setLabel("Seller refresh token (optional, for drafts)")
+        .setPlaceholder("v^1.1#i^1#... (leave blank to keep the current one)")
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(false)
+        .setMaxLength(2000);
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(appIdInput),
+        new ActionRowBuilder().addComponents(devIdInput),
+        new ActionRowBuilder().addComponents(certIdInput),
+        new ActionRowBuilder().addComponents(refreshTokenInput)
+      );
+
+      await interaction.showModal(modal);
+      return;
+    }
+
+    // /ebay-status - Check API configuration status
+    if (interaction.commandName === "ebay-status") {
+      await interaction.deferReply({ ephemeral: true });
+
+      const creds = getEbayCredentials();
+      if (!creds) {
+        await interaction.editReply({
+          content: ["**eBay API Status**\n\n❌ Not configured\n\nUse `/ebay-setup` to configure credentials.", "", ...describeEbayHttpStatus(), ...describeEbaySchedulerStatus()].join("\n"),
+        });
+        return;
+      }
+
+      // Test the API connection
+      let testResult = "⏳ Testing...";
+      try {
+        // Clear cached token to force a fresh test
+        ebayAccessToken = null;
+        ebayTokenExpiry = 0;
+        await getEbayAccessToken();
+        testResult = "✅ Connection successful";
+      } catch (err) {
+        testResult = `❌ Connection failed: ${err.message}`;
+      }
+
+      // Test the seller token used for drafts, if one is configured
+      let sellResult = "❌ Not configured (drafts disabled)";
+      if (getEbayRefreshToken()) {
+        try {
+          ebayUserAccessToken = null;
+          ebayUserTokenExpiry = 0;
+          await getEbayUserAccessToken();
+          sellResult = "✅ Seller token valid";
+        } catch (err) {
+          sellResult = `❌ Seller token failed: ${err.message}`;
+        }
+      }
+
+      const maskedAppId = creds.appId.slice(0, 8) + "..." + creds.appId.slice(-4);
+      const maskedCertId = creds.certId.slice(0, 8) + "..." + creds.certId.slice(-4);
+
+      await interaction.editReply({
+        content: [
+          "**eBay API Status**",
+          "",
+          `✅ Configured (source: ${creds.source})`,
+          `App ID: \`${maskedAppId}\``,
+          `Cert ID: \`${maskedCertId}\``,
+          "",
+          `**API Test:** ${testResult}`,
+          `**Drafts:** ${sellResult}`,
+          "",
+          ...describeEbayHttpStatus(),
+          ...describeEbaySchedulerStatus(),
+        ].join("\n"),
+      });
+      return;
+    }
+
+    // /ebay-clear - Remove stored credentials
+    if (interaction.commandName === "ebay-clear") {
+      await interaction.deferReply({ ephemeral: true });
+
+      const creds = getEbayCredentials();
+      if (!creds) {
+        await interaction.editReply({
+          content: "No eBay credentials are configured.",
+        });
+        return;
+      }
+
+      if (creds.source === "config") {
+        await interaction.editReply({
+          content: "⚠️ Credentials are stored in `config.json`, not the database.\n\nTo remove them, edit the config file directly and remove the `ebayAppId`, `ebayDevId`, and `ebayCertId` fields.",
+        });
+        return;
+      }
+
+      // Remove from database
+      delete db.ebayCredentials;
+      saveDb(db);
+
+      // Clear cached tokens
+      ebayAccessToken = null;
+      ebayTokenExpiry = 0;
+      ebayUserAccessToken = null;
+      ebayUserTokenExpiry = 0;
+
+      await interaction.editReply({
+        content: "✅ eBay credentials have been removed from the database.",
+      });
+      return;
+    }
+
+    // /ebay-organize - Organize all eBay listings into correct categories
+    if (interaction.commandName === "ebay-organize") {
+      await interaction.deferReply({ ephemeral: true });
+
+      const guild = await client.guilds.fetch(guildId);
+      const results = {
+        total: 0,
+        moved: 0,
+        emojiUpdated: 0,
+        typeDetected: 0,
+        embedsRepaired: 0,
+        errors: 0,
+        skipped: 0,
+      };
+
+      if (!db.ebayListings || Object.keys(db.ebayListings).length === 0) {
+        await interaction.editReply({
+          content: "No eBay listings found in the database.",
+        });
+        return;
+      }
+
+      for (const [channelId, listing] of Object.entries(db.ebayListings)) {
+        results.total++;
+
+        try {
+          // Fetch the channel
+          const channel = await guild.channels.fetch(channelId).catch(() => null);
+          if (!channel) {
+            results.skipped++;
+            console.log(`Channel ${channelId} not found, skipping`);
+            continue;
+          }
+
+          // If listing doesn't have a listingType, fetch it from eBay
+          if (!listing.listingType) {
+            try {
+              const freshData = await getEbayListing(listing.url);
+              listing.listingType = freshData.listingType;
+              listing.buyItNowPrice = freshData.buyItNowPrice;
+              results.typeDetected++;
+            } catch (err) {
+              console.error(`Failed to fetch listing type for ${channelId}:`, err.message);
+              results.errors++;
+              continue;
+            }
+          }
+
+          // Determine correct category and emoji based on listing type and status
+          const { categoryId: correctCategoryId, emoji: correctEmoji } = getEbayChannelPlacement(listing);
+
+          // Check if channel needs to be moved
+          let needsMove = false;
+          let needsEmojiUpdate = false;
+
+          if (channel.parentId !== correctCategoryId) {
+            needsMove = true;
+          }
+
+          // Check if emoji is correct
+          const currentEmoji = channel.name.charAt(0);
+          if (currentEmoji !== correctEmoji) {
+            needsEmojiUpdate = true;
+          }
+
+          // Move channel if needed
+          if (needsMove) {
+            await channel.setParent(correctCategoryId, { lockPermissions: false });
+            results.moved++;
+          }
+
+          // Update emoji if needed
+          if (needsEmojiUpdate) {
+            // Replace the first emoji with the correct one
+            const newName = correctEmoji + channel.name.slice(1);
+            await channel.setName(newName);
+            results.emojiUpdated++;
+          }
+
+          // Re-link (or re-post) and pin the live embed
+          if (listing.status !== "closed") {
+            const { result } = await repairTrackerEmbed(channel, listing);
+            if (result !== "ok") results.embedsRepaired++;
+          }
+
+          // Save updated listing data
+          db.ebayListings[channelId] = listing;
+        } catch (err) {
+          console.error(`Error organizing channel ${channelId}:`, err.message);
+          results.errors++;
+        }
+      }
+
+      saveDb(db);
+
+      // Build summary report
+      const report = [
+        "**eBay Listings Organization Complete**",
+        "",
+        `📊 **Summary:**`,
+        `• Total listings checked: ${results.total}`,
+        `• Channels moved: ${results.moved}`,
+        `• Emojis updated: ${results.emojiUpdated}`,
+        `• Listing types detected: ${results.typeDetected}`,
+        `• Embeds re-linked or re-posted: ${results.embedsRepaired}`,
+        `• Errors: ${results.errors}`,
+        `• Skipped (channel not found): ${results.skipped}`,
+      ].join("\n");
+
+      await interaction.editReply({ content: report });
+      return;
+    }
+
+    // /queue - Unclaimed tickets waiting for staff
+    if (interaction.commandName === "queue") {
+      if (!memberIsStaff(interaction)) {
+        await interaction.reply({ ephemeral: true, content: "Only staff can view the queue." });
+        return;
+      }
+
+      const now = Date.now();
+      const tickets = Object.entries(db.listings || {}).filter(([, t]) => t.status === "images_done");
+      const waiting = tickets
+        .filter(([, t]) => !t.assignedTo)
+        .sort(([, a], [, b]) => (a.imagesDoneAt || a.createdAt) - (b.imagesDoneAt || b.createdAt));
+      const mine = tickets.filter(([, t]) => t.assignedTo === interaction.user.id);
+
+      const lines = waiting.slice(0, 25).map(([channelId, t], i) => {
+        const waitingMs = now - (t.imagesDoneAt || t.createdAt);
+        const overdue = claimReminderHours > 0 && waitingMs >= claimReminderHours * 3600000;
+        return `${i + 1}. <#${channelId}> - **${t.itemName}** - waiting ${formatDuration(waitingMs)}${overdue ? " ⏰" : ""}`;
+      });
+
+      await interaction.reply({
+        ephemeral: true,
+        content: [
+          `**Listing Queue** - ${waiting.length} unclaimed`,
+          "",
+          lines.length ? lines.join("\n") : "Nothing waiting. 🎉",
+          waiting.length > 25 ? `...and ${waiting.length - 25} more` : null,
+          "",
+          `Claimed by you: **${mine.length}**${mine.length ? ` (${mine.map(([id]) => `<#${id}>`).join(", ")})` : ""}`,
+        ].filter((line) => line !== null).join("\n").slice(0, 2000),
+      });
+      return;
+    }
+
+    // /reopen - Reopen a closed ticket or tracker
+    if (interaction.commandName === "reopen") {
+      if (!memberIsStaff(interaction)) {
+        await interaction.reply({ ephemeral: true, content: "Only staff can reopen closed channels." });
+        return;
+      }
+
+      const target = interaction.options.getChannel("channel") || interaction.channel;
+      const record = db.ebayListings?.[target.id] || db.listings?.[target.id];
+      if (record?.channelDeletedAt) {
+        await interaction.reply({ ephemeral: true, content: "That channel was already deleted - use `/transcript` to read it." });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      const channel = await client.channels.fetch(target.id).catch(() => null);
+      if (!channel) {
+        await interaction.editReply("Could not find that channel.");
+        return;
+      }
+
+      const result = await reopenClosedChannel(channel, interaction.user.id);
+      if (!result.ok) {
+        await interaction.editReply(result.message);
+        return;
+      }
+
+      await channel.send({
+        content: `${result.message} (by <@${interaction.user.id}>)`,
+        allowedMentions: { users: [] },
+      }).catch(() => {});
+      await interaction.editReply(`Reopened <#${channel.id}>.`);
+      return;
+    }
+
+    // /ebay-history - Chart or CSV of a tracker's history
+    if (interaction.commandName === "ebay-history") {
+      const target = interaction.options.getChannel("channel") || interaction.channel;
+      const listing = db.ebayListings?.[target.id];
+      if (!listing) {
+        await interaction.reply({ ephemeral: true, content: "That channel is not an eBay tracking channel." });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      await interaction.editReply(buildHistoryReply(target.id, listing, interaction.options.getString("format") || "chart"));
+      return;
+    }
+
+    // /ebay-seller - Seller auto-tracking (staff only)
+    if (interaction.commandName === "ebay-seller") {
+      if (!memberIsStaff(interaction)) {
+        await interaction.reply({ ephemeral: true, content: "Only staff can manage tracked sellers." });
+        return;
+      }
+
+      const sub = interaction.options.getSubcommand();
+      if (!db.ebaySellers) db.ebaySellers = {};
+
+      if (sub === "list") {
+        const sellers = Object.values(db.ebaySellers);
+        const lines = sellers.map((seller) => {
+          const trackers = Object.values(db.ebayListings || {}).filter(
+            (listing) => listing.seller === seller.username.toLowerCase() && listing.status !== "closed"
+          ).length;
+          const synced = seller.lastSyncedAt ? `last checked <t:${Math.floor(seller.lastSyncedAt / 1000)}:R> via ${seller.lastSource}` : "not checked yet";
+          return `• **${seller.username}** (${seller.site}) → <@${seller.ownerId}> - ${trackers} trackers, ${synced}`;
+        });
+        await interaction.reply({ ephemeral: true, content: lines.length ? lines.join("\n") : "No sellers are tracked. Add one with `/ebay-seller add`." });
+        return;
+      }
+
+      const username = interaction.options.getString("username").trim();
+      const key = username.toLowerCase();
+
+      if (sub === "remove") {
+        if (!db.ebaySellers[key]) {
+          await interaction.reply({ ephemeral: true, content: `**${username}** is not a tracked seller.` });
+          return;
+        }
+        delete db.ebaySellers[key];
+        saveDb(db);
+        await interaction.reply({ ephemeral: true, content: `Stopped tracking **${username}**. Existing tracker channels stay open.` });
+        return;
+      }
+
+      if (sub === "add") {
+        if (!/^[\w.\-*]+$/.test(username)) {
+          await interaction.reply({ ephemeral: true, content: "That doesn't look like an eBay username." });
+          return;
+        }
+
+        const categories = interaction.options.getString("categories");
+        const categoryIds = categories ? categories.split(/[,\s]+/).filter(Boolean) : [];
+        if (categoryIds.some((id) => !/^\d+$/.test(id))) {
+          await interaction.reply({ ephemeral: true, content: "Category IDs must be numbers, separated by commas." });
+          return;
+        }
+
+        db.ebaySellers[key] = {
+          username,
+          site: interaction.options.getString("site") || "ebay.com",
+          ownerId: (interaction.options.getUser("owner") || interaction.user).id,
+          categoryIds,
+          addedBy: interaction.user.id,
+          addedAt: Date.now(),
+        };
+        saveDb(db);
+      } else if (!db.ebaySellers[key]) {
+        await interaction.reply({ ephemeral: true, content: `**${username}** is not a tracked seller.` });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      try {
+        const result = await syncEbaySeller(key);
+        await interaction.editReply(
+          `${sub === "add" ? "Now tracking" : "Checked"} **${username}**: ${result.total}${result.truncated ? "+" : ""} active listings (via ${result.source === "api" ? "eBay API" : "store page"}), ` +
+          `${result.created.length} new tracker${result.created.length === 1 ? "" : "s"}${result.created.length ? ` (${result.created.map((id) => `<#${id}>`).join(" ")})` : ""}` +
+          `${result.flagged.length ? `, ${result.flagged.length} flagged as gone` : ""}.` +
+          (result.truncated ? " Only the first pages were read, so nothing was flagged as gone." : "") +
+          (result.created.length >= ebaySellerMaxNewPerSync ? ` More will be added on the next check (every ${ebaySellerSyncMinutes}m).` : "")
+        );
+      } catch (err) {
+        console.error(`Failed to sync seller ${username}:`, err);
+        await interaction.editReply(
+          `${sub === "add" ? `Saved **${username}**, but checking` : "Checking"} their listings failed: ${err.message}`
+        );
+      }
+      return;
+    }
+
+    // /ebay-watch-search - Saved searches (staff only)
+    if (interaction.commandName === "ebay-watch-search") {
+      if (!memberIsStaff(interaction)) {
+        await interaction.reply({ ephemeral: true, content: "Only staff can manage saved searches." });
+        return;
+      }
+
+      const sub = interaction.options.getSubcommand();
+      if (!db.ebaySavedSearches) db.ebaySavedSearches = {};
+
+      if (sub === "list") {
+        const lines = Object.values(db.ebaySavedSearches).map((search) => {
+          const ran = search.lastRunAt ? `last run <t:${Math.floor(search.lastRunAt / 1000)}:R>` : "not run yet";
+          return `• \`${search.id}\` ${describeSavedSearch(search)} - ${search.matchCount || 0} alerts, ${ran}`;
+        });
+        await interaction.reply({
+          ephemeral: true,
+          content: lines.length ? lines.join("\n").slice(0, 2000) : "No saved searches. Add one with `/ebay-watch-search add`.",
+        });
+        return;
+      }
+
+      if (sub === "remove") {
+        const id = interaction.options.getString("id").trim();
+        if (!db.ebaySavedSearches[id]) {
+          await interaction.reply({ ephemeral: true, content: `No saved search with ID \`${id}\`.` });
+          return;
+        }
+        delete db.ebaySavedSearches[id];
+        saveDb(db);
+        await interaction.reply({ ephemeral: true, content: `Deleted saved search \`${id}\`.` });
+        return;
+      }
+
+      if (sub === "add") {
+        if (!isEbayApiEnabled()) {
+          await interaction.reply({ ephemeral: true, content: "Saved searches use the eBay API - set credentials with `/ebay-setup` first." });
+          return;
+        }
+        if (!ebayDealsChannelId) {
+          await interaction.reply({ ephemeral: true, content: "No deals channel configured (`ebayDealsChannelId` in config.json)." });
+          return;
+        }
+
+        const categoryId = interaction.options.getString("category")?.trim() || null;
+        if (categoryId && !/^\d+$/.test(categoryId)) {
+          await interaction.reply({ ephemeral: true, content: "Category must be a numeric eBay category ID." });
+          return;
+        }
+
+        const search = {
+          id: crypto.randomUUID().slice(0, 8),
+          keywords: interaction.options.getString("keywords").trim(),
+          maxPrice: interaction.options.getNumber("max-price") || null,
+          condition: interaction.options.getString("condition") || null,
+          listingType: interaction.options.getString("type") || null,
+          categoryId,
+          createdBy: interaction.user.id,
+          createdAt: Date.now(),
+          seenItemIds: [],
+        };
+        db.ebaySavedSearches[search.id] = search;
+        saveDb(db);
+
+        await interaction.deferReply({ ephemeral: true });
+        try {
+          // Seed with what's listed right now so only newer matches get posted
+          const current = await runSavedSearch(search.id, { seed: true });
+          await interaction.editReply(
+            `Saved search \`${search.id}\`: ${describeSavedSearch(search)}.\n` +
+            `${current.length} current matches skipped - new ones will be posted in <#${ebayDealsChannelId}> (checked every ${ebayWatchSearchMinutes}m).`
+          );
+        } catch (err) {
+          console.error(`Saved search ${search.id} first run failed:`, err.message);
+          await interaction.editReply(`Saved search \`${search.id}\`, but the first run failed: ${err.message}`);
+        }
+        return;
+      }
+    }
+
+    // /following - Followed listings and DM preferences
+    if (interaction.commandName === "following") {
+      await interaction.reply({ ephemeral: true, ...buildFollowingMessage(db, interaction.user.id) });
+      return;
+    }
+
+    // /ebay-alerts - Auction ending alert times
+    if (interaction.commandName === "ebay-alerts") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "show") {
+        const target = interaction.options.getChannel("channel") || interaction.channel;
+        const listing = db.ebayListings?.[target.id];
+        await interaction.reply({
+          ephemeral: true,
+          content: listing
+            ? `Ending alerts for <#${target.id}>: ${describeEndingAlerts(getEndingAlertSettings(db, listing))}`
+            : `Server default ending alerts: ${describeEndingAlerts(getEndingAlertSettings(db, null))}`,
+        });
+        return;
+      }
+
+      if (sub === "listing") {
+        const listing = db.ebayListings?.[interaction.channelId];
+        if (!listing) {
+          await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
+          return;
+        }
+
+        if (interaction.user.id !== listing.ownerId && !memberIsStaff(interaction)) {
+          await interaction.reply({ ephemeral: true, content: "Only the channel owner or staff can change alerts." });
+          return;
+        }
+
+        const times = interaction.options.getString("times");
+        if (/^\s*default\s*$/i.test(times)) {
+          delete listing.endingAlertOffsets;
+        } else {
+          const offsets = parseAlertOffsets(times);
+          if (!offsets) {
+            await interaction.reply({ ephemeral: true, content: 'Could not read those times. Use something like "24h, 1h, 10m" or "off".' });
+            return;
+          }
+          listing.endingAlertOffsets = offsets;
+        }
+        saveDb(db);
+
+        await interaction.reply({ ephemeral: true, content: `Ending alerts for this tracker: ${describeEndingAlerts(getEndingAlertSettings(db, listing))}` });
+        return;
+      }
+
+      if (sub === "server") {
+        if (!memberIsStaff(interaction)) {
+          await interaction.reply({ ephemeral: true, content: "Only staff can change the server alert settings." });
+          return;
+        }
+
+        // Keyed by the configured guild, the one the alert loop reads (commands are only registered there)
+        if (!db.endingAlertSettings) db.endingAlertSettings = {};
+        const settings = db.endingAlertSettings[guildId] || {};
+
+        const times = interaction.options.getString("times");
+        if (times && /^\s*default\s*$/i.test(times)) {
+          delete settings.offsets;
+        } else if (times) {
+          const offsets = parseAlertOffsets(times);
+          if (!offsets) {
+            await interaction.reply({ ephemeral: true, content: 'Could not read those times. Use something like "24h, 1h, 10m" or "off".' });
+            return;
+          }
+          settings.offsets = offsets;
+        }
+
+        const role = interaction.options.getRole("role");
+        if (role) settings.roleId = role.id;
+        if (interaction.options.getBoolean("clear-role")) settings.roleId = null;
+
+        db.endingAlertSettings[guildId] = settings;
+        saveDb(db);
+
+        await interaction.reply({ ephemeral: true, content: `Server default ending alerts: ${describeEndingAlerts(getEndingAlertSettings(db, null))}` });
+        return;
+      }
+    }
+
+    // /payouts - Consignment ledger
+    if (interaction.commandName === "payouts") {
+      const sub = interaction.options.getSubcommand();
+      const isStaff = memberIsStaff(interaction);
+      if (!db.ledger) db.ledger = [];
+
+      // Owners may read their own statement; everything else is staff only
+      const ownStatement = sub === "statement" &&
+        (interaction.options.getUser("owner")?.id || interaction.user.id) === interaction.user.id;
+      if (!isStaff && !ownStatement) {
+        await interaction.reply({ ephemeral: true, content: "Only staff can manage payouts. You can view your own `/payouts statement`." });
+        return;
+      }
+
+      if (sub === "balances") {
+        const balances = Object.entries(getLedgerBalances(db.ledger))
+          .filter(([, currencies]) => Object.values(currencies).some((amount) => Math.abs(amount) >= 0.005))
+          .sort(([, a], [, b]) => Object.values(b).reduce((x, y) => x + y, 0) - Object.values(a).reduce((x, y) => x + y, 0));
+
+        const lines = balances.map(([ownerId, currencies]) => `• <@${ownerId}> - **${formatBalance(currencies)}**`);
+        await interaction.reply({
+          ephemeral: true,
+          content: [
+            "**Consignment Balances Owed**",
+            "",
+            lines.length ? lines.join("\n") : "Nobody is owed anything right now.",
+            "",
+            `Commission ${consignmentConfig.commissionPercent}% (${consignmentConfig.commissionBase}) · default shipping ${formatMoney(consignmentConfig.defaultShippingCost)}`,
+          ].join("\n").slice(0, 2000),
+        });
+        return;
+      }
+
+      if (sub === "pay") {
+        const owner = interaction.options.getUser("owner");
+        const amount = roundPrice(interaction.options.getNumber("amount"));
+        const currency = (interaction.options.getString("currency") || "USD").toUpperCase();
+        const note = interaction.options.getString("note") || "";
+        const owed = getLedgerBalances(db.ledger)[owner.id]?.[currency] || 0;
+
+        if (amount > owed + 0.005) {
+          await interaction.reply({
+            ephemeral: true,
+            content: `❌ <@${owner.id}> is only owed ${formatMoney(owed, currency)}. Record sales first or check the currency.`,
+          });
+          return;
+        }
+
+        const entry = {
+          id: crypto.randomUUID().slice(0, 8),
+          type: "payout",
+          ownerId: owner.id,
+          currency,
+          amount,
+          note,
+          createdAt: Date.now(),
+          recordedBy: interaction.user.id,
+        };
+        db.ledger.push(entry);
+        saveDb(db);
+
+        await interaction.reply({
+          ephemeral: true,
+          content: `💸 Recorded payout of **${formatMoney(amount, currency)}** to <@${owner.id}>. Remaining: **${formatMoney(roundPrice(owed - amount), currency)}**.`,
+        });
+        return;
+      }
+
+      if (sub === "statement") {
+        const owner = interaction.options.getUser("owner") || interaction.user;
+        const entries = db.ledger
+          .filter((entry) => entry.ownerId === owner.id)
+          .sort((a, b) => b.createdAt - a.createdAt);
+
+        const balance = formatBalance(getLedgerBalances(db.ledger)[owner.id]);
+        const lines = entries.slice(0, 15).map(formatLedgerEntry);
+
+        await interaction.reply({
+          ephemeral: true,
+          content: [
+            `**Statement for <@${owner.id}>** - balance owed: **${balance}**`,
+            "",
+            lines.length ? lines.join("\n") : "No sales or payouts yet.",
+            entries.length > 15 ? `...and ${entries.length - 15} older entries` : null,
+          ].filter((line) => line !== null).join("\n").slice(0, 2000),
+        });
+        return;
+      }
+
+      if (sub === "set-shipping") {
+        const channelId = interaction.options.getChannel("channel")?.id || interaction.channelId;
+        const cost = interaction.options.getNumber("cost");
+        const entry = db.ledger.find((e) => e.type === "sale" && e.channelId === channelId);
+
+        if (!entry) {
+          await interaction.reply({ ephemeral: true, content: `No recorded sale for <#${channelId}>.` });
+          return;
+        }
+
+        Object.assign(entry, calculateConsignmentSplit(entry.salePrice, cost, consignmentConfig), { updatedAt: Date.now(), updatedBy: interaction.user.id });
+        saveDb(db);
+
+        await interaction.reply({
+          ephemeral: true,
+          content: `📦 Shipping for **${entry.title}** set to ${formatMoney(cost, entry.currency)}.\n${formatLedgerEntry(entry)}`,
+        });
+        return;
+      }
+    }
+
+    // /transcript - Fetch an archived transcript
+    if (interaction.commandName === "transcript") {
+      if (!memberIsStaff(interaction)) {
+        await interaction.reply({ ephemeral: true, content: "Only staff can fetch transcripts." });
+        return;
+      }
+
+      const query = interaction.options.getString("query").trim();
+      const archived = [
+        ...Object.entries(db.listings || {}).map(([id, r]) => ({ id, name: r.itemName, record: r })),
+        ...Object.entries(db.ebayListings || {}).map(([id, r]) => ({ id, name: r.title, record: r })),
+      ].filter((entry) => entry.record.transcript);
+
+      const channelId = query.match(/^<?#?(\d{17,20})>?$/)?.[1];
+      const matches = channelId
+        ? archived.filter((entry) => entry.id === channelId)
+        : archived.filter((entry) => String(entry.name || "").toLowerCase().includes(query.toLowerCase()));
+
+      if (!matches.length) {
+        await interaction.reply({ ephemeral: true, content: `No archived transcript matches **${query}**.` });
+        return;
+      }
+
+      if (matches.length > 1) {
+        const list = matches
+          .slice(0, 15)
+          .map((entry) => `• **${entry.name}** - \`${entry.id}\` (closed ${new Date(entry.record.closedAt || entry.record.transcript.createdAt).toLocaleDateString()})`)
+          .join("\n");
+        await interaction.reply({
+          ephemeral: true,
+          content: `Several transcripts match **${query}** - run it again with a channel ID:\n${list}`.slice(0, 2000),
+        });
+        return;
+      }
+
+      const { id, name, record } = matches[0];
+      const files = [record.transcript.html, record.transcript.json]
+        .map((file) => path.join(transcriptDir, file))
+        .filter((file) => fs.existsSync(file));
+
+      if (!files.length) {
+        await interaction.reply({ ephemeral: true, content: `The transcript files for **${name}** are missing from \`${transcriptDir}\`.` });
+        return;
+      }
+
+      await interaction.reply({
+        ephemeral: true,
+        content: `📜 Transcript for **${name}** (\`${id}\`) - ${record.transcript.messageCount} messages${record.channelDeletedAt ? ", channel deleted" : ""}.`,
+        files,
+      });
+      return;
+    }
+
+    // /listing-template - Manage per-category intake templates
+    if (interaction.commandName === "listing-template") {
+      const sub = interaction.options.getSubcommand();
+      if (!db.intakeTemplates) db.intakeTemplates = {};
+
+      if (sub === "list") {
+        const lines = Object.values(db.intakeTemplates).map((t) => {
+          const defaults = Object.entries(t.defaults)
+            .map(([key, value]) => `${key}=${value}`)
+            .join(", ");
+          return [
+            `**${t.name}**`,
+            `  Fields: ${t.fields.join(", ") || "-"}`,
+            `  Required: ${t.required.join(", ") || "-"}`,
+            `  Defaults: ${defaults || "-"}`,
+          ].join("\n");
+        });
+
+        await interaction.reply({
+          ephemeral: true,
+          content: [
+            "**Listing Intake Templates**",
+            "",
+            lines.length ? lines.join("\n") : "No templates yet - everyone gets the General form.",
+            "",
+            `Available fields: \`${Object.keys(INTAKE_FIELDS).join("`, `")}\``,
+          ].join("\n"),
+        });
+        return;
+      }
+
+      const name = interaction.options.getString("name").trim();
+      const key = slugify(name);
+      if (!key) {
+        await interaction.reply({ ephemeral: true, content: "❌ Template name must contain letters or numbers." });
+        return;
+      }
+
+      if (sub === "remove") {
+        if (!db.intakeTemplates[key]) {
+          await interaction.reply({ ephemeral: true, content: `No template named **${name}**.` });
+          return;
+        }
+        delete db.intakeTemplates[key];
+        saveDb(db);
+        await interaction.reply({ ephemeral: true, content: `🗑️ Removed template **${name}**.` });
+        return;
+      }
+
+      if (sub === "set") {
+        const existing = db.intakeTemplates[key];
+        // Select menus allow 25 options and one is always the General form
+        if (!existing && Object.keys(db.intakeTemplates).length >= 24) {
+          await interaction.reply({ ephemeral: true, content: "❌ You can have at most 24 templates." });
+          return;
+        }
+
+        const parseKeys = (text) => text.split(",").map((k) => k.trim()).filter(Boolean);
+        const fieldsOpt = interaction.options.getString("fields");
+        const requiredOpt = interaction.options.getString("required");
+        const fields = fieldsOpt !== null ? parseKeys(fieldsOpt) : existing?.fields || Object.keys(INTAKE_FIELDS);
+        const required = requiredOpt !== null ? parseKeys(requiredOpt) : existing?.required || [];
+
+        const errors = [];
+        const unknown = [...fields, ...required].filter((k) => !INTAKE_FIELDS[k]);
+        if (unknown.length) errors.push(`Unknown fields: ${unknown.join(", ")}`);
+        const notAsked = required.filter((k) => INTAKE_FIELDS[k] && !fields.includes(k));
+        if (notAsked.length) errors.push(`Required fields must also be in \`fields\`: ${notAsked.join(", ")}`);
+
+        const defaults = { ...(existing?.defaults || {}) };
+        const defaultOptions = {
+          ebayCategoryId: interaction.options.getString("ebay_category"),
+          condition: interaction.options.getString("condition"),
+          weight: interaction.options.getString("weight"),
+          dimensions: interaction.options.getString("dimensions"),
+          quantity: interaction.options.getInteger("quantity"),
+        };
+        for (const [field, raw] of Object.entries(defaultOptions)) {
+          if (raw === null) continue;
+          const { error } = parseIntakeField(field, raw);
+          if (error) errors.push(error);
+          else defaults[field] = String(raw).trim();
+        }
+
+        if (errors.length) {
+          await interaction.reply({ ephemeral: true, content: `❌ ${errors.join("\n❌ ")}` });
+          return;
+        }
+
+        db.intakeTemplates[key] = {
+          name,
+          fields,
+          required,
+          defaults,
+          updatedBy: interaction.user.id,
+          updatedAt: Date.now(),
+        };
+        saveDb(db);
+
+        await interaction.reply({
+          ephemeral: true,
+          content: `✅ Template **${name}** ${existing ? "updated" : "created"}. Fields: ${fields.join(", ") || "-"}`,
+        });
+        return;
+      }
+    }
+  }
+
+  // ---- eBay Setup Modal submit ----
+  if (interaction.isModalSubmit() && interaction.customId === "ebay_setup_modal") {
+    await interaction.deferReply({ ephemeral: true });
+
+    const appId = interaction.fields.getTextInputValue("ebay_app_id")?.trim();
+    const devId = interaction.fields.getTextInputValue("ebay_dev_id")?.trim() || "";
+    const certId = interaction.fields.getTextInputValue("ebay_cert_id")?.trim();
+    const refreshToken = interaction.fields.getTextInputValue("ebay_refresh_token")?.trim() ||
+                         db.ebayCredentials?.refreshToken || "";
+
+    if (!appId || !certId) {
+      await interaction.editReply({
+        content: "❌ App ID and Cert ID are required.",
+      });
+      return;
+    }
+
+    // Save to database
+    db.ebayCredentials = {
+      appId,
+      devId,
+      certId,
+      refreshToken,
+      configuredBy: interaction.user.id,
+      configuredAt: Date.now(),
+    };
+    saveDb(db);
+
+    // Clear cached tokens to use new credentials
+    ebayAccessToken = null;
+    ebayTokenExpiry = 0;
+    ebayUserAccessToken = null;
+    ebayUserTokenExpiry = 0;
+
+    // Test the new credentials
+    let testResult = "";
+    try {
+      await getEbayAccessToken();
+      testResult = "✅ Credentials verified - API connection successful!";
+    } catch (err) {
+      testResult = `⚠️ Credentials saved but API test failed: ${err.message}\n\nPlease verify your credentials are correct.`;
+    }
+
+    await interaction.editReply({
+      content: `✅ eBay API credentials saved!\n\n${testResult}`,
+    });
+    return;
+  }
+
+  // ---- Create Listing button ----
+  if (interaction.isButton() && interaction.customId === "listing_create") {
+    // With category templates defined, pick one first; otherwise go straight to the form
+    if (Object.keys(db.intakeTemplates || {}).length) {
+      await interaction.reply(buildIntakeTemplateSelect(db));
+      return;
+    }
+
+    const template = getIntakeTemplate(db, "general");
+    startIntakeSession(interaction.user.id, "general", template);
+    await interaction.showModal(buildIntakeStep1Modal(template));
+    return;
+  }
+
+  // ---- Intake: category template picked ----
+  if (interaction.isStringSelectMenu() && interaction.customId === "listing_intake_template") {
+    const templateKey = interaction.values[0];
+    const template = getIntakeTemplate(db, templateKey);
+    startIntakeSession(interaction.user.id, templateKey, template);
+    await interaction.showModal(buildIntakeStep1Modal(template));
+    return;
+  }
+
+  // ---- Intake step 1 modal submit (name, description, quantity, SKU) ----
+  if (interaction.isModalSubmit() && interaction.customId === "listing_modal") {
+    let session = getIntakeSession(interaction.user.id);
+    const template = getIntakeTemplate(db, session?.templateKey);
+    if (!session) session = startIntakeSession(interaction.user.id, "general", template);
+
+    session.values.itemName = interaction.fields.getTextInputValue("item_name")?.trim();
+    session.values.itemDesc = interaction.fields.getTextInputValue("item_desc")?.trim();
+
+    const errors = applyIntakeModalValues(session, template, interaction.fields, 1);
+    if (errors.length) {
+      intakeSessions.delete(interaction.user.id);
+      await interaction.reply({
+        ephemeral: true,
+        content: `❌ ${errors.join("\n❌ ")}\n\nPress **Create Listing** to start again.`,
+      });
+      return;
+    }
+
+    // Nothing left to ask - create the ticket now
+    if (!template.fields.includes("condition") && !templateFieldsForStep(template, 2).length) {
+      await interaction.deferReply({ ephemeral: true });
+      await finishListingIntake(interaction, session, template);
+      return;
+    }
+
+    await interaction.reply({ ephemeral: true, ...buildIntakeStepMessage(session, template) });
+    return;
+  }
+
+  // ---- Intake: condition picked ----
+  if (interaction.isStringSelectMenu() && interaction.customId === "listing_intake_condition") {
+    const session = getIntakeSession(interaction.user.id);
+    if (!session) {
+      await interaction.update({ content: "This intake has expired. Press **Create Listing** to start again.", components: [] });
+      return;
+    }
+
+    session.values.condition = interaction.values[0];
+    await interaction.update(buildIntakeStepMessage(session, getIntakeTemplate(db, session.templateKey)));
+    return;
+  }
+
+  // ---- Intake: continue / cancel ----
+  if (interaction.isButton() && (interaction.customId === "listing_intake_next" || interaction.customId === "listing_intake_cancel")) {
+    const session = getIntakeSession(interaction.user.id);
+    if (!session || interaction.customId === "listing_intake_cancel") {
+      intakeSessions.delete(interaction.user.id);
+      await interaction.update({
+        content: session ? "Listing intake cancelled." : "This intake has expired. Press **Create Listing** to start again.",
+        components: [],
+      });
+      return;
+    }
+
+    const template = getIntakeTemplate(db, session.templateKey);
+    if (template.required.includes("condition") && !session.values.condition) {
+      await interaction.reply({ ephemeral: true, content: "Please select a condition first." });
+      return;
+    }
+
+    if (templateFieldsForStep(template, 2).length) {
+      await interaction.showModal(buildIntakeStep2Modal(template));
+      return;
+    }
+
+    await interaction.update({ content: "Creating your listing ticket...", components: [] });
+    await finishListingIntake(interaction, session, template);
+    return;
+  }
+
+  // ---- Intake step 2 modal submit (price, category, shipping) ----
+  if (interaction.isModalSubmit() && interaction.customId === "listing_modal_details") {
+    const session = getIntakeSession(interaction.user.id);
+    if (!session) {
+      await interaction.reply({ ephemeral: true, content: "This intake has expired. Press **Create Listing** to start again." });
+      return;
+    }
+
+    const template = getIntakeTemplate(db, session.templateKey);
+    const errors = [
+      ...applyIntakeModalValues(session, template, interaction.fields, 2),
+      ...validateIntake(session, template),
+    ];
+    if (errors.length) {
+      await interaction.reply({
+        ephemeral: true,
+        content: `❌ ${errors.join("\n❌ ")}\n\nPress **Continue** again to fix the details.`,
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    await finishListingIntake(interaction, session, template);
+    return;
+  }
+
+  // ---- In-channel buttons ----
+  if (interaction.isButton() && (interaction.customId === "listing_done" || interaction.customId === "listing_close")) {
+    const ticket = db.listings[interaction.channelId];
+    if (!ticket) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not a listing ticket (or the bot has no record of it)." });
+      return;
+    }
+
+    const isOwner = interaction.user.id === ticket.ownerId;
+    const isStaff = memberIsStaff(interaction);
+
+    if (!isOwner && !isStaff) {
+      await interaction.reply({ ephemeral: true, content: "Only the ticket owner or staff can do that." });
+      return;
+    }
+
+    // Done Uploading
+    if (interaction.customId === "listing_done") {
+      // The queue and SLA reminders count from the first time photos were finished
+      if (ticket.status !== "images_done") ticket.imagesDoneAt = Date.now();
+      ticket.status = "images_done";
+      saveDb(db);
+
+      // Change channel emoji from ❓ to ✅
+      try {
+        const newName = interaction.channel.name.replace(/^❓/, "✅");
+        await interaction.channel.setName(newName);
+      } catch {}
+
+      const images = getActiveTicketImages(ticket);
+      const count = images.length;
+      const preview = images.slice(0, 10).map((img) => `• ${describeImage(img)}`).join("\n") || "-";
+
+      await interaction.reply({
+        content:
+          `✅ **Upload complete** for **${ticket.itemName}**\n` +
+          `Images captured: **${count}**\n\n` +
+          `First up to 10 images:\n${preview}\n\n` +
+          (ticket.assignedTo
+            ? `Claimed by: <@${ticket.assignedTo}>`
+            : `Paging staff: <@&${staffRoleId}> - press **Claim** to take this one.`),
+        components: [
+          new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId("listing_ebay_draft")
+              .setLabel("Create eBay Draft")
+              .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+              .setCustomId("listing_ebay_linked")
+              .setLabel("Listed on eBay")
+              .setStyle(ButtonStyle.Secondary)
+          ),
+          buildClaimButtons(),
+        ],
+      });
+      return;
+    }
+
+    // Close Ticket
+    if (interaction.customId === "listing_close") {
+      // If you want ONLY staff to close, uncomment:
+      // if (!isStaff) { ... }
+
+      // Remember where it was so Reopen can put it back
+      if (ticket.status !== "closed") ticket.statusBeforeClose = ticket.status;
+      ticket.status = "closed";
+      saveDb(db);
+
+      // Lock owner from sending (but keep read access)
+      try {
+        await interaction.channel.permissionOverwrites.edit(ticket.ownerId, {
+          SendMessages: false,
+          AttachFiles: false,
+        });
+      } catch {}
+
+      // Rename channel
+      try {
+        await interaction.channel.setName(
+          (`closed-${interaction.channel.name}`.slice(0, 90))
+        );
+      } catch {}
+
+      await interaction.deferReply();
+
+      let archived = null;
+      try {
+        archived = await archiveClosedChannel(interaction.channel, "listing");
+      } catch (err) {
+        console.error("Failed to write ticket transcript:", err);
+      }
+
+      await interaction.editReply({
+        content: archived
+          ? `🔒 Ticket closed. Transcript saved.${describeChannelDeletion(archived)}`
+          : "🔒 Ticket closed. ⚠️ The transcript could not be saved.",
+        components: [buildReopenButtons("listing_reopen")],
+      });
+      return;
+    }
+  }
+
+  // ---- Manage Photos (gallery) ----
+  if (interaction.isButton() && (interaction.customId === "listing_photos" || interaction.customId.startsWith("photos:"))) {
+    const ticket = db.listings[interaction.channelId];
+    if (!ticket) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not a listing ticket (or the bot has no record of it)." });
+      return;
+    }
+
+    const isOwner = interaction.user.id === ticket.ownerId;
+    const isStaff = memberIsStaff(interaction);
+
+    if (!isOwner && !isStaff) {
+      await interaction.reply({ ephemeral: true, content: "Only the ticket owner or staff can manage photos." });
+      return;
+    }
+
+    // Open the gallery on the cover photo
+    if (interaction.customId === "listing_photos") {
+      await interaction.reply({ ephemeral: true, ...buildPhotoGalleryMessage(ticket, interaction.channelId, 0) });
+      return;
+    }
+
+    const [, action, value] = interaction.customId.split(":");
+    let page = parseInt(value, 10) || 0;
+
+    if (action !== "page") {
+      if (ticket.status === "closed") {
+        await interaction.reply({ ephemeral: true, content: "This ticket is closed." });
+        return;
+      }
+      page = applyPhotoAction(ticket, action, value, interaction.user.id);
+      if (page === null) {
+        await interaction.update({
+          ...buildPhotoGalleryMessage(ticket, interaction.channelId, 0),
+          content: "⚠️ That photo is no longer in this ticket - nothing was changed. The gallery has been refreshed.",
+        });
+        return;
+      }
+      saveDb(db);
+    }
+
+    await interaction.update(buildPhotoGalleryMessage(ticket, interaction.channelId, page));
+    return;
+  }
+
+  // ---- Find Comps + suggested price (staff only) ----
+  if (
+    (interaction.isButton() && (interaction.customId === "listing_comps" || interaction.customId === "comps_custom" || interaction.customId.startsWith("comps_use:"))) ||
+    (interaction.isModalSubmit() && interaction.customId === "comps_custom_modal")
+  ) {
+    const ticket = db.listings[interaction.channelId];
+    if (!ticket) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not a listing ticket (or the bot has no record of it)." });
+      return;
+    }
+
+    if (!memberIsStaff(interaction)) {
+      await interaction.reply({ ephemeral: true, content: "Only staff can look up comps and set prices." });
+      return;
+    }
+
+    if (interaction.customId === "listing_comps") {
+      if (!isEbayApiEnabled()) {
+        await interaction.reply({ ephemeral: true, content: "❌ eBay API not configured. Use `/ebay-setup` first." });
+        return;
+      }
+
+      await interaction.deferReply();
+
+      try {
+        const items = await ebayBrowse.searchItems(ticket.itemName, { categoryId: ticket.ebayCategoryId });
+        const summary = summarizeComps(items);
+
+        ticket.comps = summary
+          ? { query: ticket.itemName, count: summary.count, currency: summary.currency, median: summary.median, low: summary.low, high: summary.high, searchedAt: Date.now() }
+          : { query: ticket.itemName, count: 0, searchedAt: Date.now() };
+        saveDb(db);
+
+        await interaction.editReply(buildCompsMessage(ticket, ticket.itemName, summary));
+      } catch (err) {
+        console.error("Failed to search eBay comps:", err);
+        await interaction.editReply(`Failed to look up comps: ${err.message}`);
+      }
+      return;
+    }
+
+    if (interaction.customId === "comps_custom") {
+      const modal = new ModalBuilder()
+        .setCustomId("comps_custom_modal")
+        .setTitle("Suggested Price");
+
+      const priceInput = new TextInputBuilder()
+        .setCustomId("suggested_price")
+        .setLabel("Suggested price")
+        .setPlaceholder(ticket.comps?.median ? String(ticket.comps.median) : "e.g. 49.99")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(12);
+
+      modal.addComponents(new ActionRowBuilder().addComponents(priceInput));
+      await interaction.showModal(modal);
+      return;
+    }
+
+    const price = interaction.isModalSubmit()
+      ? parsePrice(interaction.fields.getTextInputValue("suggested_price"))
+      : parsePrice(interaction.customId.split(":").pop());
+    // Buttons carry the comps' currency (older comps messages don't); a custom price is in the
+    // currency of the last comps search, or the selling currency
+    const idParts = interaction.customId.split(":");
+    const currency = (interaction.isButton() && idParts.length === 4 ? idParts[2] : null) ||
+      ticket.comps?.currency ||
+      ebaySellDefaults.currency;
+
+    if (!price) {
+      await interaction.reply({ ephemeral: true, content: "❌ That isn't a valid price (e.g. 49.99)." });
+      return;
+    }
+
+    ticket.suggestedPrice = price;
+    ticket.suggestedPriceCurrency = currency;
+    ticket.suggestedPriceBy = interaction.user.id;
+    ticket.suggestedPriceAt = Date.now();
+    saveDb(db);
+
+    await interaction.reply({
+      content: `💲 Suggested price set to **${formatMoney(Number(price), currency)}** by <@${interaction.user.id}>.`,
+      allowedMentions: { users: [] },
+    });
+    return;
+  }
+
+  // ---- Claim / Unclaim / Hand Off (staff only) ----
+  if (
+    (interaction.isButton() && ["listing_claim", "listing_unclaim", "listing_handoff"].includes(interaction.customId)) ||
+    (interaction.isUserSelectMenu() && interaction.customId === "listing_handoff_select")
+  ) {
+    const ticket = db.listings[interaction.channelId];
+    if (!ticket) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not a listing ticket (or the bot has no record of it)." });
+      return;
+    }
+
+    if (!memberIsStaff(interaction)) {
+      await interaction.reply({ ephemeral: true, content: "Only staff can claim tickets." });
+      return;
+    }
+
+    const isAssignee = ticket.assignedTo === interaction.user.id;
+    // Channel managers can take over or release anyone's claim
+    const canOverride = interaction.memberPermissions?.has(PermissionFlagsBits.ManageChannels);
+
+    if (interaction.customId === "listing_claim") {
+      if (isAssignee) {
+        await interaction.reply({ ephemeral: true, content: "You already claimed this ticket." });
+        return;
+      }
+      if (ticket.assignedTo && !canOverride) {
+        await interaction.reply({ ephemeral: true, content: `Already claimed by <@${ticket.assignedTo}>. Ask them to hand it off.` });
+        return;
+      }
+
+      const previous = ticket.assignedTo;
+      ticket.assignedTo = interaction.user.id;
+      ticket.claimedAt = Date.now();
+      saveDb(db);
+      refreshTicketTopic(interaction.channel, ticket);
+
+      await interaction.reply({
+        content: previous
+          ? `🙋 <@${interaction.user.id}> took over this ticket from <@${previous}>.`
+          : `🙋 <@${interaction.user.id}> claimed this ticket.`,
+        allowedMentions: { users: [] },
+      });
+      return;
+    }
+
+    if (!ticket.assignedTo) {
+      await interaction.reply({ ephemeral: true, content: "Nobody has claimed this ticket yet." });
+      return;
+    }
+
+    if (!isAssignee && !canOverride) {
+      await interaction.reply({ ephemeral: true, content: `Only <@${ticket.assignedTo}> can release or hand off this ticket.` });
+      return;
+    }
+
+    if (interaction.customId === "listing_unclaim") {
+      const previous = ticket.assignedTo;
+      ticket.assignedTo = null;
+      ticket.claimedAt = null;
+      // SLA reminders restart from now
+      ticket.unclaimedAt = Date.now();
+      saveDb(db);
+      refreshTicketTopic(interaction.channel, ticket);
+
+      await interaction.reply({
+        content: `↩️ <@${previous}> released this ticket. It's back in the \`/queue\`.`,
+        allowedMentions: { users: [] },
+      });
+      return;
+    }
+
+    if (interaction.customId === "listing_handoff") {
+      const menu = new UserSelectMenuBuilder()
+        .setCustomId("listing_handoff_select")
+        .setPlaceholder("Hand this ticket to...")
+        .setMinValues(1)
+        .setMaxValues(1);
+
+      await interaction.reply({
+        ephemeral: true,
+        content: "Who should take over this ticket?",
+        components: [new ActionRowBuilder().addComponents(menu)],
+      });
+      return;
+    }
+
+    // Hand-off target picked
+    const targetId = interaction.values[0];
+    const guild = await client.guilds.fetch(guildId);
+    const target = await guild.members.fetch(targetId).catch(() => null);
+    const targetIsStaff = target && !target.user.bot && (
+      target.roles.cache.has(staffRoleId) || target.permissions.has(PermissionFlagsBits.ManageChannels)
+    );
+
+    if (!targetIsStaff) {
+      await interaction.update({ content: "❌ Tickets can only be handed to staff members.", components: [] });
+      return;
+    }
+
+    const previous = ticket.assignedTo;
+    ticket.assignedTo = targetId;
+    ticket.claimedAt = Date.now();
+    saveDb(db);
+    refreshTicketTopic(interaction.channel, ticket);
+
+    await interaction.update({ content: `Handed off to <@${targetId}>.`, components: [] });
+    await interaction.channel.send({
+      content: `🔁 <@${previous}> handed this ticket to <@${targetId}>.`,
+      allowedMentions: { users: [targetId] },
+    });
+    return;
+  }
+
+  // ---- Ticket -> eBay draft / publish buttons (staff only) ----
+  if (interaction.isButton() && (interaction.customId === "listing_ebay_draft" || interaction.customId === "listing_ebay_publish")) {
+    const ticket = db.listings[interaction.channelId];
+    if (!ticket) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not a listing ticket (or the bot has no record of it)." });
+      return;
+    }
+
+    if (!memberIsStaff(interaction)) {
+      await interaction.reply({ ephemeral: true, content: "Only staff can create eBay drafts." });
+      return;
+    }
+
+    if (!isEbaySellEnabled()) {
+      await interaction.reply({ ephemeral: true, content: "❌ eBay seller token not configured. Use `/ebay-setup` to add one." });
+      return;
+    }
+
+    // Create eBay Draft
+    if (interaction.customId === "listing_ebay_draft") {
+      if (ticket.status !== "images_done") {
+        await interaction.reply({ ephemeral: true, content: "Finish uploading photos (press **Done Uploading**) before creating a draft." });
+        return;
+      }
+      const images = getActiveTicketImages(ticket);
+      if (!images.length) {
+        await interaction.reply({ ephemeral: true, content: "This ticket has no photos yet - eBay needs at least one image." });
+        return;
+      }
+
+      await interaction.deferReply();
+
+      try {
+        const imageUrls = await resolveTicketImageUrls(interaction.channel, images.slice(0, 24));
+        const { sku, offerId } = await ebaySell.createDraftFromTicket(interaction.channelId, ticket, imageUrls);
+        ticket.ebayDraft = {
+          sku,
+          offerId,
+          createdBy: ticket.ebayDraft?.createdBy || interaction.user.id,
+          createdAt: ticket.ebayDraft?.createdAt || Date.now(),
+          updatedAt: Date.now(),
+        };
+        saveDb(db);
+
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder()
+            .setCustomId("listing_ebay_publish")
+            .setLabel("Publish to eBay")
+            .setStyle(ButtonStyle.Success),
+          new ButtonBuilder()
+            .setCustomId("listing_ebay_draft")
+            .setLabel("Update Draft")
+            .setStyle(ButtonStyle.Secondary)
+        );
 
-      if (!db.ebayListings || Object.keys(db.ebayListings).length === 0) {
         await interaction.editReply({
-          content: "No eBay listings found in the database.",
+          content:
+            `📝 **eBay draft saved** for **${ticket.itemName}**\n` +
+            `SKU: \`${sku}\` | Offer ID: \`${offerId}\`\n\n` +
+            "Finish the offer in Seller Hub if needed, then press **Publish to eBay**.",
+          components: [row],
         });
+      } catch (err) {
+        console.error("Failed to create eBay draft:", err);
+        await interaction.editReply(`Failed to create eBay draft: ${err.message}`);
+      }
+      return;
+    }
+
+    // Publish to eBay
+    if (interaction.customId === "listing_ebay_publish") {
+      if (!ticket.ebayDraft?.offerId) {
+        await interaction.reply({ ephemeral: true, content: "No eBay draft exists for this ticket yet." });
+        return;
+      }
+      if (db.ebayListings?.[interaction.channelId]) {
+        await interaction.reply({ ephemeral: true, content: "This ticket is already tracking its eBay listing." });
         return;
       }
 
-      for (const [channelId, listing] of Object.entries(db.ebayListings)) {
-        results.total++;
+      await interaction.deferReply();
+
+      try {
+        const listingId = await ebaySell.publishOffer(ticket.ebayDraft.offerId);
+        const guild = await client.guilds.fetch(guildId);
+        await convertTicketToTracker(guild, interaction.channel, ticket, buildEbayItemUrl(listingId, ebaySellDefaults.marketplaceId));
+
+        await interaction.editReply(`🚀 **Published to eBay!** This channel now tracks listing \`${listingId}\`.`);
+      } catch (err) {
+        console.error("Failed to publish eBay offer:", err);
+        await interaction.editReply(`Failed to publish eBay offer: ${err.message}`);
+      }
+      return;
+    }
+  }
+
+  // ---- Listed on eBay: link a ticket to its live listing (staff only) ----
+  if (
+    (interaction.isButton() && (interaction.customId === "listing_ebay_linked" || interaction.customId.startsWith("listing_ebay_link:"))) ||
+    (interaction.isModalSubmit() && interaction.customId.startsWith("listing_ebay_link_modal:"))
+  ) {
+    const ticket = db.listings[interaction.channelId];
+    if (!ticket) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not a listing ticket (or the bot has no record of it)." });
+      return;
+    }
+
+    if (!memberIsStaff(interaction)) {
+      await interaction.reply({ ephemeral: true, content: "Only staff can link eBay listings." });
+      return;
+    }
+
+    if (ticket.ebayTrackerChannelId) {
+      await interaction.reply({ ephemeral: true, content: `This ticket is already linked to <#${ticket.ebayTrackerChannelId}>.` });
+      return;
+    }
+
+    // Step 1: convert this channel or use a separate tracker?
+    if (interaction.customId === "listing_ebay_linked") {
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId("listing_ebay_link:create")
+          .setLabel("Separate Tracker Channel")
+          .setStyle(ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId("listing_ebay_link:convert")
+          .setLabel("Convert This Ticket")
+          .setStyle(ButtonStyle.Secondary)
+      );
+      await interaction.reply({
+        ephemeral: true,
+        content: "Track the live listing in a **separate channel** (this ticket stays private and shows live status), or **convert** this ticket into the tracker?",
+        components: [row],
+      });
+      return;
+    }
+
+    // Step 2: ask for the URL
+    if (interaction.isButton()) {
+      const mode = interaction.customId.split(":")[1];
+      const modal = new ModalBuilder()
+        .setCustomId(`listing_ebay_link_modal:${mode}`)
+        .setTitle("Listed on eBay");
+
+      const ebayUrl = new TextInputBuilder()
+        .setCustomId("ebay_url")
+        .setLabel("eBay Listing URL")
+        .setPlaceholder("https://www.ebay.com/itm/..., share link or item number")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(500);
+
+      modal.addComponents(new ActionRowBuilder().addComponents(ebayUrl));
+      await interaction.showModal(modal);
+      return;
+    }
+
+    // Step 3: link it
+    const mode = interaction.customId.split(":")[1];
+    await interaction.deferReply();
+
+    try {
+      const { url } = await resolveEbayListingUrl(interaction.fields.getTextInputValue("ebay_url"));
+      const guild = await client.guilds.fetch(guildId);
+      const { trackerChannelId, created } = await linkTicketToEbayListing(guild, interaction.channel, ticket, url, mode);
+
+      await interaction.editReply(
+        mode === "convert"
+          ? "🔗 **Listed on eBay!** This channel now tracks the live listing."
+          : `🔗 **Listed on eBay!** ${created ? "Created" : "Linked to"} tracker <#${trackerChannelId}>. Live status will show here.`
+      );
+    } catch (err) {
+      console.error("Failed to link eBay listing:", err);
+      await interaction.editReply(`Failed to link eBay listing: ${err.message}`);
+    }
+    return;
+  }
+
+  // ---- Reopen button (staff only) ----
+  if (interaction.isButton() && (interaction.customId === "listing_reopen" || interaction.customId === "ebay_reopen")) {
+    if (!memberIsStaff(interaction)) {
+      await interaction.reply({ ephemeral: true, content: "Only staff can reopen closed channels." });
+      return;
+    }
+
+    await interaction.deferReply();
+    const result = await reopenClosedChannel(interaction.channel, interaction.user.id);
+    if (result.ok) {
+      // Drop the Reopen button from the close message
+      await interaction.message.edit({ components: [] }).catch(() => {});
+    }
+    await interaction.editReply(result.message);
+    return;
+  }
+
+  // ---- eBay Add Listing button ----
+  if (interaction.isButton() && interaction.customId === "ebay_add") {
+    const modal = new ModalBuilder()
+      .setCustomId("ebay_modal")
+      .setTitle("Add Listing");
+
+    const ebayUrl = new TextInputBuilder()
+      .setCustomId("ebay_url")
+      .setLabel(`Listing URL (${MARKETPLACE_ADAPTERS.map((a) => a.name).join(", ")})`)
+      .setPlaceholder("https://www.ebay.com/itm/..., mercari.com/us/item/..., poshmark.com/listing/...")
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true)
+      .setMaxLength(500);
+
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(ebayUrl)
+    );
+
+    await interaction.showModal(modal);
+    return;
+  }
+
+  // ---- eBay Modal submit ----
+  if (interaction.isModalSubmit() && interaction.customId === "ebay_modal") {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const { channel } = await trackListingUrl(interaction.user.id, interaction.fields.getTextInputValue("ebay_url"));
+      await interaction.editReply(`Created tracking channel: <#${channel.id}>`);
+    } catch (err) {
+      console.error("Failed to track listing:", err.message);
+      await interaction.editReply(err.message);
+    }
+    return;
+  }
+
+  // ---- Saved search match: Track this ----
+  if (interaction.isButton() && interaction.customId.startsWith("deal_track:")) {
+    const itemId = interaction.customId.split(":")[1];
+    await interaction.deferReply({ ephemeral: true });
+
+    // The deal embed links to the item on the site it was found on
+    const itemUrl = interaction.message.embeds[0]?.url || itemId;
+    try {
+      const { channel } = await trackListingUrl(interaction.user.id, itemUrl);
+      await interaction.editReply(`Created eBay tracking channel: <#${channel.id}>`);
+      await interaction.message.reply({
+        content: `📌 Tracked by <@${interaction.user.id}> in <#${channel.id}>`,
+        allowedMentions: { users: [] },
+      }).catch(() => {});
+    } catch (err) {
+      console.error("Failed to track saved search match:", err.message);
+      await interaction.editReply(err.message);
+    }
+    return;
+  }
+
+  // ---- eBay Refresh button ----
+  if (interaction.isButton() && interaction.customId === "ebay_refresh") {
+    const ebayListing = db.ebayListings?.[interaction.channelId];
+    if (!ebayListing) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const newData = await fetchMarketplaceListing(ebayListing.url, getListingAdapter(ebayListing));
+      const oldPrice = ebayListing.currentPrice;
+      const oldBidCount = ebayListing.bidCount;
+
+      // Update stored data
+      ebayListing.title = newData.title;
+      ebayListing.currentPrice = newData.currentPrice;
+      ebayListing.bidCount = newData.bidCount;
+      ebayListing.endTime = newData.endTime;
+      ebayListing.imageUrl = newData.imageUrl;
+      ebayListing.description = newData.description;
+      ebayListing.views = newData.views;
+      ebayListing.watchers = newData.watchers;
+      ebayListing.status = newData.status;
+      ebayListing.source = newData.source;
+      ebayListing.marketplaceId = newData.marketplaceId;
+      ebayListing.variations = newData.variations || null;
+      ebayListing.quantityAvailable = newData.quantityAvailable ?? null;
+      ebayListing.quantitySold = newData.quantitySold ?? null;
+      ebayListing.multiQuantity = ebayListing.multiQuantity || isMultiQuantity(newData);
+      ebayListing.lastChecked = Date.now();
+      ebayListing.nextCheckAt = getNextCheckAt(ebayListing);
+      recordListingHistory(ebayListing);
+      recordConsignmentSale(db, interaction.channelId, ebayListing);
+      recordConsignmentUnitSales(db, interaction.channelId, ebayListing);
+      saveDb(db);
+      ebayScheduler.schedule(interaction.channelId, ebayListing.nextCheckAt);
+
+      // Update the original message
+      const embed = buildEbayListingEmbed(ebayListing);
+      const components = buildEbayListingComponents(ebayListing);
+      await interaction.message.edit({ embeds: [embed], components });
+
+      await syncTicketWithTracker(interaction.channelId, ebayListing);
+
+      // Notify if price or bids changed
+      if (!isSamePrice(oldPrice, newData.currentPrice) || oldBidCount !== newData.bidCount) {
+        await interaction.channel.send(
+          `📢 **Listing Updated!**\nPrice: ${oldPrice} → ${newData.currentPrice}\nBids: ${oldBidCount} → ${newData.bidCount}`
+        );
+      }
+
+      await interaction.editReply("Listing refreshed!");
+    } catch (err) {
+      console.error("Failed to refresh eBay listing:", err);
+      await interaction.editReply(`Failed to refresh: ${err.message}`);
+    }
+    return;
+  }
+
+  // ---- Follow / Unfollow a tracker ----
+  if (interaction.isButton() && (interaction.customId === "ebay_follow" || interaction.customId === "ebay_unfollow")) {
+    const ebayListing = db.ebayListings?.[interaction.channelId];
+    if (!ebayListing) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
+      return;
+    }
+
+    const followers = new Set(ebayListing.followers || []);
+    if (interaction.customId === "ebay_follow") {
+      followers.add(interaction.user.id);
+    } else {
+      followers.delete(interaction.user.id);
+    }
+    ebayListing.followers = [...followers];
+    saveDb(db);
+
+    const events = getFollowEvents(db, interaction.user.id).map((key) => FOLLOW_EVENTS[key].toLowerCase());
+    await interaction.reply({
+      ephemeral: true,
+      content: interaction.customId === "ebay_follow"
+        ? `🔔 Following **${ebayListing.title}**. You'll get DMs for: ${events.join(", ") || "nothing (change with `/following`)"}.`
+        : `🔕 Unfollowed **${ebayListing.title}**.`,
+    });
+    return;
+  }
+
+  // ---- /following event type picker ----
+  if (interaction.isStringSelectMenu() && interaction.customId === "following_events") {
+    if (!db.followPrefs) db.followPrefs = {};
+    db.followPrefs[interaction.user.id] = { events: interaction.values };
+    saveDb(db);
+
+    await interaction.update(buildFollowingMessage(db, interaction.user.id));
+    return;
+  }
+
+  // ---- eBay History button / CSV download ----
+  if (interaction.isButton() && (interaction.customId === "ebay_history" || interaction.customId.startsWith("ebay_history_csv:"))) {
+    const channelId = interaction.customId.split(":")[1] || interaction.channelId;
+    const ebayListing = db.ebayListings?.[channelId];
+    if (!ebayListing) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    await interaction.editReply(buildHistoryReply(channelId, ebayListing, interaction.customId === "ebay_history" ? "chart" : "csv"));
+    return;
+  }
+
+  // ---- eBay Mark Sold button (BIN only) ----
+  if (interaction.isButton() && interaction.customId === "ebay_sold") {
+    const ebayListing = db.ebayListings?.[interaction.channelId];
+    if (!ebayListing) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
+      return;
+    }
+
+    const isOwner = interaction.user.id === ebayListing.ownerId;
+    const isStaff = memberIsStaff(interaction);
+
+    if (!isOwner && !isStaff) {
+      await interaction.reply({ ephemeral: true, content: "Only the channel owner or staff can mark items as sold." });
+      return;
+    }
+
+    // Mark as sold
+    ebayListing.status = "sold";
+    recordConsignmentSale(db, interaction.channelId, ebayListing, interaction.user.id);
+    saveDb(db);
+    ebayScheduler.schedule(interaction.channelId, null);
+
+    // Change channel emoji from 💰 (or the marketplace's emoji) to ✅
+    try {
+      const newName = markChannelNameDone(interaction.channel.name, ebayListing);
+      await interaction.channel.setName(newName);
+    } catch {}
+
+    // Update the embed and buttons
+    const embed = buildEbayListingEmbed(ebayListing);
+    const components = buildEbayListingComponents(ebayListing);
+    await interaction.message.edit({ embeds: [embed], components });
+
+    await interaction.reply({ content: "✅ **Item sold!** Ready to ship." });
+
+    await syncTicketWithTracker(interaction.channelId, ebayListing);
+    await notifyFollowers(interaction.channelId, ebayListing, "result", `✅ Sold for **${ebayListing.currentPrice}**.`);
+    return;
+  }
+
+  // ---- eBay Relisted button ----
+  if (interaction.isButton() && interaction.customId === "ebay_relist") {
+    const ebayListing = db.ebayListings?.[interaction.channelId];
+    if (!ebayListing) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
+      return;
+    }
+
+    const isOwner = interaction.user.id === ebayListing.ownerId;
+    const isStaff = memberIsStaff(interaction);
+
+    if (!isOwner && !isStaff) {
+      await interaction.reply({ ephemeral: true, content: "Only the channel owner or staff can relist items." });
+      return;
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId("ebay_relist_modal")
+      .setTitle("Relisted");
+
+    const ebayUrl = new TextInputBuilder()
+      .setCustomId("ebay_url")
+      .setLabel("New Listing URL")
+      .setPlaceholder("https://www.ebay.com/itm/..., mercari.com/us/item/..., poshmark.com/listing/...")
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true)
+      .setMaxLength(500);
+
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(ebayUrl)
+    );
+
+    await interaction.showModal(modal);
+    return;
+  }
+
+  // ---- eBay Relisted modal submit ----
+  if (interaction.isModalSubmit() && interaction.customId === "ebay_relist_modal") {
+    await interaction.deferReply();
+
+    let listing;
+    try {
+      listing = await relistEbayTracker(interaction.channel, interaction.fields.getTextInputValue("ebay_url"));
+    } catch (err) {
+      console.error("Failed to relist eBay tracker:", err.message);
+      await interaction.editReply(`❌ ${err.message}`);
+      return;
+    }
+
+    // The modal was opened from the tracker embed's button
+    await interaction.message?.edit({
+      embeds: [buildEbayListingEmbed(listing)],
+      components: buildEbayListingComponents(listing),
+    }).catch(() => {});
+
+    await interaction.editReply({
+      content: `🔁 **Relisted!** Now tracking ${listing.url}\nThis is run #${listing.runs.length + 1}; the previous run's final stats were saved.`,
+    });
+
+    await syncTicketWithTracker(interaction.channelId, listing);
+    await notifyFollowers(interaction.channelId, listing, "result", `🔁 Relisted at **${listing.currentPrice}**.`);
+    return;
+  }
+
+  // ---- eBay Mark Shipped button ----
+  if (interaction.isButton() && interaction.customId === "ebay_shipped") {
+    const ebayListing = db.ebayListings?.[interaction.channelId];
+    if (!ebayListing) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
+      return;
+    }
+
+    const isOwner = interaction.user.id === ebayListing.ownerId;
+    const isStaff = memberIsStaff(interaction);
+
+    if (!isOwner && !isStaff) {
+      await interaction.reply({ ephemeral: true, content: "Only the channel owner or staff can mark items as shipped." });
+      return;
+    }
+
+    // Mark as shipped
+    ebayListing.status = "shipped";
+    saveDb(db);
+
+    // Move channel to archived category
+    try {
+      if (ebayArchivedCategoryId) {
+        await interaction.channel.setParent(ebayArchivedCategoryId, { lockPermissions: false });
+      }
+    } catch (err) {
+      console.error("Failed to move channel to archived category:", err.message);
+    }
+
+    // Update the embed and buttons
+    const embed = buildEbayListingEmbed(ebayListing);
+    const components = buildEbayListingComponents(ebayListing);
+    await interaction.message.edit({ embeds: [embed], components });
 
-        try {
-          // Fetch the channel
-          const channel = await guild.channels.fetch(channelId).catch(() => null);
-          if (!channel) {
-            results.skipped++;
-            console.log(`Channel ${channelId} not found, skipping`);
-            continue;
-          }
+    await interaction.reply({ content: "📦 **Item shipped and archived!**" });
 
-          // If listing doesn't have a listingType, fetch it from eBay
-          if (!listing.listingType) {
-            try {
-              const freshData = await getEbayListing(listing.url);
-              listing.listingType = freshData.listingType;
-              listing.buyItNowPrice = freshData.buyItNowPrice;
-              results.typeDetected++;
-            } catch (err) {
-              console.error(`Failed to fetch listing type for ${channelId}:`, err.message);
-              results.errors++;
-              continue;
-            }
-          }
+    await syncTicketWithTracker(interaction.channelId, ebayListing);
+    return;
+  }
 
-          // Determine correct category and emoji based on listing type and status
-          let correctCategoryId, correctEmoji;
-
-          if (listing.status === "shipped") {
-            correctCategoryId = ebayArchivedCategoryId;
-            correctEmoji = "✅";
-          } else if (listing.status === "ended" || listing.status === "sold") {
-            // Ended/sold items stay in their original category with ✅ emoji
-            if (listing.listingType === "buy_it_now") {
-              correctCategoryId = ebayBuyItNowCategoryId;
-            } else {
-              correctCategoryId = ebayAuctionsCategoryId;
-            }
-            correctEmoji = "✅";
-          } else if (listing.listingType === "buy_it_now") {
-            correctCategoryId = ebayBuyItNowCategoryId;
-            correctEmoji = "💰";
-          } else {
-            // auction or auction_with_bin
-            correctCategoryId = ebayAuctionsCategoryId;
-            correctEmoji = "🔨";
-          }
+  // ---- eBay Close Tracking button ----
+  if (interaction.isButton() && interaction.customId === "ebay_close") {
+    const ebayListing = db.ebayListings?.[interaction.channelId];
+    if (!ebayListing) {
+      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
+      return;
+    }
 
-          // Check if channel needs to be moved
-          let needsMove = false;
-          let needsEmojiUpdate = false;
+    const isOwner = interaction.user.id === ebayListing.ownerId;
+    const isStaff = memberIsStaff(interaction);
+
+    if (!isOwner && !isStaff) {
+      await interaction.reply({ ephemeral: true, content: "Only the channel owner or staff can close tracking." });
+      return;
+    }
+
+    // Mark as closed (remember the status so Reopen can put it back)
+    if (ebayListing.status !== "closed") ebayListing.statusBeforeClose = ebayListing.status;
+    ebayListing.status = "closed";
+    saveDb(db);
+    ebayScheduler.schedule(interaction.channelId, null);
+
+    // Rename channel
+    try {
+      await interaction.channel.setName(`closed-${interaction.channel.name}`.slice(0, 90));
+    } catch {}
+
+    await interaction.deferReply();
+
+    let archived = null;
+    try {
+      archived = await archiveClosedChannel(interaction.channel, "ebay");
+    } catch (err) {
+      console.error("Failed to write tracker transcript:", err);
+    }
+
+    await interaction.editReply({
+      content: archived
+        ? `🔒 eBay tracking closed for this listing. Transcript saved.${describeChannelDeletion(archived)}`
+        : "🔒 eBay tracking closed for this listing. ⚠️ The transcript could not be saved.",
+      components: [buildReopenButtons("ebay_reopen")],
+    });
+    return;
+  }
+});
+
+// -------------------------
+// Collect image uploads (attachments)
+// -------------------------
+client.on(Events.MessageCreate, async (message) => {
+  if (message.author.bot) return;
+
+  const db = loadDb();
+  const ticket = db.listings[message.channelId];
+  if (!ticket) return;
+
+  // Only track images while open-ish
+  if (!["open", "images_done"].includes(ticket.status)) return;
+
+  const attachments = Array.from(message.attachments.values()).filter(isImageAttachment);
+  if (!attachments.length) return;
+
+  // Download before the CDN link expires; a failed download still keeps the URL
+  const newImages = [];
+  for (const att of attachments) {
+    const entry = {
+      url: att.url,
+      fileName: att.name || null,
+      messageId: message.id,
+      attachmentId: att.id,
+      removed: false,
+      addedAt: Date.now(),
+    };
+    try {
+      Object.assign(entry, await archiveImage(att.url, { contentType: att.contentType, fileName: att.name }));
+    } catch (err) {
+      console.error(`Failed to archive image in ${message.channelId}:`, err.message);
+      Object.assign(entry, { sha256: null, ext: null, size: att.size || null, width: att.width || null, height: att.height || null });
+    }
+    newImages.push(entry);
+  }
+
+  // Reload - downloads can take a while and other handlers may have saved meanwhile
+  const freshDb = loadDb();
+  const freshTicket = freshDb.listings[message.channelId];
+  if (!freshTicket) return;
+
+  // Avoid duplicates (same file uploaded twice in one ticket)
+  const images = getTicketImages(freshTicket);
+  const seen = new Set(images.filter((img) => !img.removed).map((img) => img.sha256 || img.url));
+  for (const entry of newImages) {
+    const key = entry.sha256 || entry.url;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    images.push(entry);
+  }
+
+  saveDb(freshDb);
+
+  // Quiet acknowledgement (react) to avoid spamming channel
+  try {
+    await message.react("📷");
+  } catch {}
+});
+
+// -------------------------
+// Deleted uploads: keep the archived file, flag the image as removed
+// -------------------------
+function markMessageImagesRemoved(channelId, messageIds) {
+  const db = loadDb();
+  const ticket = db.listings?.[channelId];
+  if (!ticket) return;
+
+  let changed = 0;
+  for (const img of getTicketImages(ticket)) {
+    if (!img.removed && img.messageId && messageIds.has(img.messageId)) {
+      img.removed = true;
+      img.removedAt = Date.now();
+      changed++;
+    }
+  }
+
+  if (changed) {
+    saveDb(db);
+    console.log(`Marked ${changed} image(s) removed in ticket ${channelId}`);
+  }
+}
+
+client.on(Events.MessageDelete, (message) => {
+  markMessageImagesRemoved(message.channelId, new Set([message.id]));
+});
+
+client.on(Events.MessageBulkDelete, (messages, channel) => {
+  markMessageImagesRemoved(channel.id, new Set(messages.keys()));
+});
+
+// -------------------------
+// Consignment ledger (fees and the payout split are in consignment.js)
+// -------------------------
+// BIN listings with more than one unit (or variations) sell in parts; see recordConsignmentUnitSales
+function isMultiQuantity(listing) {
+  if (listing.listingType !== "buy_it_now") return false;
+  if (listing.variations?.length) return true;
+  return (listing.quantityAvailable ?? 0) + (listing.quantitySold ?? 0) > 1;
+}
+
+// Adds a sale entry for a finished listing (once). Mutates db; the caller saves it
+function recordConsignmentSale(db, channelId, listing, recordedBy = "auto") {
+  if (!isCompletedSale(listing) || listing.ledgerEntryId || !listing.ownerId) return null;
+  // Multi-quantity listings are recorded unit by unit as they sell
+  if (listing.multiQuantity) return null;
+
+  const price = parseMoney(listing.currentPrice, getListingMarketplace(listing).currency);
+  if (!price) {
+    console.warn(`Could not record sale for ${channelId}: unreadable price "${listing.currentPrice}"`);
+    return null;
+  }
+
+  if (!db.ledger) db.ledger = [];
+
+  const entry = {
+    id: crypto.randomUUID().slice(0, 8),
+    type: "sale",
+    ownerId: listing.ownerId,
+    channelId,
+    title: listing.title,
+    url: listing.url,
+    currency: price.currency,
+    ...calculateConsignmentSplit(price.amount, consignmentConfig.defaultShippingCost, consignmentConfig),
+    createdAt: Date.now(),
+    recordedBy,
+  };
+
+  db.ledger.push(entry);
+  listing.ledgerEntryId = entry.id;
+  console.log(`Ledger: sale ${entry.id} for ${listing.title} - owner net ${formatMoney(entry.net, entry.currency)}`);
+  return entry;
+}
+
+// Adds a sale entry for every unit a multi-quantity listing sold since the last call.
+// The first call only sets the baseline, so units sold before tracking started aren't counted.
+// Mutates db and listing; the caller saves it. Returns the new entries
+function recordConsignmentUnitSales(db, channelId, listing) {
+  if (!listing.multiQuantity || !listing.ownerId) return [];
+
+  // Variation listings are counted per variation at that variation's price
+  const counters = listing.variations?.length
+    ? listing.variations.map((v) => ({ key: v.id, label: v.label, sold: v.sold, price: v.price }))
+    : [{ key: "all", label: null, sold: listing.quantitySold ?? null, price: listing.currentPrice }];
+
+  if (!listing.ledgerSoldCounts) listing.ledgerSoldCounts = {};
+  if (!db.ledger) db.ledger = [];
+
+  const entries = [];
+  for (const counter of counters) {
+    if (counter.sold === null) continue;
+
+    const recorded = listing.ledgerSoldCounts[counter.key];
+    listing.ledgerSoldCounts[counter.key] = counter.sold;
+    if (recorded === undefined || counter.sold <= recorded) continue;
+
+    const units = counter.sold - recorded;
+    const price = parseMoney(counter.price, getListingMarketplace(listing).currency);
+    if (!price) {
+      console.warn(`Could not record ${units} unit sale(s) for ${channelId}: unreadable price "${counter.price}"`);
+      continue;
+    }
+
+    const entry = {
+      id: crypto.randomUUID().slice(0, 8),
+      type: "sale",
+      ownerId: listing.ownerId,
+      channelId,
+      title: `${listing.title}${counter.label ? ` (${counter.label})` : ""}${units > 1 ? ` ×${units}` : ""}`,
+      url: listing.url,
+      currency: price.currency,
+      quantity: units,
+      ...calculateConsignmentSplit(price.amount * units, consignmentConfig.defaultShippingCost * units, consignmentConfig),
+      createdAt: Date.now(),
+      recordedBy: "auto",
+    };
+
+    db.ledger.push(entry);
+    entries.push(entry);
+    console.log(`Ledger: sale ${entry.id} for ${entry.title} - owner net ${formatMoney(entry.net, entry.currency)}`);
+  }
+
+  return entries;
+}
+
+// { ownerId: { currency: amountOwed } }
+function getLedgerBalances(ledger) {
+  const balances = {};
+  for (const entry of ledger || []) {
+    const owner = (balances[entry.ownerId] = balances[entry.ownerId] || {});
+    const delta = entry.type === "sale" ? entry.net : -entry.amount;
+    owner[entry.currency] = roundPrice((owner[entry.currency] || 0) + delta);
+  }
+  return balances;
+}
+
+function formatBalance(currencies) {
+  const parts = Object.entries(currencies || {})
+    .filter(([, amount]) => Math.abs(amount) >= 0.005)
+    .map(([currency, amount]) => formatMoney(amount, currency));
+  return parts.length ? parts.join(" + ") : formatMoney(0);
+}
+
+function formatLedgerEntry(entry) {
+  const date = new Date(entry.createdAt).toLocaleDateString();
+  if (entry.type === "payout") {
+    return `\`${date}\` 💸 Payout **-${formatMoney(entry.amount, entry.currency)}**${entry.note ? ` (${entry.note})` : ""}`;
+  }
+  return [
+    `\`${date}\` 💵 **${entry.title.slice(0, 60)}** sold for ${formatMoney(entry.salePrice, entry.currency)}`,
+    `   fees ${formatMoney(entry.ebayFees, entry.currency)} · shipping ${formatMoney(entry.shippingCost, entry.currency)}` +
+      ` · commission ${formatMoney(entry.commission, entry.currency)} → **+${formatMoney(entry.net, entry.currency)}**`,
+  ].join("\n");
+}
+
+// -------------------------
+// Transcripts + archival of closed channels
+// -------------------------
+const transcriptDir = config.transcriptDir || path.join(path.dirname(dataFile), "transcripts");
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// All messages in a channel, oldest first
+async function fetchAllMessages(channel, max = 10000) {
+  const all = [];
+  let before;
+
+  while (all.length < max) {
+    const batch = await channel.messages.fetch({ limit: 100, before });
+    if (!batch.size) break;
+    all.push(...batch.values());
+    before = batch.last().id;
+    if (batch.size < 100) break;
+  }
+
+  return all.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+// Where an attachment can still be viewed after the CDN link expires (archived ticket images)
+function getArchivedAttachmentUrl(record, attachmentId) {
+  const img = Array.isArray(record?.images) && record.images.find((i) => i?.attachmentId === attachmentId);
+  if (!img || !isImageStored(img)) return null;
+  return getServedImageUrl(img) || path.relative(transcriptDir, getStoredImagePath(img)).split(path.sep).join("/");
+}
+
+function buildTranscriptHtml(transcript) {
+  const renderEmbed = (e) => [
+    `<div class="embed"${e.color ? ` style="border-color:#${e.color.toString(16).padStart(6, "0")}"` : ""}>`,
+    e.title ? `<div class="embed-title">${escapeHtml(e.title)}</div>` : "",
+    e.description ? `<div>${escapeHtml(e.description).replace(/\n/g, "<br>")}</div>` : "",
+    ...(e.fields || []).map((f) => `<div class="field"><b>${escapeHtml(f.name)}</b><br>${escapeHtml(f.value).replace(/\n/g, "<br>")}</div>`),
+    e.image?.url && !e.image.url.startsWith("attachment://") ? `<img src="${escapeHtml(e.image.url)}" alt="">` : "",
+    e.footer?.text ? `<div class="footer">${escapeHtml(e.footer.text)}</div>` : "",
+    "</div>",
+  ].join("");
+
+  const renderAttachment = (a) => {
+    const href = a.archivedUrl || a.url;
+    return /^image\//.test(a.contentType || "") || /\.(png|jpe?g|gif|webp)$/i.test(a.name || "")
+      ? `<a href="${escapeHtml(href)}"><img src="${escapeHtml(href)}" alt="${escapeHtml(a.name)}"></a>`
+      : `<a href="${escapeHtml(href)}">📎 ${escapeHtml(a.name)}</a>`;
+  };
+
+  const messages = transcript.messages.map((m) => [
+    '<div class="msg">',
+    `<div class="meta"><b>${escapeHtml(m.authorTag)}</b>${m.bot ? ' <span class="bot">BOT</span>' : ""} `,
+    `<span class="time">${new Date(m.createdAt).toLocaleString()}${m.editedAt ? " (edited)" : ""}</span></div>`,
+    m.content ? `<div>${escapeHtml(m.content).replace(/\n/g, "<br>")}</div>` : "",
+    ...m.attachments.map(renderAttachment),
+    ...m.embeds.map(renderEmbed),
+    "</div>",
+  ].join(""));
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Transcript - ${escapeHtml(transcript.channelName)}</title>
+<style>
+body { background: #313338; color: #dbdee1; font-family: sans-serif; margin: 0 auto; max-width: 900px; padding: 16px; }
+.msg { border-bottom: 1px solid #3f4147; padding: 8px 0; }
+.meta .time, .footer { color: #949ba4; font-size: 12px; }
+.bot { background: #5865f2; border-radius: 3px; font-size: 10px; padding: 1px 4px; }
+.embed { background: #2b2d31; border-left: 4px solid #1e1f22; border-radius: 4px; margin-top: 6px; padding: 8px 12px; }
+.embed-title { font-weight: bold; margin-bottom: 4px; }
+.field { margin-top: 4px; }
+img { border-radius: 4px; display: block; margin-top: 6px; max-height: 300px; max-width: 400px; }
+a { color: #00a8fc; }
+</style>
+</head>
+<body>
+<h1>#${escapeHtml(transcript.channelName)}</h1>
+<p>${escapeHtml(transcript.kind === "ebay" ? "eBay tracker" : "Listing ticket")} | ${transcript.messageCount} messages | archived ${new Date(transcript.archivedAt).toLocaleString()}</p>
+${messages.join("\n")}
+</body>
+</html>
+`;
+}
+
+// Writes <channelId>.json and <channelId>.html; rewriting later (before deletion) replaces them
+async function writeChannelTranscript(channel, kind, record) {
+  const messages = await fetchAllMessages(channel);
+
+  const transcript = {
+    channelId: channel.id,
+    channelName: channel.name,
+    guildId: channel.guildId,
+    kind,
+    archivedAt: Date.now(),
+    record,
+    messageCount: messages.length,
+    messages: messages.map((m) => ({
+      id: m.id,
+      authorId: m.author.id,
+      authorTag: m.author.tag,
+      bot: m.author.bot,
+      createdAt: m.createdTimestamp,
+      editedAt: m.editedTimestamp || null,
+      content: m.content,
+      attachments: Array.from(m.attachments.values()).map((a) => ({
+        id: a.id,
+        name: a.name,
+        url: a.url,
+        contentType: a.contentType || null,
+        size: a.size,
+        archivedUrl: getArchivedAttachmentUrl(record, a.id),
+      })),
+      embeds: m.embeds.map((e) => e.toJSON()),
+    })),
+  };
+
+  const jsonPath = path.join(transcriptDir, `${channel.id}.json`);
+  const htmlPath = path.join(transcriptDir, `${channel.id}.html`);
+  ensureDir(jsonPath);
+  fs.writeFileSync(jsonPath, JSON.stringify(transcript, null, 2), "utf8");
+  fs.writeFileSync(htmlPath, buildTranscriptHtml(transcript), "utf8");
+
+  return {
+    json: path.basename(jsonPath),
+    html: path.basename(htmlPath),
+    messageCount: messages.length,
+    createdAt: transcript.archivedAt,
+  };
+}
+
+function getClosableRecord(db, kind, channelId) {
+  return kind === "ebay" ? db.ebayListings?.[channelId] : db.listings?.[channelId];
+}
+
+// Saves the transcript pointer on a closed record and schedules the channel for deletion
+async function archiveClosedChannel(channel, kind) {
+  const record = getClosableRecord(loadDb(), kind, channel.id);
+  if (!record) return null;
+
+  const transcript = await writeChannelTranscript(channel, kind, record);
+
+  // Reading the history can take a while, so the result goes onto a fresh copy
+  const db = loadDb();
+  const stored = getClosableRecord(db, kind, channel.id);
+  if (!stored) return null;
+
+  stored.transcript = transcript;
+  // Reopened while the transcript was written - no deletion to schedule
+  if (stored.status === "closed") {
+    stored.closedAt = Date.now();
+    stored.deleteAfter = closedChannelGraceHours > 0 ? stored.closedAt + closedChannelGraceHours * 3600000 : null;
+  }
+  saveDb(db);
+
+  return stored;
+}
+
+function describeChannelDeletion(record) {
+  if (!record?.deleteAfter) return "";
+  return ` This channel will be deleted <t:${Math.floor(record.deleteAfter / 1000)}:R>.`;
+}
+
+// Deletes closed channels whose grace period is over, refreshing the transcript first
+async function deleteExpiredClosedChannels() {
+  const now = Date.now();
+  const isDue = (r) => r?.status === "closed" && r.deleteAfter && r.deleteAfter <= now && !r.channelDeletedAt;
+  const db = loadDb();
+  const due = [
+    ...Object.entries(db.listings || {}).map(([id, r]) => [id, r, "listing"]),
+    ...Object.entries(db.ebayListings || {}).map(([id, r]) => [id, r, "ebay"]),
+  ].filter(([, r]) => isDue(r));
+
+  for (const [channelId, record, kind] of due) {
+    try {
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      let transcript = record.transcript;
+      if (channel) {
+        transcript = await writeChannelTranscript(channel, kind, record);
+
+        // Reopened while the transcript was written
+        if (!isDue(getClosableRecord(loadDb(), kind, channelId))) {
+          console.log(`Skipped deleting ${channelId}: it is no longer closed`);
+          continue;
+        }
+        await channel.delete(`Closed ${kind === "ebay" ? "tracker" : "ticket"} grace period over`);
+      }
+
+      // Saved per channel on a fresh copy; the scheduler and handlers write to the DB in between
+      const freshDb = loadDb();
+      const stored = getClosableRecord(freshDb, kind, channelId);
+      if (stored) {
+        stored.transcript = transcript;
+        stored.channelDeletedAt = now;
+        saveDb(freshDb);
+      }
+      console.log(`Deleted closed channel ${channelId} (transcript: ${transcript?.html || "none"})`);
+    } catch (err) {
+      console.error(`Failed to delete closed channel ${channelId}:`, err.message);
+    }
+  }
+}
+
+function startClosedChannelCleanupLoop() {
+  if (!closedChannelGraceHours || closedChannelGraceHours <= 0) return;
 
-          if (channel.parentId !== correctCategoryId) {
-            needsMove = true;
-          }
+  setInterval(() => {
+    deleteExpiredClosedChannels().catch((err) => {
+      console.error("Error in closed channel cleanup:", err.message);
+      writeCrashReport("Closed Channel Cleanup Error", err);
+    });
+  }, 10 * 60 * 1000); // Check every 10 minutes
 
-          // Check if emoji is correct
-          const currentEmoji = channel.name.charAt(0);
-          if (currentEmoji !== correctEmoji) {
-            needsEmojiUpdate = true;
-          }
+  console.log(`Closed channels are deleted after ${closedChannelGraceHours}h.`);
+}
 
-          // Move channel if needed
-          if (needsMove) {
-            await channel.setParent(correctCategoryId, { lockPermissions: false });
-            results.moved++;
-          }
+// -------------------------
+// Reopen closed tickets / trackers
+// -------------------------
+function buildReopenButtons(customId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(customId)
+      .setLabel("Reopen")
+      .setStyle(ButtonStyle.Primary)
+  );
+}
 
-          // Update emoji if needed
-          if (needsEmojiUpdate) {
-            // Replace the first emoji with the correct one
-            const newName = correctEmoji + channel.name.slice(1);
-            await channel.setName(newName);
-            results.emojiUpdated++;
-          }
+// Undoes listing_close / ebay_close on a channel. Returns { ok, message }
+async function reopenClosedChannel(channel, userId) {
+  const db = loadDb();
+  const ebayListing = db.ebayListings?.[channel.id];
+  const ticket = db.listings?.[channel.id];
 
-          // Save updated listing data
-          db.ebayListings[channelId] = listing;
-        } catch (err) {
-          console.error(`Error organizing channel ${channelId}:`, err.message);
-          results.errors++;
-        }
-      }
+  // A ticket converted to a tracker has both records - the tracker is the live one
+  let kind = null;
+  if (ebayListing?.status === "closed") kind = "ebay";
+  else if (ticket?.status === "closed") kind = "listing";
 
-      saveDb(db);
+  if (!kind) {
+    return { ok: false, message: "This channel isn't a closed ticket or tracker." };
+  }
 
-      // Build summary report
-      const report = [
-        "**eBay Listings Organization Complete**",
-        "",
-        `📊 **Summary:**`,
-        `• Total listings checked: ${results.total}`,
-        `• Channels moved: ${results.moved}`,
-        `• Emojis updated: ${results.emojiUpdated}`,
-        `• Listing types detected: ${results.typeDetected}`,
-        `• Errors: ${results.errors}`,
-        `• Skipped (channel not found): ${results.skipped}`,
-      ].join("\n");
+  const record = kind === "ebay" ? ebayListing : ticket;
 
-      await interaction.editReply({ content: report });
-      return;
-    }
+  // Records closed before statusBeforeClose existed get a best guess
+  let fallbackStatus = "open";
+  if (kind === "ebay") {
+    fallbackStatus = record.endTime && record.endTime < Date.now() ? "ended" : "active";
   }
 
-  // ---- eBay Setup Modal submit ----
-  if (interaction.isModalSubmit() && interaction.customId === "ebay_setup_modal") {
-    await interaction.deferReply({ ephemeral: true });
+  record.status = record.statusBeforeClose || fallbackStatus;
+  delete record.statusBeforeClose;
+  // Cancels the scheduled channel deletion; the transcript pointer stays
+  record.closedAt = null;
+  record.deleteAfter = null;
+  record.reopenedAt = Date.now();
+  record.reopenedBy = userId;
 
-    const appId = interaction.fields.getTextInputValue("ebay_app_id")?.trim();
-    const devId = interaction.fields.getTextInputValue("ebay_dev_id")?.trim() || "";
-    const certId = interaction.fields.getTextInputValue("ebay_cert_id")?.trim();
+  // Checked again straight away
+  if (kind === "ebay") record.nextCheckAt = Date.now();
+  saveDb(db);
+  if (kind === "ebay") ebayScheduler.schedule(channel.id, isEbayListingPolled(record) ? record.nextCheckAt : null);
 
-    if (!appId || !certId) {
-      await interaction.editReply({
-        content: "❌ App ID and Cert ID are required.",
-      });
-      return;
+  try {
+    // Same owner permissions the channel was created with
+    await channel.permissionOverwrites.edit(record.ownerId, kind === "ebay"
+      ? { ViewChannel: true, SendMessages: true, ReadMessageHistory: true }
+      : { ViewChannel: true, SendMessages: true, AttachFiles: true, EmbedLinks: true, ReadMessageHistory: true });
+  } catch (err) {
+    console.error(`Failed to restore owner permissions in ${channel.id}:`, err.message);
+  }
+
+  try {
+    if (channel.name.startsWith("closed-")) {
+      await channel.setName(channel.name.replace(/^(closed-)+/, ""));
     }
+  } catch {}
 
-    // Save to database
-    db.ebayCredentials = {
-      appId,
-      devId,
-      certId,
-      configuredBy: interaction.user.id,
-      configuredAt: Date.now(),
-    };
-    saveDb(db);
+  return {
+    ok: true,
+    message: kind === "ebay"
+      ? `🔓 eBay tracking reopened (status: **${record.status}**).${record.status === "active" ? " Updates resume on the next check." : ""}`
+      : `🔓 Ticket reopened (status: **${record.status}**).`,
+  };
+}
 
-    // Clear cached token to use new credentials
-    ebayAccessToken = null;
-    ebayTokenExpiry = 0;
+// -------------------------
+// Claim SLA reminders
+// -------------------------
+async function sendClaimReminders() {
+  const db = loadDb();
+  const slaMs = claimReminderHours * 3600000;
+  const now = Date.now();
 
-    // Test the new credentials
-    let testResult = "";
-    try {
-      await getEbayAccessToken();
-      testResult = "✅ Credentials verified - API connection successful!";
-    } catch (err) {
-      testResult = `⚠️ Credentials saved but API test failed: ${err.message}\n\nPlease verify your credentials are correct.`;
-    }
+  for (const [channelId, ticket] of Object.entries(db.listings || {})) {
+    if (ticket.status !== "images_done" || ticket.assignedTo) continue;
 
-    await interaction.editReply({
-      content: `✅ eBay API credentials saved!\n\n${testResult}`,
-    });
-    return;
-  }
+    // Remind once per SLA period, counted from the latest of done/unclaimed/last reminder
+    const since = Math.max(ticket.imagesDoneAt || ticket.createdAt, ticket.unclaimedAt || 0, ticket.claimRemindedAt || 0);
+    if (now - since < slaMs) continue;
 
-  // ---- Create Listing button ----
-  if (interaction.isButton() && interaction.customId === "listing_create") {
-    const modal = new ModalBuilder()
-      .setCustomId("listing_modal")
-      .setTitle("New Listing Ticket");
+    try {
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      if (!channel) continue;
 
-    const itemName = new TextInputBuilder()
-      .setCustomId("item_name")
-      .setLabel("Item name")
-      .setStyle(TextInputStyle.Short)
-      .setRequired(true)
-      .setMaxLength(100);
+      // Claimed while the channel was fetched
+      if (loadDb().listings?.[channelId]?.assignedTo) continue;
 
-    const itemDesc = new TextInputBuilder()
-      .setCustomId("item_desc")
-      .setLabel("Description (optional)")
-      .setStyle(TextInputStyle.Paragraph)
-      .setRequired(false)
-      .setMaxLength(1000);
+      const waited = formatDuration(now - (ticket.imagesDoneAt || ticket.createdAt));
+      await channel.send(`⏰ <@&${staffRoleId}> **${ticket.itemName}** has been waiting ${waited} without a claim. Press **Claim** above to take it.`);
 
-    modal.addComponents(
-      new ActionRowBuilder().addComponents(itemName),
-      new ActionRowBuilder().addComponents(itemDesc)
-    );
+      // Claim / Hand off may have saved meanwhile, so only the reminder fields go onto a fresh copy
+      const freshDb = loadDb();
+      const stored = freshDb.listings?.[channelId];
+      if (!stored || stored.assignedTo) continue;
 
-    await interaction.showModal(modal);
-    return;
+      stored.claimRemindedAt = now;
+      stored.claimReminderCount = (stored.claimReminderCount || 0) + 1;
+      saveDb(freshDb);
+    } catch (err) {
+      console.error(`Failed to send claim reminder for ${channelId}:`, err.message);
+    }
   }
+}
 
-  // ---- Modal submit ----
-  if (interaction.isModalSubmit() && interaction.customId === "listing_modal") {
-    await interaction.deferReply({ ephemeral: true });
+function startClaimReminderLoop() {
+  if (!claimReminderHours || claimReminderHours <= 0) return;
 
-    const itemName = interaction.fields.getTextInputValue("item_name")?.trim();
-    const itemDesc = interaction.fields.getTextInputValue("item_desc")?.trim();
+  setInterval(() => {
+    sendClaimReminders().catch((err) => {
+      console.error("Error in claim reminder loop:", err.message);
+      writeCrashReport("Claim Reminder Loop Error", err);
+    });
+  }, 5 * 60 * 1000); // Check every 5 minutes
 
-    const guild = await client.guilds.fetch(guildId);
+  console.log(`Claim reminders every ${claimReminderHours}h for unclaimed tickets.`);
+}
 
-    // Create a new private channel with simplified name
-    const chanName = await createUniqueChannelName(guild, listingCategoryId, "❓", itemName);
-
-    const channel = await guild.channels.create({
-      name: chanName,
-      type: ChannelType.GuildText,
-      parent: listingCategoryId,
-      topic: `Listing ticket | owner=${interaction.user.id} | item=${itemName}`,
-      permissionOverwrites: [
-        // @everyone denied
-        {
-          id: guild.id,
-          deny: [PermissionFlagsBits.ViewChannel],
-        },
-        // owner allowed
-        {
-          id: interaction.user.id,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.AttachFiles,
-            PermissionFlagsBits.EmbedLinks,
-            PermissionFlagsBits.ReadMessageHistory,
-          ],
-        },
-        // staff role allowed
-        {
-          id: staffRoleId,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.AttachFiles,
-            PermissionFlagsBits.EmbedLinks,
-            PermissionFlagsBits.ReadMessageHistory,
-            PermissionFlagsBits.ManageMessages,
-          ],
-        },
-        // bot allowed
-        {
-          id: client.user.id,
-          allow: [
-            PermissionFlagsBits.ViewChannel,
-            PermissionFlagsBits.SendMessages,
-            PermissionFlagsBits.ManageChannels,
-            PermissionFlagsBits.ManageMessages,
-            PermissionFlagsBits.AttachFiles,
-            PermissionFlagsBits.EmbedLinks,
-            PermissionFlagsBits.ReadMessageHistory,
-          ],
+// -------------------------
+// Seller auto-tracking (/ebay-seller)
+// -------------------------
+// Active listings via the Browse API seller filter. The API needs a search scope, so this runs
+// once per configured category (it only takes one category ID per request).
+// Returns { items: [{ itemId, title }], truncated } - truncated when a category had more than we page through
+async function searchEbaySellerListings(seller) {
+  const marketplace = EBAY_MARKETPLACES[seller.site] || EBAY_MARKETPLACES["ebay.com"];
+  const token = await getEbayAccessToken();
+  const results = new Map();
+  let truncated = false;
+
+  for (const categoryId of seller.categoryIds) {
+    let hasMore = false;
+    for (let offset = 0; offset < 1000; offset += 200) {
+      const params = new URLSearchParams({
+        category_ids: categoryId,
+        filter: `sellers:{${seller.username}}`,
+        limit: "200",
+        offset: String(offset),
+      });
+
+      const response = await ebayHttp.request(`${ebayApiBaseUrl}/buy/browse/v1/item_summary/search?${params}`, {
+        headers: {
+          "Authorization": `Bearer ${token}`,
+          "X-EBAY-C-MARKETPLACE-ID": marketplace.id,
         },
-      ],
-    });
+      }, { quota: "browse" });
 
-    // Persist ticket
-    db.listings[channel.id] = {
-      ownerId: interaction.user.id,
-      itemName,
-      itemDesc: itemDesc || "",
-      images: [],
-      status: "open",
-      createdAt: Date.now(),
-    };
-    saveDb(db);
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`eBay seller search error: ${response.status} - ${error}`);
+      }
 
-    // Seed the channel with instructions + buttons
-    await channel.send(buildListingIntroMessage(itemName, itemDesc, interaction.user.id));
+      const data = await response.json();
+      for (const item of data.itemSummaries || []) {
+        const itemId = item.legacyItemId || item.itemId?.split("|")[1];
+        if (itemId) results.set(itemId, { itemId, title: item.title });
+      }
 
-    // Reply with link
-    await interaction.editReply(`Created listing channel: <#${channel.id}>`);
-    return;
+      hasMore = Boolean(data.next);
+      if (!hasMore) break;
+    }
+    if (hasMore) truncated = true;
   }
 
-  // ---- In-channel buttons ----
-  if (interaction.isButton() && (interaction.customId === "listing_done" || interaction.customId === "listing_close")) {
-    const ticket = db.listings[interaction.channelId];
-    if (!ticket) {
-      await interaction.reply({ ephemeral: true, content: "This channel is not a listing ticket (or the bot has no record of it)." });
-      return;
+  return { items: [...results.values()], truncated };
+}
+
+// Fallback: the seller's items search page (same list as "See other items" on a listing).
+// Returns the same shape as searchEbaySellerListings
+async function scrapeEbaySellerListings(seller) {
+  const marketplace = EBAY_MARKETPLACES[seller.site] || EBAY_MARKETPLACES["ebay.com"];
+  const results = new Map();
+  let hasMore = false;
+
+  for (let page = 1; page <= 5; page++) {
+    const url = `https://www.${seller.site}/sch/i.html?_ssn=${encodeURIComponent(seller.username)}&_ipg=240&_pgn=${page}`;
+    const response = await ebayHttp.request(url, {
+      headers: {
+        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+        "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+        "Accept-Language": `${marketplace.language},${marketplace.language.split("-")[0]};q=0.5`,
+      },
+    }, { scrape: true });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch seller page: ${response.status}`);
     }
 
-    const isOwner = interaction.user.id === ticket.ownerId;
-    const isStaff = memberIsStaff(interaction);
+    const $ = cheerio.load(await response.text());
+    let found = 0;
 
-    if (!isOwner && !isStaff) {
-      await interaction.reply({ ephemeral: true, content: "Only the ticket owner or staff can do that." });
-      return;
-    }
+    // getEbayItemId skips eBay's "Shop on eBay" placeholder result (item 123456)
+    $("a[href*='/itm/']").each((i, el) => {
+      const itemId = getEbayItemId($(el).attr("href"));
+      if (!itemId || results.has(itemId)) return;
 
-    // Done Uploading
-    if (interaction.customId === "listing_done") {
-      ticket.status = "images_done";
-      saveDb(db);
+      const title = $(el).closest("li").find(".s-item__title, .s-card__title").first().text().trim();
+      results.set(itemId, { itemId, title });
+      found++;
+    });
 
-      // Change channel emoji from ❓ to ✅
-      try {
-        const newName = interaction.channel.name.replace(/^❓/, "✅");
-        await interaction.channel.setName(newName);
-      } catch {}
+    hasMore = Boolean($("a.pagination__next").attr("href"));
+    if (!found || !hasMore) break;
+  }
 
-      const count = ticket.images.length;
-      const preview = ticket.images.slice(0, 10).map((u) => `• ${u}`).join("\n") || "-";
+  return { items: [...results.values()], truncated: hasMore };
+}
 
-      await interaction.reply({
-        content:
-          `✅ **Upload complete** for **${ticket.itemName}**\n` +
-          `Images captured: **${count}**\n\n` +
-          `First up to 10 image URLs:\n${preview}\n\n` +
-          `Paging staff: <@&${staffRoleId}>`,
-      });
-      return;
+async function getEbaySellerListings(seller) {
+  if (isEbayApiEnabled() && seller.categoryIds?.length) {
+    try {
+      return { ...await searchEbaySellerListings(seller), source: "api" };
+    } catch (err) {
+      console.warn(`eBay seller search failed for ${seller.username}, falling back to scraping: ${err.message}`);
     }
+  }
 
-    // Close Ticket
-    if (interaction.customId === "listing_close") {
-      // If you want ONLY staff to close, uncomment:
-      // if (!isStaff) { ... }
+  return { ...await scrapeEbaySellerListings(seller), source: "scrape" };
+}
 
-      ticket.status = "closed";
-      saveDb(db);
+// Opens trackers for new items and flags trackers whose item left the seller's active listings
+async function syncEbaySeller(key) {
+  const seller = loadDb().ebaySellers?.[key];
+  if (!seller) return null;
 
-      // Lock owner from sending (but keep read access)
-      try {
-        await interaction.channel.permissionOverwrites.edit(ticket.ownerId, {
-          SendMessages: false,
-          AttachFiles: false,
-        });
-      } catch {}
+  const { items, truncated, source } = await getEbaySellerListings(seller);
+  const activeIds = new Set(items.map((item) => item.itemId));
 
-      // Rename channel
-      try {
-        await interaction.channel.setName(
-          (`closed-${interaction.channel.name}`.slice(0, 90))
-        );
-      } catch {}
+  const guild = await client.guilds.fetch(guildId);
+  const created = [];
+  for (const item of items) {
+    if (created.length >= ebaySellerMaxNewPerSync) break;
+    if (findEbayTrackerByItemId(loadDb(), item.itemId)) continue;
 
-      await interaction.reply({ content: "🔒 Ticket closed." });
-      return;
+    const url = `https://www.${seller.site}/itm/${item.itemId}`;
+    try {
+      const listing = await getEbayListing(url);
+      const { channel } = await createEbayTrackerChannel(guild, seller.ownerId, url, listing, { seller: key });
+      created.push(channel.id);
+    } catch (err) {
+      console.error(`Failed to auto-track ${url} for seller ${seller.username}:`, err.message);
     }
   }
 
-  // ---- eBay Add Listing button ----
-  if (interaction.isButton() && interaction.customId === "ebay_add") {
-    const modal = new ModalBuilder()
-      .setCustomId("ebay_modal")
-      .setTitle("Add eBay Listing");
+  // An empty result is more likely a failed scrape than an empty store, so nothing gets flagged then.
+  // Neither is anything when the list was cut off - trackers past the last page fetched are still listed
+  const db = loadDb();
+  const flagged = [];
+  const returned = [];
+  for (const [channelId, listing] of Object.entries(db.ebayListings || {})) {
+    if (listing.seller !== key || listing.status !== "active") continue;
+
+    const itemId = listing.itemId || getEbayItemId(listing.url);
+    if (activeIds.has(itemId)) {
+      if (listing.missingFromSellerAt) {
+        delete listing.missingFromSellerAt;
+        returned.push(channelId);
+      }
+    } else if (items.length && !truncated && !listing.missingFromSellerAt) {
+      listing.missingFromSellerAt = Date.now();
+      flagged.push(channelId);
+    }
+  }
 
-    const ebayUrl = new TextInputBuilder()
-      .setCustomId("ebay_url")
-      .setLabel("eBay Listing URL")
-      .setPlaceholder("https://www.ebay.com/itm/...")
-      .setStyle(TextInputStyle.Short)
-      .setRequired(true)
-      .setMaxLength(500);
+  Object.assign(db.ebaySellers[key], { lastSyncedAt: Date.now(), lastSource: source, lastItemCount: items.length, lastTruncated: truncated });
+  saveDb(db);
 
-    modal.addComponents(
-      new ActionRowBuilder().addComponents(ebayUrl)
-    );
+  for (const channelId of [...flagged, ...returned]) {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) continue;
+    await channel.send(
+      flagged.includes(channelId)
+        ? `⚠️ This item no longer appears in **${seller.username}**'s active listings - it may have sold, ended early or been removed.`
+        : `✅ This item is back in **${seller.username}**'s active listings.`
+    ).catch(() => {});
+  }
 
-    await interaction.showModal(modal);
-    return;
+  if (created.length || flagged.length) {
+    console.log(`Seller ${seller.username}: ${items.length}${truncated ? "+" : ""} listings (${source}), ${created.length} new trackers, ${flagged.length} flagged`);
   }
+  return { created, flagged, total: items.length, truncated, source };
+}
 
-  // ---- eBay Modal submit ----
-  if (interaction.isModalSubmit() && interaction.customId === "ebay_modal") {
-    await interaction.deferReply({ ephemeral: true });
+function startSellerSyncLoop() {
+  setInterval(async () => {
+    for (const key of Object.keys(loadDb().ebaySellers || {})) {
+      try {
+        await syncEbaySeller(key);
+      } catch (err) {
+        console.error(`Error syncing eBay seller ${key}:`, err.message);
+        writeCrashReport(`eBay Seller Sync Error (${key})`, err);
+      }
+    }
+  }, ebaySellerSyncMinutes * 60 * 1000);
 
-    let url = interaction.fields.getTextInputValue("ebay_url")?.trim();
+  console.log(`eBay seller sync every ${ebaySellerSyncMinutes}m.`);
+}
 
-    // Validate URL - support both desktop and mobile share links
-    // Mobile share links: ebay.com/itm/123, ebay.us/xyz, or with tracking params
-    const ebayPattern = /^https?:\/\/(www\.)?(ebay\.(com|co\.uk|de|fr|ca|com\.au)\/itm\/|ebay\.us\/)/i;
-    if (!url.match(ebayPattern)) {
-      await interaction.editReply("Invalid eBay URL. Please provide a valid eBay item listing URL (e.g., https://www.ebay.com/itm/... or a mobile share link)");
-      return;
-    }
+// -------------------------
+// Saved searches (/ebay-watch-search → deals channel)
+// -------------------------
+// Item IDs remembered per search so a match is only posted once
+const SAVED_SEARCH_SEEN_LIMIT = 1000;
+
+function buildSavedSearchFilter(search) {
+  const filters = [];
+  if (search.maxPrice) filters.push(`price:[..${search.maxPrice}]`, `priceCurrency:${ebaySellDefaults.currency}`);
+  if (search.condition) filters.push(`conditions:{${search.condition}}`);
+  if (search.listingType) filters.push(`buyingOptions:{${search.listingType}}`);
+  return filters.join(",");
+}
 
-    // Normalize URL: remove tracking params for cleaner storage
-    try {
-      const urlObj = new URL(url);
-      // Keep only the essential path, remove tracking params
-      url = `${urlObj.origin}${urlObj.pathname}`;
-    } catch {}
+function describeSavedSearch(search) {
+  const parts = [`"${search.keywords}"`];
+  if (search.maxPrice) parts.push(`≤ ${formatMoney(search.maxPrice, ebaySellDefaults.currency)}`);
+  if (search.condition) parts.push(search.condition === "NEW" ? "new" : "used");
+  if (search.listingType) parts.push(search.listingType === "AUCTION" ? "auction" : "buy it now");
+  if (search.categoryId) parts.push(`category ${search.categoryId}`);
+  return parts.join(" · ");
+}
 
-    try {
-      const listing = await getEbayListing(url);
-      const guild = await client.guilds.fetch(guildId);
+// Matches show like a tracker embed, from the search summary (no extra API call per item)
+function buildDealEmbed(item, search) {
+  const isAuction = (item.buyingOptions || []).includes("AUCTION");
+  const price = isAuction ? item.currentBidPrice || item.price : item.price;
+
+  const embed = new EmbedBuilder()
+    .setTitle(String(item.title || "Unknown Item").slice(0, 256))
+    .setURL(item.itemWebUrl)
+    .setColor(0x0064d2)
+    .addFields({
+      name: isAuction ? "Current Bid" : "Price",
+      value: price ? formatMoney(parseFloat(price.value), price.currency) : "N/A",
+      inline: true,
+    });
+
+  if (isAuction) {
+    embed.addFields({ name: "Bids", value: String(item.bidCount || 0), inline: true });
+  }
+  if (item.itemEndDate) {
+    embed.addFields({ name: "Time Left", value: formatTimeLeft(new Date(item.itemEndDate).getTime()), inline: true });
+  }
+  if (item.condition) {
+    embed.addFields({ name: "Condition", value: item.condition, inline: true });
+  }
+  if (item.seller?.username) {
+    embed.addFields({ name: "Seller", value: item.seller.username, inline: true });
+  }
+
+  if (item.image?.imageUrl) {
+    embed.setImage(item.image.imageUrl);
+  }
+
+  return embed.setFooter({ text: `Saved search ${search.id}: ${describeSavedSearch(search)}`.slice(0, 2048) });
+}
+
+function buildDealButtons(itemId, itemUrl) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`deal_track:${itemId}`)
+      .setLabel("Track this")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setLabel("Open on eBay")
+      .setStyle(ButtonStyle.Link)
+      .setURL(itemUrl)
+  );
+}
 
-      // Determine category and emoji based on listing type
-      let categoryId, emoji;
-      if (listing.listingType === "buy_it_now") {
-        categoryId = ebayBuyItNowCategoryId;
-        emoji = "💰";
-      } else {
-        // auction or auction_with_bin
-        categoryId = ebayAuctionsCategoryId;
-        emoji = "🔨";
-      }
-
-      // Create channel with simplified name
-      const chanName = await createUniqueChannelName(guild, categoryId, emoji, listing.title);
-
-      const channel = await guild.channels.create({
-        name: chanName,
-        type: ChannelType.GuildText,
-        parent: categoryId,
-        topic: `eBay Tracker | owner=${interaction.user.id} | ${url}`,
-        permissionOverwrites: [
-          // @everyone can view (or deny if you want private)
-          {
-            id: guild.id,
-            allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory],
-            deny: [PermissionFlagsBits.SendMessages],
-          },
-          // owner allowed to send
-          {
-            id: interaction.user.id,
-            allow: [
-              PermissionFlagsBits.ViewChannel,
-              PermissionFlagsBits.SendMessages,
-              PermissionFlagsBits.ReadMessageHistory,
-            ],
-          },
-          // staff role allowed
-          {
-            id: staffRoleId,
-            allow: [
-              PermissionFlagsBits.ViewChannel,
-              PermissionFlagsBits.SendMessages,
-              PermissionFlagsBits.ManageMessages,
-              PermissionFlagsBits.ReadMessageHistory,
-            ],
-          },
-          // bot allowed
-          {
-            id: client.user.id,
-            allow: [
-              PermissionFlagsBits.ViewChannel,
-              PermissionFlagsBits.SendMessages,
-              PermissionFlagsBits.ManageChannels,
-              PermissionFlagsBits.ManageMessages,
-              PermissionFlagsBits.EmbedLinks,
-              PermissionFlagsBits.ReadMessageHistory,
-            ],
-          },
-        ],
-      });
+function getSavedSearchItemId(item) {
+  return item.legacyItemId || item.itemId?.split("|")[1] || null;
+}
 
-      // Initialize ebayListings if needed
-      if (!db.ebayListings) db.ebayListings = {};
+// Runs one saved search. The first run only records what's already listed (seed), so adding a
+// search doesn't flood the deals channel. Returns the new matches
+async function runSavedSearch(searchId, { seed = false } = {}) {
+  const search = loadDb().ebaySavedSearches?.[searchId];
+  if (!search) return [];
 
-      // Store listing data
-      const now = Date.now();
-      db.ebayListings[channel.id] = {
-        url,
-        ownerId: interaction.user.id,
-        title: listing.title,
-        currentPrice: listing.currentPrice,
-        bidCount: listing.bidCount,
-        endTime: listing.endTime,
-        imageUrl: listing.imageUrl,
-        description: listing.description,
-        views: listing.views,
-        watchers: listing.watchers,
-        status: listing.status,
-        source: listing.source,
-        listingType: listing.listingType,
-        buyItNowPrice: listing.buyItNowPrice,
-        lastChecked: now,
-        createdAt: now,
-      };
-      saveDb(db);
+  const items = await ebayBrowse.searchItems(search.keywords, {
+    categoryId: search.categoryId,
+    filter: buildSavedSearchFilter(search),
+    sort: "newlyListed",
+  });
 
-      // Post the listing embed
-      const embed = buildEbayListingEmbed(db.ebayListings[channel.id]);
-      const buttons = buildEbayListingButtons(db.ebayListings[channel.id]);
-      await channel.send({ embeds: [embed], components: [buttons] });
+  const seen = new Set(search.seenItemIds || []);
+  const fresh = items.filter((item) => {
+    const itemId = getSavedSearchItemId(item);
+    return itemId && !seen.has(itemId);
+  });
 
-      await interaction.editReply(`Created eBay tracking channel: <#${channel.id}>`);
-    } catch (err) {
-      console.error("Failed to scrape eBay listing:", err);
-      await interaction.editReply(`Failed to fetch eBay listing: ${err.message}`);
+  if (!seed && fresh.length) {
+    const channel = ebayDealsChannelId ? await client.channels.fetch(ebayDealsChannelId).catch(() => null) : null;
+    if (!channel) {
+      console.warn(`Saved search ${searchId} found ${fresh.length} matches but the deals channel is not available`);
+    } else {
+      for (const item of fresh) {
+        await channel.send({
+          embeds: [buildDealEmbed(item, search)],
+          components: [buildDealButtons(getSavedSearchItemId(item), item.itemWebUrl)],
+        }).catch((err) => {
+          console.error(`Failed to post saved search match ${item.itemId}:`, err.message);
+        });
+      }
     }
-    return;
   }
 
-  // ---- eBay Refresh button ----
-  if (interaction.isButton() && interaction.customId === "ebay_refresh") {
-    const ebayListing = db.ebayListings?.[interaction.channelId];
-    if (!ebayListing) {
-      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
-      return;
-    }
-
-    await interaction.deferReply({ ephemeral: true });
-
-    try {
-      const newData = await getEbayListing(ebayListing.url);
-      const oldPrice = ebayListing.currentPrice;
-      const oldBidCount = ebayListing.bidCount;
+  const db = loadDb();
+  const stored = db.ebaySavedSearches?.[searchId];
+  if (stored) {
+    stored.seenItemIds = [...(stored.seenItemIds || []), ...fresh.map(getSavedSearchItemId)].slice(-SAVED_SEARCH_SEEN_LIMIT);
+    stored.lastRunAt = Date.now();
+    stored.matchCount = (stored.matchCount || 0) + (seed ? 0 : fresh.length);
+    saveDb(db);
+  }
 
-      // Update stored data
-      ebayListing.title = newData.title;
-      ebayListing.currentPrice = newData.currentPrice;
-      ebayListing.bidCount = newData.bidCount;
-      ebayListing.endTime = newData.endTime;
-      ebayListing.imageUrl = newData.imageUrl;
-      ebayListing.description = newData.description;
-      ebayListing.views = newData.views;
-      ebayListing.watchers = newData.watchers;
-      ebayListing.status = newData.status;
-      ebayListing.source = newData.source;
-      ebayListing.lastChecked = Date.now();
-      saveDb(db);
+  return fresh;
+}
 
-      // Update the original message
-      const embed = buildEbayListingEmbed(ebayListing);
-      const buttons = buildEbayListingButtons(ebayListing);
-      await interaction.message.edit({ embeds: [embed], components: [buttons] });
+// Called from the update loop; each search runs at most every ebayWatchSearchMinutes
+async function runDueSavedSearches() {
+  if (!isEbayApiEnabled()) return;
 
-      // Notify if price or bids changed
-      if (oldPrice !== newData.currentPrice || oldBidCount !== newData.bidCount) {
-        await interaction.channel.send(
-          `📢 **Listing Updated!**\nPrice: ${oldPrice} → ${newData.currentPrice}\nBids: ${oldBidCount} → ${newData.bidCount}`
-        );
-      }
+  const now = Date.now();
+  for (const [searchId, search] of Object.entries(loadDb().ebaySavedSearches || {})) {
+    if (now - (search.lastRunAt || 0) < ebayWatchSearchMinutes * 60 * 1000) continue;
 
-      await interaction.editReply("Listing refreshed!");
+    try {
+      // A search that never ran successfully is seeded first, like on /ebay-watch-search add
+      await runSavedSearch(searchId, { seed: !search.lastRunAt });
     } catch (err) {
-      console.error("Failed to refresh eBay listing:", err);
-      await interaction.editReply(`Failed to refresh: ${err.message}`);
+      console.error(`Saved search ${searchId} failed:`, err.message);
     }
-    return;
   }
+}
 
-  // ---- eBay Mark Sold button (BIN only) ----
-  if (interaction.isButton() && interaction.customId === "ebay_sold") {
-    const ebayListing = db.ebayListings?.[interaction.channelId];
-    if (!ebayListing) {
-      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
-      return;
-    }
+// Tracks a listing on any supported marketplace for ownerId the way the tracker panel does.
+// Throws if it can't (already tracked, bad link)
+async function trackListingUrl(ownerId, input) {
+  const { adapter, itemId, url } = await resolveListingUrl(input);
 
-    const isOwner = interaction.user.id === ebayListing.ownerId;
-    const isStaff = memberIsStaff(interaction);
+  const existing = findEbayTrackerByItemId(loadDb(), itemId, adapter.id);
+  if (existing) throw new Error(describeExistingTracker(existing));
 
-    if (!isOwner && !isStaff) {
-      await interaction.reply({ ephemeral: true, content: "Only the channel owner or staff can mark items as sold." });
-      return;
-    }
+  const listing = await fetchMarketplaceListing(url, adapter);
+  const guild = await client.guilds.fetch(guildId);
+  return createEbayTrackerChannel(guild, ownerId, url, listing);
+}
 
-    // Mark as sold
-    ebayListing.status = "sold";
-    saveDb(db);
+// Final stats of a tracker's current listing, kept in listing.runs when it's relisted
+function buildListingRun(listing) {
+  return {
+    itemId: listing.itemId,
+    platform: getListingAdapter(listing).id,
+    url: listing.url,
+    listingType: listing.listingType,
+    status: listing.status,
+    finalPrice: listing.currentPrice,
+    bidCount: listing.bidCount,
+    views: listing.views,
+    watchers: listing.watchers,
+    quantitySold: listing.quantitySold ?? null,
+    ledgerEntryId: listing.ledgerEntryId || null,
+    startedAt: listing.relistedAt || listing.createdAt,
+    endedAt: listing.endTime || listing.lastChecked,
+  };
+}
 
-    // Change channel emoji from 💰 to ✅
-    try {
-      const newName = interaction.channel.name.replace(/^💰/, "✅");
-      await interaction.channel.setName(newName);
-    } catch {}
+// Points an ended tracker at the relisted item: the old listing is archived as a run and the
+// channel goes back to being an active tracker (same record, followers, history and ticket).
+// Returns the updated record; throws with a user-facing message
+async function relistEbayTracker(channel, input) {
+  const { adapter, itemId, url } = await resolveListingUrl(input);
 
-    // Update the embed and buttons
-    const embed = buildEbayListingEmbed(ebayListing);
-    const buttons = buildEbayListingButtons(ebayListing);
-    await interaction.message.edit({ embeds: [embed], components: [buttons] });
+  const existing = findEbayTrackerByItemId(loadDb(), itemId, adapter.id);
+  if (existing && existing[0] !== channel.id) throw new Error(describeExistingTracker(existing));
 
-    await interaction.reply({ content: "✅ **Item sold!** Ready to ship." });
-    return;
+  const newData = await fetchMarketplaceListing(url, adapter);
+  if (newData.status !== "active") {
+    throw new Error(`That listing isn't active on ${adapter.name}. Paste the URL of the new listing.`);
   }
 
-  // ---- eBay Mark Shipped button ----
-  if (interaction.isButton() && interaction.customId === "ebay_shipped") {
-    const ebayListing = db.ebayListings?.[interaction.channelId];
-    if (!ebayListing) {
-      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
-      return;
-    }
+  const db = loadDb();
+  const listing = db.ebayListings?.[channel.id];
+  if (!listing) throw new Error("This channel is not an eBay tracking channel.");
+  if (listing.itemId === itemId && getListingAdapter(listing).id === adapter.id) {
+    throw new Error("That's the listing this channel already tracks.");
+  }
 
-    const isOwner = interaction.user.id === ebayListing.ownerId;
-    const isStaff = memberIsStaff(interaction);
+  if (!listing.runs) listing.runs = [];
+  listing.runs.push(buildListingRun(listing));
 
-    if (!isOwner && !isStaff) {
-      await interaction.reply({ ephemeral: true, content: "Only the channel owner or staff can mark items as shipped." });
-      return;
+  Object.assign(listing, {
+    ...buildEbayListingRecord(url, listing.ownerId, newData),
+    history: listing.history,
+    createdAt: listing.createdAt,
+    relistedAt: Date.now(),
+  });
+  // Per-run state starts over with the new listing
+  for (const key of ["endingAlerts", "ledgerEntryId", "ledgerSoldCounts", "missingFromSellerAt"]) {
+    delete listing[key];
+  }
+  recordListingHistory(listing);
+  saveDb(db);
+  ebayScheduler.schedule(channel.id, listing.nextCheckAt);
+
+  // Restore the channel the way /ebay-organize would place an active listing
+  const { categoryId, emoji } = getEbayChannelPlacement(listing);
+  try {
+    if (categoryId && channel.parentId !== categoryId) {
+      await channel.setParent(categoryId, { lockPermissions: false });
     }
+    const newName = emoji + Array.from(channel.name).slice(1).join("");
+    if (newName !== channel.name) await channel.setName(newName);
+    await channel.setTopic(`${getListingAdapter(listing).name} Tracker | owner=${listing.ownerId} | ${url}`);
+  } catch (err) {
+    console.error(`Failed to restore relisted channel ${channel.id}:`, err.message);
+  }
 
-    // Mark as shipped
-    ebayListing.status = "shipped";
-    saveDb(db);
+  return listing;
+}
 
-    // Move channel to archived category
-    try {
-      if (ebayArchivedCategoryId) {
-        await interaction.channel.setParent(ebayArchivedCategoryId, { lockPermissions: false });
-      }
-    } catch (err) {
-      console.error("Failed to move channel to archived category:", err.message);
-    }
+// -------------------------
+// Followers (DM notifications)
+// -------------------------
+const FOLLOW_EVENTS = {
+  bid: "Bid changes",
+  price: "Price changes",
+  ending: "Ending-soon warnings",
+  result: "Final result",
+  sale: "Partial sales (multi-quantity)",
+  variation: "Variation sold / out of stock",
+};
+
+// Event types a user gets DMs for (all of them until they choose)
+function getFollowEvents(db, userId) {
+  return db.followPrefs?.[userId]?.events || Object.keys(FOLLOW_EVENTS);
+}
 
-    // Update the embed and buttons
-    const embed = buildEbayListingEmbed(ebayListing);
-    const buttons = buildEbayListingButtons(ebayListing);
-    await interaction.message.edit({ embeds: [embed], components: [buttons] });
+// DMs every follower of a tracker who wants this event type. Closed DMs are skipped quietly
+async function notifyFollowers(channelId, listing, event, message) {
+  const followers = listing.followers || [];
+  if (!followers.length) return;
 
-    await interaction.reply({ content: "📦 **Item shipped and archived!**" });
-    return;
-  }
+  const db = loadDb();
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setLabel(`Open on ${getListingAdapter(listing).name}`).setStyle(ButtonStyle.Link).setURL(listing.url)
+  );
 
-  // ---- eBay Close Tracking button ----
-  if (interaction.isButton() && interaction.customId === "ebay_close") {
-    const ebayListing = db.ebayListings?.[interaction.channelId];
-    if (!ebayListing) {
-      await interaction.reply({ ephemeral: true, content: "This channel is not an eBay tracking channel." });
-      return;
+  for (const userId of followers) {
+    if (!getFollowEvents(db, userId).includes(event)) continue;
+
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send({
+        content: `**${listing.title}** (<#${channelId}>)\n${message}`,
+        components: [row],
+      });
+    } catch (err) {
+      console.warn(`Could not DM follower ${userId} about ${channelId}:`, err.message);
     }
+  }
+}
 
-    const isOwner = interaction.user.id === ebayListing.ownerId;
-    const isStaff = memberIsStaff(interaction);
+function buildFollowingMessage(db, userId) {
+  const followed = Object.entries(db.ebayListings || {}).filter(([, listing]) =>
+    (listing.followers || []).includes(userId) && listing.status !== "closed"
+  );
 
-    if (!isOwner && !isStaff) {
-      await interaction.reply({ ephemeral: true, content: "Only the channel owner or staff can close tracking." });
-      return;
-    }
+  const lines = followed.map(([channelId, listing]) =>
+    `• <#${channelId}> - ${listing.currentPrice || "N/A"} (${listing.status})`
+  );
 
-    // Mark as closed
-    ebayListing.status = "closed";
-    saveDb(db);
+  const events = getFollowEvents(db, userId);
+  const embed = new EmbedBuilder()
+    .setTitle("Following")
+    .setColor(0x0064d2)
+    .setDescription(
+      lines.length
+        ? lines.join("\n").slice(0, 4000)
+        : "You're not following any listings. Press **Follow** on a tracker to get DMs about it."
+    )
+    .addFields({
+      name: "DM me about",
+      value: events.length ? events.map((key) => FOLLOW_EVENTS[key]).join(", ") : "Nothing (DMs paused)",
+    });
 
-    // Rename channel
-    try {
-      await interaction.channel.setName(`closed-${interaction.channel.name}`.slice(0, 90));
-    } catch {}
+  const select = new StringSelectMenuBuilder()
+    .setCustomId("following_events")
+    .setPlaceholder("Choose which updates to get by DM")
+    .setMinValues(0)
+    .setMaxValues(Object.keys(FOLLOW_EVENTS).length)
+    .addOptions(
+      Object.entries(FOLLOW_EVENTS).map(([value, label]) => ({ label, value, default: events.includes(value) }))
+    );
 
-    await interaction.reply({ content: "🔒 eBay tracking closed for this listing." });
-    return;
-  }
-});
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(select)] };
+}
 
 // -------------------------
-// Collect image uploads (attachments)
+// Auction ending alerts
 // -------------------------
-client.on(Events.MessageCreate, async (message) => {
-  if (message.author.bot) return;
+// "24h, 1h, 10m" → [1440, 60, 10] (minutes, largest first). "off" → []. Returns null if unreadable
+function parseAlertOffsets(input) {
+  const text = Array.isArray(input) ? input.join(",") : String(input || "");
+  if (/^\s*(off|none)\s*$/i.test(text)) return [];
+
+  const minutes = [];
+  for (const part of text.split(/[,\s]+/).filter(Boolean)) {
+    const match = part.match(/^(\d+)(d|h|m)$/i);
+    if (!match) return null;
+    const value = parseInt(match[1], 10) * { d: 1440, h: 60, m: 1 }[match[2].toLowerCase()];
+    if (value > 0 && !minutes.includes(value)) minutes.push(value);
+  }
+
+  return minutes.length ? minutes.sort((a, b) => b - a) : null;
+}
+
+function formatAlertOffset(minutes) {
+  if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+// Listing override, then the guild setting, then config. source says which one applied
+function getEndingAlertSettings(db, listing) {
+  const guildSettings = db.endingAlertSettings?.[guildId] || {};
+  const roleId = guildSettings.roleId !== undefined ? guildSettings.roleId : endingAlertRoleId || null;
 
+  if (listing?.endingAlertOffsets) return { offsets: listing.endingAlertOffsets, roleId, source: "listing" };
+  if (guildSettings.offsets) return { offsets: guildSettings.offsets, roleId, source: "server" };
+  return { offsets: parseAlertOffsets(endingAlertOffsets) || [], roleId, source: "config" };
+}
+
+function describeEndingAlerts(settings) {
+  const role = settings.roleId ? `, pinging <@&${settings.roleId}>` : "";
+  if (!settings.offsets.length) return `**off** (from ${settings.source} setting)`;
+  return `**${settings.offsets.map(formatAlertOffset).join(", ")}** before the end (from ${settings.source} setting)${role}`;
+}
+
+async function sendEndingAlerts() {
   const db = loadDb();
-  const ticket = db.listings[message.channelId];
-  if (!ticket) return;
+  const now = Date.now();
 
-  // Only track images while open-ish
-  if (!["open", "images_done"].includes(ticket.status)) return;
+  for (const [channelId, listing] of Object.entries(db.ebayListings || {})) {
+    const isAuction = listing.listingType === "auction" || listing.listingType === "auction_with_bin";
+    if (!isAuction || listing.status !== "active" || !listing.endTime || listing.endTime <= now) continue;
 
-  const newImages = [];
-  for (const att of message.attachments.values()) {
-    if (isImageAttachment(att)) newImages.push(att.url);
-  }
+    // Sent offsets are tied to the end time they were sent for, so a changed end time re-arms them
+    const sent = listing.endingAlerts?.endTime === listing.endTime ? listing.endingAlerts.sent : [];
+    const { offsets } = getEndingAlertSettings(db, listing);
+    const due = offsets.filter((minutes) => !sent.includes(minutes) && now >= listing.endTime - minutes * 60000);
+    if (!due.length) continue;
 
-  if (!newImages.length) return;
+    try {
+      // Refresh right before pinging so the alert carries the latest bid and end time
+      await updateEbayListing(channelId, listing);
 
-  // Avoid duplicates
-  const existing = new Set(ticket.images);
-  for (const url of newImages) existing.add(url);
-  ticket.images = Array.from(existing);
+      const freshDb = loadDb();
+      const current = freshDb.ebayListings?.[channelId];
+      if (!current || current.status !== "active" || current.endTime !== listing.endTime) continue;
 
-  saveDb(db);
+      // Only ping for the closest offset if several came due at once (e.g. tracked late)
+      current.endingAlerts = { endTime: current.endTime, sent: [...sent, ...due] };
+      saveDb(freshDb);
 
-  // Quiet acknowledgement (react) to avoid spamming channel
-  try {
-    await message.react("📷");
-  } catch {}
-});
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      if (!channel) continue;
+
+      const { roleId } = getEndingAlertSettings(freshDb, current);
+      const end = Math.floor(current.endTime / 1000);
+      await channel.send({
+        content: [
+          `⏰ **Auction ending <t:${end}:R>** (<t:${end}:f>)`,
+          `Current bid: ${current.currentPrice} · Bids: ${current.bidCount || 0}`,
+          [`<@${current.ownerId}>`, roleId && `<@&${roleId}>`].filter(Boolean).join(" "),
+        ].join("\n"),
+        allowedMentions: { users: [current.ownerId], roles: roleId ? [roleId] : [] },
+      });
+
+      await notifyFollowers(channelId, current, "ending", `⏰ Ending <t:${end}:R> - current bid ${current.currentPrice} (${current.bidCount || 0} bids)`);
+    } catch (err) {
+      console.error(`Failed to send ending alert for ${channelId}:`, err.message);
+    }
+  }
+}
+
+function startEndingAlertLoop() {
+  setInterval(() => {
+    sendEndingAlerts().catch((err) => {
+      console.error("Error in ending alert loop:", err.message);
+      writeCrashReport("Ending Alert Loop Error", err);
+    });
+  }, 60 * 1000); // Check every minute
+
+  console.log("Auction ending alerts started.");
+}
 
 // -------------------------
 // eBay Automatic Update Loop
@@ -1699,66 +6051,123 @@ function getUpdateIntervalMs(endTime) {
 
 async function updateEbayListing(channelId, listing) {
   try {
-    const newData = await getEbayListing(listing.url);
-    const oldPrice = listing.currentPrice;
-    const oldBidCount = listing.bidCount;
-    const oldStatus = listing.status;
-
-    // Update listing data
-    listing.title = newData.title;
-    listing.currentPrice = newData.currentPrice;
-    listing.bidCount = newData.bidCount;
-    listing.endTime = newData.endTime;
-    listing.imageUrl = newData.imageUrl;
-    listing.description = newData.description;
-    listing.views = newData.views;
-    listing.watchers = newData.watchers;
-    listing.status = newData.status;
-    listing.source = newData.source;
-    listing.lastChecked = Date.now();
+    const newData = await fetchMarketplaceListing(listing.url, getListingAdapter(listing));
 
+    // Apply the fetched data to the stored record rather than the caller's copy, which may be
+    // stale by now (alert state, overrides, followers and ticket links are changed elsewhere)
     const db = loadDb();
-    db.ebayListings[channelId] = listing;
+    const stored = db.ebayListings?.[channelId];
+    if (!stored || stored.status === "closed") return false;
+
+    const oldPrice = stored.currentPrice;
+    const oldBidCount = stored.bidCount;
+    const oldStatus = stored.status;
+    const oldQuantitySold = stored.quantitySold ?? null;
+    const variationChanges = diffVariations(stored.variations, newData.variations);
+
+    listing = Object.assign(stored, {
+      title: newData.title,
+      currentPrice: newData.currentPrice,
+      bidCount: newData.bidCount,
+      endTime: newData.endTime,
+      imageUrl: newData.imageUrl,
+      description: newData.description,
+      views: newData.views,
+      watchers: newData.watchers,
+      status: newData.status,
+      source: newData.source,
+      marketplaceId: newData.marketplaceId,
+      variations: newData.variations || null,
+      quantityAvailable: newData.quantityAvailable ?? null,
+      quantitySold: newData.quantitySold ?? null,
+      reservePriceMet: newData.reservePriceMet ?? null,
+      multiQuantity: stored.multiQuantity || isMultiQuantity(newData),
+      lastChecked: Date.now(),
+    });
+    listing.nextCheckAt = getNextCheckAt(listing);
+    recordListingHistory(listing);
+    recordConsignmentSale(db, channelId, listing);
+    recordConsignmentUnitSales(db, channelId, listing);
     saveDb(db);
+    ebayScheduler.schedule(channelId, listing.nextCheckAt);
 
     // Check if anything changed worth notifying
-    const priceChanged = oldPrice !== newData.currentPrice;
+    const priceChanged = !isSamePrice(oldPrice, newData.currentPrice);
     const bidCountChanged = oldBidCount !== newData.bidCount;
     const justEnded = oldStatus === "active" && newData.status === "ended";
+    const justSold = oldStatus === "active" && newData.status === "sold";
+    // Partial sales of multi-quantity listings (variation listings report per variation instead)
+    const unitsSold = listing.multiQuantity && !listing.variations?.length && oldQuantitySold !== null && newData.quantitySold > oldQuantitySold
+      ? newData.quantitySold - oldQuantitySold
+      : 0;
+
+    for (const change of variationChanges) {
+      await notifyFollowers(channelId, listing, "variation", describeVariationChange(change));
+    }
+
+    if (unitsSold && !justSold) {
+      await notifyFollowers(channelId, listing, "sale", `🛒 ${unitsSold} sold at **${newData.currentPrice}** - ${listing.quantityAvailable ?? "?"} remaining`);
+    }
+
+    if (priceChanged || bidCountChanged || justEnded || justSold || unitsSold || variationChanges.length) {
+      await syncTicketWithTracker(channelId, listing);
+
+      if (justSold) {
+        await notifyFollowers(channelId, listing, "result", `✅ Sold${listing.multiQuantity ? " out" : ""} at **${newData.currentPrice}**.`);
+      } else if (justEnded) {
+        await notifyFollowers(channelId, listing, "result", `🔔 Auction ended at **${newData.currentPrice}** with ${newData.bidCount} bids${newData.reservePriceMet === false ? " - reserve not met, no sale" : ""}.`);
+      } else if (bidCountChanged) {
+        await notifyFollowers(channelId, listing, "bid", `📢 New bid: ${oldPrice} → **${newData.currentPrice}** (${newData.bidCount} bids)`);
+      } else if (priceChanged) {
+        await notifyFollowers(channelId, listing, "price", `💲 Price changed: ${oldPrice} → **${newData.currentPrice}**`);
+      }
 
-    if (priceChanged || bidCountChanged || justEnded) {
       const guild = await client.guilds.fetch(guildId);
       const channel = await guild.channels.fetch(channelId).catch(() => null);
 
       if (channel) {
-        // Find and update the original embed message
-        const messages = await channel.messages.fetch({ limit: 10 });
-        const embedMsg = messages.find(
-          (m) => m.author.id === client.user.id && m.embeds.length > 0
-        );
-
-        if (embedMsg) {
+        // Update the live embed (a re-posted one is already current)
+        const { message: embedMsg, result } = await repairTrackerEmbed(channel, listing);
+        if (result !== "reposted") {
           const embed = buildEbayListingEmbed(listing);
-          const buttons = buildEbayListingButtons(listing);
-          await embedMsg.edit({ embeds: [embed], components: [buttons] });
+          const components = buildEbayListingComponents(listing);
+          await embedMsg.edit({ embeds: [embed], components });
         }
 
         // Post update notification
         let notification = "";
         if (justEnded) {
-          // Change channel emoji from 🔨 to ✅ for ended auctions
+          // Change channel emoji from 🔨 (or the marketplace's emoji) to ✅ for ended listings
           try {
-            const newName = channel.name.replace(/^🔨/, "✅");
+            const newName = markChannelNameDone(channel.name, listing);
             if (newName !== channel.name) {
               await channel.setName(newName);
             }
           } catch {}
 
           notification = `🔔 **Auction Ended!** Ready to ship.\nFinal Price: ${newData.currentPrice}\nTotal Bids: ${newData.bidCount}`;
+        } else if (justSold) {
+          // Change channel emoji from 💰 to ✅, like Mark Sold does
+          try {
+            const newName = markChannelNameDone(channel.name, listing);
+            if (newName !== channel.name) {
+              await channel.setName(newName);
+            }
+          } catch {}
+
+          notification = listing.multiQuantity
+            ? `✅ **Sold Out!** All units sold (${newData.quantitySold} total). Ready to ship.`
+            : `✅ **Item Sold!** Ready to ship.\nPrice: ${newData.currentPrice}`;
+        } else if (unitsSold) {
+          notification = `🛒 **Sale!** ${unitsSold} sold at ${newData.currentPrice} - **${listing.quantityAvailable ?? "?"}** remaining (${newData.quantitySold} sold in total)`;
         } else if (priceChanged || bidCountChanged) {
           notification = `📢 **Bid Update!**\nPrice: ${oldPrice} → ${newData.currentPrice}\nBids: ${oldBidCount} → ${newData.bidCount}`;
         }
 
+        if (variationChanges.length) {
+          notification = [notification, ...variationChanges.map(describeVariationChange)].filter(Boolean).join("\n");
+        }
+
         if (notification) {
           await channel.send(notification);
         }
@@ -1772,45 +6181,88 @@ async function updateEbayListing(channelId, listing) {
   }
 }
 
-function startEbayUpdateLoop() {
-  // Run every minute, but respect individual listing intervals
-  setInterval(async () => {
-    try {
-      const db = loadDb();
-      if (!db.ebayListings) return;
+// -------------------------
+// eBay update scheduler
+// -------------------------
+// The extra check after an auction's end time lands this long after it, once eBay has closed it
+const EBAY_END_CHECK_DELAY_MS = 15 * 1000;
+// While eBay still shows a listing past its end time as active, it's checked again this often
+const EBAY_ENDED_RECHECK_MS = 60 * 1000;
+
+// Closed, ended, sold and shipped listings aren't polled
+function isEbayListingPolled(listing) {
+  return !["closed", "ended", "sold", "shipped"].includes(listing.status);
+}
 
-      const now = Date.now();
+// When a listing is next due: its update interval from now, pulled in to just after its end time
+function getNextCheckAt(listing, now = Date.now()) {
+  if (!isEbayListingPolled(listing)) return null;
 
-      for (const [channelId, listing] of Object.entries(db.ebayListings)) {
-        try {
-          // Skip closed, ended, sold, or shipped listings
-          if (["closed", "ended", "sold", "shipped"].includes(listing.status)) continue;
-
-          const interval = getUpdateIntervalMs(listing.endTime);
-          if (interval === null) {
-            // Auction ended - do one final update
-            listing.status = "ended";
-            await updateEbayListing(channelId, listing);
-            continue;
-          }
+  const interval = getUpdateIntervalMs(listing.endTime);
+  if (interval === null) return now + EBAY_ENDED_RECHECK_MS;
 
-          // Check if it's time to update this listing
-          const timeSinceLastCheck = now - (listing.lastChecked || 0);
-          if (timeSinceLastCheck >= interval) {
-            await updateEbayListing(channelId, listing);
-          }
-        } catch (err) {
-          console.error(`Error processing listing ${channelId}:`, err.message);
-          writeCrashReport(`eBay Listing Update Error (${channelId})`, err);
-        }
-      }
-    } catch (err) {
-      console.error("Error in eBay update loop:", err.message);
-      writeCrashReport("eBay Update Loop Error", err);
-    }
+  const next = now + interval;
+  return listing.endTime && next > listing.endTime ? listing.endTime + EBAY_END_CHECK_DELAY_MS : next;
+}
+
+// Every polled tracker sits in this queue under its channel ID. updateEbayListing stores the next
+// due time on the record (listing.nextCheckAt) and reschedules it, so the queue survives restarts
+const ebayScheduler = createScheduler({
+  concurrency: ebayUpdateConcurrency,
+  runJob: runEbayListingCheck,
+  onError: (channelId, err) => {
+    console.error(`Error processing listing ${channelId}:`, err.message);
+    writeCrashReport(`eBay Listing Update Error (${channelId})`, err);
+  },
+});
+
+async function runEbayListingCheck(channelId) {
+  const listing = loadDb().ebayListings?.[channelId];
+  if (!listing || !isEbayListingPolled(listing)) return;
+
+  // A failed check is retried on the listing's normal interval
+  const updated = await updateEbayListing(channelId, listing);
+  if (!updated) ebayScheduler.schedule(channelId, getNextCheckAt(listing));
+}
+
+function describeEbaySchedulerStatus() {
+  const stats = ebayScheduler.getStats();
+  const seconds = (ms) => `${Math.round(ms / 1000)}s`;
+  return [
+    `**Update queue:** ${stats.queued} scheduled, ${stats.running} running, ${stats.overdue} overdue`,
+    `**Lag:** oldest overdue check ${seconds(stats.lagMs)} late, last check started ${seconds(stats.lastStartLagMs)} late` +
+      (stats.nextDueAt ? ` · next <t:${Math.floor(stats.nextDueAt / 1000)}:R>` : ""),
+  ];
+}
+
+function startEbayUpdateScheduler() {
+  const db = loadDb();
+  const now = Date.now();
+  let queued = 0;
+  let missed = 0;
+
+  for (const [channelId, listing] of Object.entries(db.ebayListings || {})) {
+    if (!isEbayListingPolled(listing)) continue;
+
+    // Records from before the scheduler only have lastChecked. Anything already due (the bot was
+    // down, or the auction ended meanwhile) runs right away, a few at a time
+    const dueAt = listing.nextCheckAt ?? (listing.lastChecked || 0) + (getUpdateIntervalMs(listing.endTime) ?? 0);
+    ebayScheduler.schedule(channelId, dueAt);
+    queued++;
+    if (dueAt <= now) missed++;
+  }
+
+  ebayScheduler.start();
+
+  // Saved searches keep their own per-search interval
+  setInterval(() => {
+    runDueSavedSearches().catch((err) => {
+      console.error("Error in saved search loop:", err.message);
+      writeCrashReport("eBay Saved Search Loop Error", err);
+    });
   }, 60 * 1000); // Check every minute
 
-  console.log("eBay update loop started.");
+  console.log(`eBay update scheduler started (${queued} listings, ${missed} missed checks to catch up).`);
 }
 
 client.login(token);
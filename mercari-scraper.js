@@ -0,0 +1,124 @@
+const cheerio = require("cheerio");
+const { formatMoney, parsePriceAmount } = require("./money");
+const { findJsonLdProduct, findNestedObject, pickField } = require("./scrape-utils");
+
+// -------------------------
+// Mercari (US) item pages
+// -------------------------
+// Item URLs look like https://www.mercari.com/us/item/m12345678901/ - the "m" ID is the item
+const MERCARI_HOST_PATTERN = /^(?:www\.)?mercari\.com$/i;
+
+// The item ID from a Mercari item URL, or null if it isn't one
+function getMercariItemId(url) {
+  try {
+    const parsed = new URL(url);
+    if (!MERCARI_HOST_PATTERN.test(parsed.hostname)) return null;
+    return parsed.pathname.match(/\/item\/(m\d+)/i)?.[1] || null;
+  } catch {
+    return null;
+  }
+}
+
+function resolveMercariUrl(url) {
+  const itemId = getMercariItemId(url);
+  return itemId ? `https://www.mercari.com/us/item/${itemId}/` : url;
+}
+
+// on_sale is listed; trading means a buyer paid and the sale is in progress
+function getMercariStatus(status) {
+  if (!status) return null;
+  if (/^on_sale$/i.test(status)) return "active";
+  if (/^(sold_out|trading|sold)$/i.test(status)) return "sold";
+  return "ended";
+}
+
+// Parses a Mercari item page into our standard listing format (fieldSources as in parseEbayItemPage).
+// The Next.js page data (__NEXT_DATA__) holds the item with its price in cents
+function parseMercariItemPage(html, url) {
+  const $ = cheerio.load(html);
+  const itemId = getMercariItemId(url);
+  const product = findJsonLdProduct($);
+  const offer = [].concat(product?.offers || [])[0] || null;
+  const fields = {};
+
+  let item = null;
+  try {
+    const nextData = JSON.parse($("script#__NEXT_DATA__").html() || "");
+    item = findNestedObject(nextData, (node) =>
+      typeof node.name === "string" && node.status !== undefined && (!itemId || node.id === itemId));
+  } catch {}
+
+  const title = pickField(fields, "title", [
+    ["json-ld", () => product?.name?.trim()],
+    ["page-state", () => item?.name?.trim()],
+    ["selector", () => $("[data-testid='ItemName']").first().text().trim() ||
+                       $("meta[property='og:title']").attr("content")?.trim()],
+  ], "Unknown Item");
+
+  const currentPrice = pickField(fields, "currentPrice", [
+    ["json-ld", () => {
+      const amount = parseFloat(offer?.price);
+      return isNaN(amount) ? null : formatMoney(amount, offer.priceCurrency || "USD");
+    }],
+    ["page-state", () => typeof item?.price === "number" ? formatMoney(item.price / 100, "USD") : null],
+    ["selector", () => {
+      const amount = parsePriceAmount($("[data-testid='ItemPrice']").first().text());
+      return amount === null ? null : formatMoney(amount, "USD");
+    }],
+  ], "N/A");
+
+  const status = pickField(fields, "status", [
+    ["page-state", () => getMercariStatus(item?.status)],
+    ["json-ld", () => offer?.availability ? (/InStock/i.test(offer.availability) ? "active" : "sold") : null],
+    ["selector", () => $("[data-testid='ItemSoldOutBanner'], [data-testid='SoldOutBanner']").length ? "sold" : null],
+  ], "active");
+
+  const imageUrl = pickField(fields, "imageUrl", [
+    ["json-ld", () => {
+      const image = [].concat(product?.image || [])[0];
+      return typeof image === "object" ? image?.url : image;
+    }],
+    ["page-state", () => item?.photos?.[0]?.imageUrl || item?.thumbnails?.[0]],
+    ["selector", () => $("meta[property='og:image']").attr("content")],
+  ], null);
+
+  let description = pickField(fields, "description", [
+    ["json-ld", () => product?.description?.trim()],
+    ["page-state", () => item?.description?.trim()],
+    ["selector", () => $("[data-testid='ItemDetailsDescription']").text().trim()],
+  ], "");
+
+  description = description.slice(0, 500);
+  if (description.length === 500) description += "...";
+
+  // Likes are the closest thing Mercari has to watchers
+  const watchers = pickField(fields, "watchers", [
+    ["page-state", () => item?.numLikes ?? item?.likes ?? null],
+  ], 0);
+
+  return {
+    title,
+    currentPrice,
+    bidCount: 0,
+    endTime: null,
+    imageUrl,
+    description,
+    views: 0,
+    watchers,
+    status,
+    quantityAvailable: status === "active" ? 1 : 0,
+    quantitySold: status === "sold" ? 1 : 0,
+    source: "scrape",
+    marketplaceId: "MERCARI_US",
+    listingType: "buy_it_now",
+    buyItNowPrice: null,
+    variations: null,
+    fieldSources: fields,
+  };
+}
+
+module.exports = {
+  getMercariItemId,
+  resolveMercariUrl,
+  parseMercariItemPage,
+};
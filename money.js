@@ -0,0 +1,74 @@
+// -------------------------
+// Money parsing and formatting (shared by the bot and the eBay page parser)
+// -------------------------
+const CURRENCY_SYMBOLS = {
+  USD: "$",
+  GBP: "£",
+  EUR: "€",
+  CAD: "C$",
+  AUD: "A$",
+};
+
+function formatMoney(amount, currency = "USD") {
+  const symbol = CURRENCY_SYMBOLS[currency];
+  const value = Math.abs(amount).toFixed(2);
+  const sign = amount < 0 ? "-" : "";
+  return symbol ? `${sign}${symbol}${value}` : `${sign}${value} ${currency}`;
+}
+
+// Rounds to cents
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// "£1,234.50", "EUR 12,50", "12,50 €" → 1234.5 / 12.5 (the last "," or "." followed by 1-2 digits is the decimal mark)
+function parsePriceAmount(text) {
+  const match = String(text || "").match(/\d[\d.,\s]*/);
+  if (!match) return null;
+
+  const raw = match[0].replace(/\s/g, "").replace(/[.,]$/, "");
+  const decimal = raw.match(/[.,](\d{1,2})$/);
+  const whole = (decimal ? raw.slice(0, -decimal[0].length) : raw).replace(/[.,]/g, "");
+  const amount = parseFloat(decimal ? `${whole}.${decimal[1]}` : whole);
+  return isNaN(amount) ? null : amount;
+}
+
+// Currency named in a price string ("USD $12.34", "C$5", "AU $5", "£9.99", "12,50 €"), or null
+function detectCurrency(text) {
+  const str = String(text || "");
+  const code = str.match(/\b([A-Z]{3})\b/)?.[1];
+  if (code) return code;
+  if (/\bC\s?\$/.test(str)) return "CAD";
+  if (/\bAU?\s?\$/.test(str)) return "AUD";
+  if (str.includes("£")) return "GBP";
+  if (str.includes("€")) return "EUR";
+  if (str.includes("$")) return "USD";
+  return null;
+}
+
+// Reads "USD $12.34", "$1,234.56", "£9.99" or "EUR 12,50" into { amount, currency }.
+// fallbackCurrency is used when the text doesn't say (e.g. the listing's marketplace currency)
+function parseMoney(text, fallbackCurrency = "USD") {
+  const amount = parsePriceAmount(text);
+  if (amount === null) return null;
+  return { amount, currency: detectCurrency(text) || fallbackCurrency };
+}
+
+// Whether two stored prices are the same amount. Older records hold "USD $12.34" or raw scraped
+// text where new ones hold "$12.34", so the strings alone can differ for an unchanged price.
+// Falls back to comparing the text when either side has no number in it ("N/A")
+function isSamePrice(a, b) {
+  const amountA = parsePriceAmount(a);
+  const amountB = parsePriceAmount(b);
+  if (amountA === null || amountB === null) return a === b;
+  return amountA === amountB;
+}
+
+module.exports = {
+  formatMoney,
+  roundPrice,
+  parsePriceAmount,
+  detectCurrency,
+  parseMoney,
+  isSamePrice,
+};
@@ -0,0 +1,159 @@
+const cheerio = require("cheerio");
+const { formatMoney, parsePriceAmount } = require("./money");
+const { extractJsonObject, findJsonLdProduct, findNestedObject, pickField } = require("./scrape-utils");
+
+// -------------------------
+// Poshmark item pages
+// -------------------------
+// Listing URLs look like https://poshmark.com/listing/Nike-Air-Max-90-5f1a2b3c4d5e6f7a8b9c0d1e -
+// the slug ends in the 24-character listing ID. Each site's prices are in its own currency
+const POSHMARK_SITES = {
+  "poshmark.com": "USD",
+  "poshmark.ca": "CAD",
+};
+
+function getPoshmarkSite(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+    return POSHMARK_SITES[host] ? { host, currency: POSHMARK_SITES[host] } : null;
+  } catch {
+    return null;
+  }
+}
+
+// The listing ID from a Poshmark listing URL, or null if it isn't one
+function getPoshmarkItemId(url) {
+  if (!getPoshmarkSite(url)) return null;
+  return new URL(url).pathname.match(/\/listing\/(?:[^/]*-)?([0-9a-f]{24})\/?$/i)?.[1] || null;
+}
+
+// Drops share/tracking query strings; the slug is kept since Poshmark links are built with it
+function resolvePoshmarkUrl(url) {
+  if (!getPoshmarkItemId(url)) return url;
+  const parsed = new URL(url);
+  return `https://${getPoshmarkSite(url).host}${parsed.pathname.replace(/\/$/, "")}`;
+}
+
+// The store state Poshmark assigns to window.__INITIAL_STATE__, or null
+function getInitialState($) {
+  let state = null;
+  $("script:not([type='application/ld+json'])").each((i, el) => {
+    const text = $(el).html() || "";
+    const index = text.indexOf("__INITIAL_STATE__");
+    if (index === -1) return;
+    const start = text.indexOf("{", index);
+    state = start === -1 ? null : extractJsonObject(text, start);
+    return !state;
+  });
+  return state;
+}
+
+// inventory.size_quantities has one entry per size with its own available/sold counts
+function sumSizeQuantities(inventory, key) {
+  const sizes = inventory?.size_quantities;
+  if (!Array.isArray(sizes) || !sizes.length) return null;
+  return sizes.reduce((total, size) => total + (Number(size[key]) || 0), 0);
+}
+
+// Parses a Poshmark listing page into our standard listing format (fieldSources as in parseEbayItemPage)
+function parsePoshmarkItemPage(html, url) {
+  const $ = cheerio.load(html);
+  const site = getPoshmarkSite(url) || { currency: "USD" };
+  const itemId = getPoshmarkItemId(url);
+  const product = findJsonLdProduct($);
+  const offer = [].concat(product?.offers || [])[0] || null;
+  const item = findNestedObject(getInitialState($), (node) =>
+    typeof node.title === "string" && node.inventory !== undefined && (!itemId || node.id === itemId));
+  const fields = {};
+
+  const title = pickField(fields, "title", [
+    ["json-ld", () => product?.name?.trim()],
+    ["page-state", () => item?.title?.trim()],
+    ["selector", () => $("h1.listing__title-container").first().text().trim() ||
+                       $("meta[property='og:title']").attr("content")?.trim()],
+  ], "Unknown Item");
+
+  const currentPrice = pickField(fields, "currentPrice", [
+    ["json-ld", () => {
+      const amount = parseFloat(offer?.price);
+      return isNaN(amount) ? null : formatMoney(amount, offer.priceCurrency || site.currency);
+    }],
+    ["page-state", () => {
+      const amount = parseFloat(item?.price_amount?.val ?? item?.price);
+      return isNaN(amount) ? null : formatMoney(amount, item?.price_amount?.currency_code || site.currency);
+    }],
+    ["selector", () => {
+      const amount = parsePriceAmount($(".listing__ipad-centered p.h1, .listing-price").first().text());
+      return amount === null ? null : formatMoney(amount, site.currency);
+    }],
+  ], "N/A");
+
+  const quantityAvailable = pickField(fields, "quantityAvailable", [
+    ["page-state", () => sumSizeQuantities(item?.inventory, "quantity_available")],
+  ], null);
+
+  const quantitySold = pickField(fields, "quantitySold", [
+    ["page-state", () => sumSizeQuantities(item?.inventory, "quantity_sold")],
+  ], null);
+
+  // inventory.status is "available", "sold_out" or "not_for_sale" (taken down by the seller)
+  const status = pickField(fields, "status", [
+    ["page-state", () => {
+      const inventoryStatus = item?.inventory?.status;
+      if (!inventoryStatus) return null;
+      if (inventoryStatus === "available") return "active";
+      return inventoryStatus === "sold_out" ? "sold" : "ended";
+    }],
+    ["json-ld", () => offer?.availability ? (/InStock/i.test(offer.availability) ? "active" : "sold") : null],
+    ["selector", () => $(".sold-tag, .listing__sold-tag").length ? "sold" : null],
+  ], "active");
+
+  const imageUrl = pickField(fields, "imageUrl", [
+    ["json-ld", () => {
+      const image = [].concat(product?.image || [])[0];
+      return typeof image === "object" ? image?.url : image;
+    }],
+    ["page-state", () => item?.cover_shot?.url || item?.pictures?.[0]?.url],
+    ["selector", () => $("meta[property='og:image']").attr("content")],
+  ], null);
+
+  let description = pickField(fields, "description", [
+    ["json-ld", () => product?.description?.trim()],
+    ["page-state", () => item?.description?.trim()],
+    ["selector", () => $(".listing__description").first().text().trim()],
+  ], "");
+
+  description = description.slice(0, 500);
+  if (description.length === 500) description += "...";
+
+  // Likes are the closest thing Poshmark has to watchers
+  const watchers = pickField(fields, "watchers", [
+    ["page-state", () => item?.like_count ?? null],
+  ], 0);
+
+  return {
+    title,
+    currentPrice,
+    bidCount: 0,
+    endTime: null,
+    imageUrl,
+    description,
+    views: 0,
+    watchers,
+    status,
+    quantityAvailable: quantityAvailable ?? (status === "active" ? 1 : 0),
+    quantitySold: quantitySold ?? (status === "sold" ? 1 : 0),
+    source: "scrape",
+    marketplaceId: site.currency === "CAD" ? "POSHMARK_CA" : "POSHMARK_US",
+    listingType: "buy_it_now",
+    buyItNowPrice: null,
+    variations: null,
+    fieldSources: fields,
+  };
+}
+
+module.exports = {
+  getPoshmarkItemId,
+  resolvePoshmarkUrl,
+  parsePoshmarkItemPage,
+};
@@ -0,0 +1,154 @@
+// -------------------------
+// Job scheduler (priority queue on due time)
+// -------------------------
+// Each key (e.g. a tracker channel ID) has at most one due time. A single timer wakes up for the
+// earliest one and due jobs run with bounded concurrency. The scheduler keeps nothing on disk -
+// callers persist due times themselves and schedule them again after a restart (past due times
+// run straight away, which is how missed checks get caught up).
+function createScheduler({
+  concurrency = 4,
+  runJob,
+  onError = (key, err) => console.error(`Scheduled job ${key} failed:`, err.message),
+  now = Date.now,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+} = {}) {
+  // Min-heap of { key, dueAt }. Rescheduling pushes a new entry; the old one is skipped when popped
+  const heap = [];
+  const dueAts = new Map();
+  const running = new Set();
+  // Jobs that came due while the same key was still running
+  const deferred = new Map();
+  let timer = null;
+  let started = false;
+  let lastStartLagMs = 0;
+
+  function push(entry) {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].dueAt <= heap[i].dueAt) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  function pop() {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left].dueAt < heap[smallest].dueAt) smallest = left;
+        if (right < heap.length && heap[right].dueAt < heap[smallest].dueAt) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  // Drops entries that were rescheduled or cancelled so heap[0] is live
+  function skipStale() {
+    while (heap.length && dueAts.get(heap[0].key) !== heap[0].dueAt) pop();
+  }
+
+  function arm() {
+    if (timer) clearTimer(timer);
+    timer = null;
+
+    skipStale();
+    if (!started || !heap.length || running.size >= concurrency) return;
+
+    // setTimeout can't wait longer than ~24.8 days; it just wakes up early and re-arms
+    const delay = Math.min(Math.max(0, heap[0].dueAt - now()), 2 ** 31 - 1);
+    timer = setTimer(pump, delay);
+  }
+
+  function pump() {
+    timer = null;
+    for (;;) {
+      skipStale();
+      if (!started || running.size >= concurrency || !heap.length || heap[0].dueAt > now()) break;
+
+      const { key, dueAt } = pop();
+      dueAts.delete(key);
+      if (running.has(key)) {
+        deferred.set(key, dueAt);
+        continue;
+      }
+      run(key, dueAt);
+    }
+    arm();
+  }
+
+  async function run(key, dueAt) {
+    running.add(key);
+    lastStartLagMs = Math.max(0, now() - dueAt);
+    try {
+      await runJob(key);
+    } catch (err) {
+      onError(key, err);
+    } finally {
+      running.delete(key);
+      if (deferred.has(key)) {
+        // A newer due time set in the meantime wins over the deferred one
+        if (!dueAts.has(key)) schedule(key, deferred.get(key));
+        deferred.delete(key);
+      }
+      pump();
+    }
+  }
+
+  // Sets (or with null, cancels) when key's job next runs
+  function schedule(key, dueAt) {
+    if (dueAt === null || dueAt === undefined) {
+      dueAts.delete(key);
+      deferred.delete(key);
+    } else {
+      dueAts.set(key, dueAt);
+      push({ key, dueAt });
+    }
+    arm();
+  }
+
+  function start() {
+    started = true;
+    pump();
+  }
+
+  function stop() {
+    started = false;
+    arm();
+  }
+
+  // Queue depth and how far behind it is: lagMs is how overdue the oldest waiting job is,
+  // lastStartLagMs how late the most recent job started
+  function getStats() {
+    const time = now();
+    let overdue = 0;
+    let earliest = Infinity;
+    for (const dueAt of dueAts.values()) {
+      earliest = Math.min(earliest, dueAt);
+      if (dueAt <= time) overdue++;
+    }
+    return {
+      queued: dueAts.size,
+      running: running.size,
+      overdue,
+      lagMs: overdue ? time - earliest : 0,
+      lastStartLagMs,
+      nextDueAt: Number.isFinite(earliest) ? earliest : null,
+    };
+  }
+
+  return { schedule, start, stop, getStats };
+}
+
+module.exports = { createScheduler };
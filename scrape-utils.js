@@ -0,0 +1,91 @@
+// -------------------------
+// Helpers shared by the marketplace page parsers
+// -------------------------
+// Index just past the JSON object starting at text[start] ("{"), or -1 if it never closes
+function findJsonObjectEnd(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}" && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+// The JSON object starting at text[start] ("{"), or null if it doesn't parse
+function extractJsonObject(text, start) {
+  const end = findJsonObjectEnd(text, start);
+  if (end === -1) return null;
+  try {
+    return JSON.parse(text.slice(start, end));
+  } catch {
+    return null;
+  }
+}
+
+// The schema.org Product in the page's JSON-LD blocks, or null
+function findJsonLdProduct($) {
+  const nodes = [];
+  $("script[type='application/ld+json']").each((i, el) => {
+    try {
+      const data = JSON.parse($(el).html() || "");
+      for (const node of [].concat(data)) {
+        nodes.push(node, ...[].concat(node?.["@graph"] || []));
+      }
+    } catch {}
+  });
+  return nodes.find((node) => [].concat(node?.["@type"]).includes("Product")) || null;
+}
+
+// First object inside value (depth-first, value itself included) that test() accepts, or null.
+// Page state blobs nest the item at different depths from one page version to the next
+function findNestedObject(value, test, depth = 0) {
+  if (!value || typeof value !== "object" || depth > 20) return null;
+  if (!Array.isArray(value) && test(value)) return value;
+  for (const child of Object.values(value)) {
+    const found = findNestedObject(child, test, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+// How far each kind of source is trusted. Structured data first, CSS selectors as the fallback,
+// loose page text last; "default" means nothing on the page said
+const SOURCE_CONFIDENCE = {
+  "json-ld": "high",
+  "page-state": "high",
+  selector: "medium",
+  text: "low",
+  default: "none",
+};
+
+// First non-empty value from [source, read] candidates; notes where it came from in fields[name]
+function pickField(fields, name, candidates, fallback) {
+  for (const [source, read] of candidates) {
+    const value = read();
+    if (value !== null && value !== undefined && value !== "") {
+      fields[name] = { source, confidence: SOURCE_CONFIDENCE[source] };
+      return value;
+    }
+  }
+  fields[name] = { source: "default", confidence: SOURCE_CONFIDENCE.default };
+  return fallback;
+}
+
+module.exports = {
+  findJsonObjectEnd,
+  extractJsonObject,
+  findJsonLdProduct,
+  findNestedObject,
+  pickField,
+  SOURCE_CONFIDENCE,
+};
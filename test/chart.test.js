@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const { renderHistoryChart, crc32 } = require("../chart");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// [{ type, data, crc }] for every chunk after the signature
+function readChunks(png) {
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("ascii", offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    chunks.push({ type, data, crc: png.readUInt32BE(offset + 8 + length), body: png.subarray(offset + 4, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+const history = [
+  { t: 0, price: 10, currency: "USD", bids: 0, watchers: 1 },
+  { t: 3600000, price: 12.5, currency: "USD", bids: 2, watchers: 3 },
+  { t: 7200000, price: 15, currency: "USD", bids: 5, watchers: 4 },
+];
+
+test("crc32 matches the standard check value", () => {
+  assert.equal(crc32(Buffer.from("123456789", "ascii")), 0xcbf43926);
+});
+
+test("renders a valid RGB PNG of the requested size", () => {
+  const png = renderHistoryChart(history, { width: 320, height: 200 });
+
+  assert.deepEqual(png.subarray(0, 8), PNG_SIGNATURE);
+
+  const chunks = readChunks(png);
+  assert.deepEqual(chunks.map((c) => c.type), ["IHDR", "IDAT", "IEND"]);
+
+  const ihdr = chunks[0].data;
+  assert.equal(ihdr.readUInt32BE(0), 320);
+  assert.equal(ihdr.readUInt32BE(4), 200);
+  assert.equal(ihdr[8], 8);
+  assert.equal(ihdr[9], 2);
+
+  for (const chunk of chunks) {
+    assert.equal(chunk.crc, crc32(chunk.body), `CRC of ${chunk.type}`);
+  }
+
+  // One filter byte plus 3 bytes per pixel on every row
+  assert.equal(zlib.inflateSync(chunks[1].data).length, (320 * 3 + 1) * 200);
+});
+
+test("draws an empty history without throwing", () => {
+  const png = renderHistoryChart([], { currency: "EUR" });
+  assert.equal(readChunks(png)[0].data.readUInt32BE(0), 800);
+});
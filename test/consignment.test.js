@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calculateEbayFees, calculateConsignmentSplit, isCompletedSale } = require("../consignment");
+
+// The bot's default consignmentConfig
+const SETTINGS = {
+  feeTiers: [
+    { upTo: 7500, percent: 13.25 },
+    { upTo: null, percent: 2.35 },
+  ],
+  perOrderFees: [
+    { upTo: 10, fee: 0.3 },
+    { upTo: null, fee: 0.4 },
+  ],
+  defaultShippingCost: 0,
+  commissionPercent: 20,
+  commissionBase: "net",
+};
+
+test("calculateEbayFees adds the per-order fee for the sale's size", () => {
+  assert.equal(calculateEbayFees(8, SETTINGS), 1.36); // 1.06 + 0.30
+  assert.equal(calculateEbayFees(10, SETTINGS), 1.63); // 1.325 + 0.30, still the small-order fee
+  assert.equal(calculateEbayFees(100, SETTINGS), 13.65); // 13.25 + 0.40
+});
+
+test("calculateEbayFees charges each tier only on the part of the sale inside it", () => {
+  // 7500 × 13.25% + 2500 × 2.35% + 0.40
+  assert.equal(calculateEbayFees(10000, SETTINGS), 1052.9);
+  assert.equal(calculateEbayFees(7500, SETTINGS), 994.15);
+});
+
+test("calculateConsignmentSplit takes commission on the net after fees and shipping", () => {
+  assert.deepEqual(calculateConsignmentSplit(100, 5, SETTINGS), {
+    salePrice: 100,
+    ebayFees: 13.65,
+    shippingCost: 5,
+    commission: 16.27, // 20% of 81.35
+    net: 65.08,
+  });
+});
+
+test("calculateConsignmentSplit takes commission on the sale price when the base is gross", () => {
+  const split = calculateConsignmentSplit(100, 5, { ...SETTINGS, commissionBase: "gross" });
+  assert.equal(split.commission, 20);
+  assert.equal(split.net, 61.35);
+});
+
+test("calculateConsignmentSplit takes no commission on a loss", () => {
+  // Shipping costs more than the sale brought in; the owner's balance goes down by the difference
+  const split = calculateConsignmentSplit(1, 5, SETTINGS);
+  assert.equal(split.ebayFees, 0.43);
+  assert.equal(split.commission, 0);
+  assert.equal(split.net, -4.43);
+});
+
+test("isCompletedSale counts sold listings and auctions that ended with bids", () => {
+  assert.equal(isCompletedSale({ status: "sold", listingType: "buy_it_now" }), true);
+  assert.equal(isCompletedSale({ status: "ended", listingType: "auction", bidCount: 3 }), true);
+  assert.equal(isCompletedSale({ status: "ended", listingType: "auction", bidCount: 3, reservePriceMet: true }), true);
+  assert.equal(isCompletedSale({ status: "ended", listingType: "auction_with_bin", bidCount: 1, reservePriceMet: null }), true);
+});
+
+test("isCompletedSale skips unsold listings and auctions whose reserve wasn't met", () => {
+  assert.equal(isCompletedSale({ status: "ended", listingType: "auction", bidCount: 9, reservePriceMet: false }), false);
+  assert.equal(isCompletedSale({ status: "ended", listingType: "auction", bidCount: 0 }), false);
+  assert.equal(isCompletedSale({ status: "ended", listingType: "buy_it_now", bidCount: 0, quantitySold: 3 }), false);
+  assert.equal(isCompletedSale({ status: "active", listingType: "auction", bidCount: 5 }), false);
+});
@@ -0,0 +1,136 @@
+// Browse API lookups against the local eBay mock (ebay-mock-api), replaying its recordings
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createMockServer } = require("../ebay-mock-api/server");
+const { createHttpClient } = require("../ebay-http");
+const { EBAY_MARKETPLACES } = require("../ebay-scraper");
+const { createEbayBrowseClient, parseBrowseItem, diffVariations, summarizeComps } = require("../ebay-browse");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = createMockServer({ log: () => {} });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+function createTestBrowseClient(options = {}) {
+  const http = createHttpClient({ maxRetries: 0, defaultRateLimit: { perSecond: 1000, burst: 1000 } });
+  return createEbayBrowseClient({
+    baseUrl,
+    request: http.request,
+    getAccessToken: async () => "test-token",
+    marketplaceId: "EBAY_US",
+    ...options,
+  });
+}
+
+test("comps from a recorded search: median, low, high and the top matches", async () => {
+  const items = await createTestBrowseClient().searchItems("Nintendo Game Boy Color");
+  const summary = summarizeComps(items);
+
+  assert.equal(summary.count, 10);
+  assert.equal(summary.currency, "USD");
+  assert.equal(summary.median, 63.5);
+  assert.equal(summary.low, 24.99);
+  assert.equal(summary.high, 210);
+
+  // eBay's best match order, not price order
+  assert.deepEqual(summary.top.map((m) => m.price), [64.99, 59, 44.95, 119.99, 55]);
+  assert.deepEqual(summary.top[0], {
+    title: "Nintendo Game Boy Color Console - Atomic Purple - Tested Working",
+    price: 64.99,
+    condition: "Used",
+    url: "https://www.ebay.com/itm/256789012341",
+  });
+});
+
+test("searches are saved for the mock when a record directory is set", async (t) => {
+  const recordDir = fs.mkdtempSync(path.join(os.tmpdir(), "ebay-record-"));
+  t.after(() => fs.rmSync(recordDir, { recursive: true, force: true }));
+
+  await createTestBrowseClient({ recordDir }).searchItems("Game Boy Color!");
+
+  const saved = JSON.parse(fs.readFileSync(path.join(recordDir, "item_summary_search", "game-boy-color.json"), "utf8"));
+  assert.equal(saved.itemSummaries.length, 10);
+});
+
+test("summarizeComps uses the most common currency and skips unpriced items", () => {
+  const summary = summarizeComps([
+    { title: "A", price: { value: "10.00", currency: "GBP" } },
+    { title: "B", price: { value: "30.00", currency: "USD" } },
+    { title: "C", price: { value: "20.00", currency: "GBP" } },
+    { title: "D" },
+  ]);
+
+  assert.equal(summary.currency, "GBP");
+  assert.equal(summary.count, 2);
+  assert.equal(summary.median, 15);
+  assert.deepEqual(summary.top.map((m) => m.title), ["A", "C"]);
+  assert.equal(summarizeComps([{ title: "D" }]), null);
+});
+
+test("a multi-variation listing is fetched as its item group", async () => {
+  // The mock answers the single-item lookup with error 11006, like eBay
+  const listing = await createTestBrowseClient().getItem("305512345678", EBAY_MARKETPLACES["ebay.com"]);
+
+  assert.equal(listing.source, "api");
+  assert.equal(listing.title, "Retro Console Logo T-Shirt - Unisex Cotton Tee");
+  assert.equal(listing.currentPrice, "$19.99"); // the cheapest variation
+  assert.equal(listing.status, "active");
+  assert.equal(listing.quantityAvailable, 6);
+  assert.equal(listing.quantitySold, 17);
+  assert.deepEqual(listing.variations, [
+    { id: "41000000001", label: "Size: M · Color: Red", price: "$19.99", available: 4, sold: 6, inStock: true },
+    { id: "41000000002", label: "Size: L · Color: Red", price: "$19.99", available: 0, sold: 10, inStock: false },
+    { id: "41000000003", label: "Size: M · Color: Blue", price: "$21.99", available: 2, sold: 1, inStock: true },
+  ]);
+});
+
+test("an unknown item is an API error", async () => {
+  await assert.rejects(
+    createTestBrowseClient().getItem("111111111111", EBAY_MARKETPLACES["ebay.com"]),
+    /eBay API error: 404/
+  );
+});
+
+test("diffVariations reports per-variation sales and stock-outs between checks", async () => {
+  const { variations } = await createTestBrowseClient().getItem("305512345678", EBAY_MARKETPLACES["ebay.com"]);
+  const before = variations.map((v) => ({ ...v }));
+  before[0].sold = 4; // M Red: 2 sold since
+  before[1] = { ...before[1], available: 1, sold: 9, inStock: true }; // L Red: last one sold
+
+  assert.deepEqual(diffVariations(before, variations), [
+    { type: "sold", variation: variations[0], count: 2 },
+    { type: "sold", variation: variations[1], count: 1 },
+    { type: "out_of_stock", variation: variations[1] },
+  ]);
+
+  // Nothing to compare on the first check, or for variations that weren't there before
+  assert.deepEqual(diffVariations(null, variations), []);
+  assert.deepEqual(diffVariations(before.slice(0, 1), variations).map((c) => c.variation.id), ["41000000001"]);
+});
+
+test("parseBrowseItem reads auctions, including an unmet reserve", () => {
+  const listing = parseBrowseItem({
+    title: "1986 Fleer Michael Jordan #57",
+    price: { value: "1850.00", currency: "USD" },
+    buyingOptions: ["AUCTION"],
+    bidCount: 9,
+    itemEndDate: "2020-01-01T00:00:00.000Z",
+    reservePriceMet: false,
+  }, EBAY_MARKETPLACES["ebay.com"]);
+
+  assert.equal(listing.listingType, "auction");
+  assert.equal(listing.status, "ended");
+  assert.equal(listing.bidCount, 9);
+  assert.equal(listing.endTime, Date.UTC(2020, 0, 1));
+  assert.equal(listing.reservePriceMet, false);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createHttpClient, parseRetryAfter, getBackoffDelay } = require("../ebay-http");
+
+// A client on a fake clock: sleep() advances time instantly and is recorded
+function createTestClient(responses, options = {}) {
+  let time = 0;
+  const sleeps = [];
+  const calls = [];
+  const client = createHttpClient({
+    fetchImpl: async (url, init) => {
+      calls.push({ url, init });
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    },
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      time += ms;
+    },
+    now: () => time,
+    ...options,
+  });
+  const advance = (ms) => {
+    time += ms;
+  };
+  return { client, sleeps, calls, advance };
+}
+
+const page = (status, body = "", headers = {}) => new Response(body, { status, headers });
+
+test("parseRetryAfter reads seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test("getBackoffDelay doubles per attempt, stays within the cap and keeps half of each step", () => {
+  assert.equal(getBackoffDelay(0, 1000, 30000, () => 0), 500);
+  assert.equal(getBackoffDelay(2, 1000, 30000, () => 1), 4000);
+  assert.equal(getBackoffDelay(10, 1000, 30000, () => 1), 30000);
+});
+
+test("retries 503s and honours Retry-After", async () => {
+  const { client, sleeps, calls } = createTestClient([
+    page(503, "busy", { "Retry-After": "2" }),
+    page(200, "ok"),
+  ]);
+
+  const response = await client.request("https://api.ebay.com/x");
+  assert.equal(await response.text(), "ok");
+  assert.equal(calls.length, 2);
+  assert.deepEqual(sleeps, [2000]);
+});
+
+test("hands back the last error response once retries run out", async () => {
+  const { client, calls } = createTestClient([page(429), page(429), page(429)], { maxRetries: 2 });
+
+  const response = await client.request("https://api.ebay.com/x");
+  assert.equal(response.status, 429);
+  assert.equal(calls.length, 3);
+  assert.equal(client.getStats().rateLimited, 3);
+});
+
+test("doesn't wait out a Retry-After longer than the backoff cap", async () => {
+  const { client, calls } = createTestClient([page(429, "", { "Retry-After": "3600" })]);
+
+  const response = await client.request("https://api.ebay.com/x");
+  assert.equal(response.status, 429);
+  assert.equal(calls.length, 1);
+});
+
+test("network errors are retried for GET but not for POST", async () => {
+  const get = createTestClient([new TypeError("fetch failed"), page(200)]);
+  assert.equal((await get.client.request("https://api.ebay.com/x")).status, 200);
+
+  const post = createTestClient([new TypeError("fetch failed"), page(200)]);
+  await assert.rejects(post.client.request("https://api.ebay.com/x", { method: "POST" }), /fetch failed/);
+  assert.equal(post.calls.length, 1);
+});
+
+test("counts quota use for every request sent", async () => {
+  const used = [];
+  const { client } = createTestClient([page(500), page(200)], { onQuotaUse: (quota) => used.push(quota) });
+
+  await client.request("https://api.ebay.com/x", {}, { quota: "browse" });
+  assert.deepEqual(used, ["browse", "browse"]);
+});
+
+test("the token bucket spaces out requests past the burst", async () => {
+  const { client, sleeps } = createTestClient([page(200), page(200), page(200)], {
+    defaultRateLimit: { perSecond: 2, burst: 2 },
+  });
+
+  for (let i = 0; i < 3; i++) await client.request("https://www.ebay.com/itm/1");
+  assert.deepEqual(sleeps, [500]);
+});
+
+test("captchas open the scrape circuit breaker until the cooldown passes", async () => {
+  const captcha = () => page(200, "<div class='g-recaptcha'></div>");
+  const { client, calls, advance } = createTestClient([captcha(), captcha(), page(200, "<h1>Item</h1>")], {
+    breakerThreshold: 2,
+    breakerCooldownMs: 60000,
+    defaultRateLimit: { perSecond: 100, burst: 100 },
+  });
+  const scrape = () => client.request("https://www.ebay.com/itm/1", {}, { scrape: true });
+
+  await assert.rejects(scrape(), { code: "EBAY_CAPTCHA" });
+  await assert.rejects(scrape(), { code: "EBAY_CAPTCHA" });
+  await assert.rejects(scrape(), { code: "EBAY_CIRCUIT_OPEN" });
+  assert.equal(calls.length, 2);
+  assert.ok(client.getStats().breakers[0].openUntil);
+
+  advance(60000);
+  assert.equal((await scrape()).status, 200);
+  assert.deepEqual(client.getStats().breakers, []);
+});
@@ -0,0 +1,65 @@
+// eBay page parser edge cases; the fixture pages are run by scraper-fixtures.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { parseEbayItemUrl, parseEbayItemPage } = require("../ebay-scraper");
+
+test("every field reports a source and confidence", () => {
+  const html = fs.readFileSync(path.join(__dirname, "fixtures", "ebay", "auction-structured.html"), "utf8");
+  const listing = parseEbayItemPage(html, "https://www.ebay.com/itm/1", { now: 0 });
+
+  for (const field of ["title", "currentPrice", "bidCount", "endTime", "listingType", "ended", "soldOut"]) {
+    assert.ok(listing.fieldSources[field], `${field} has no source`);
+    assert.match(listing.fieldSources[field].confidence, /^(high|medium|low|none)$/);
+  }
+});
+
+test("loose page text never outranks structured data", () => {
+  // "Buy It Now" in a carousel used to turn auctions into auction_with_bin
+  const html = `<script>{"buyingOptions":["AUCTION"]}</script><div class="carousel">Buy It Now</div>`;
+  const listing = parseEbayItemPage(html, "https://www.ebay.com/itm/1", { now: 0 });
+
+  assert.equal(listing.listingType, "auction");
+  assert.deepEqual(listing.fieldSources.listingType, { source: "page-state", confidence: "high" });
+});
+
+test("a page with nothing recognisable falls back to defaults", () => {
+  const listing = parseEbayItemPage("<html><body><p>Access denied</p></body></html>", "https://www.ebay.com/itm/1", { now: 0 });
+
+  assert.equal(listing.title, "Unknown Item");
+  assert.equal(listing.currentPrice, "N/A");
+  assert.equal(listing.status, "active");
+  assert.equal(listing.fieldSources.title.confidence, "none");
+  assert.equal(listing.fieldSources.listingType.confidence, "none");
+});
+
+test("item IDs come from every eBay link form", () => {
+  const item = (domain, itemId) => ({ domain, itemId, epid: null });
+
+  assert.deepEqual(parseEbayItemUrl("256000000001"), item("ebay.com", "256000000001"));
+  assert.deepEqual(parseEbayItemUrl("https://www.ebay.com/itm/256000000001"), item("ebay.com", "256000000001"));
+  assert.deepEqual(parseEbayItemUrl("https://www.ebay.co.uk/itm/Vintage-Seiko-Watch/256000000001?hash=x"), item("ebay.co.uk", "256000000001"));
+  assert.deepEqual(parseEbayItemUrl("ebay.de/itm/256000000001"), item("ebay.de", "256000000001"));
+  // Mobile share links
+  assert.deepEqual(parseEbayItemUrl("https://m.ebay.com/itm/256000000001?mkcid=16&mkevt=1"), item("ebay.com", "256000000001"));
+  // Legacy ViewItem links
+  assert.deepEqual(parseEbayItemUrl("https://cgi.ebay.com/ws/eBayISAPI.dll?ViewItem&item=256000000001"), item("ebay.com", "256000000001"));
+});
+
+test("product links give the listing when they name one, otherwise the ePID", () => {
+  assert.deepEqual(parseEbayItemUrl("https://www.ebay.com/p/8051486339?iid=256000000001"),
+    { domain: "ebay.com", itemId: "256000000001", epid: "8051486339" });
+  assert.deepEqual(parseEbayItemUrl("https://www.ebay.com/p/8051486339"), { domain: "ebay.com", itemId: null, epid: "8051486339" });
+  assert.deepEqual(parseEbayItemUrl("https://www.ebay.fr/p/Apple-iPhone-13/8051486339"), { domain: "ebay.fr", itemId: null, epid: "8051486339" });
+});
+
+test("links that aren't eBay items are rejected", () => {
+  assert.equal(parseEbayItemUrl("https://www.ebay.com/sch/i.html?_ssn=someseller"), null);
+  assert.equal(parseEbayItemUrl("https://www.notebay.com/itm/256000000001"), null);
+  assert.equal(parseEbayItemUrl("https://www.mercari.com/us/item/m48213907514/"), null);
+  // Short links have to be followed first (resolveEbayListingUrl does that)
+  assert.equal(parseEbayItemUrl("https://ebay.us/m/AbC123"), null);
+  assert.equal(parseEbayItemUrl("12345"), null);
+});
@@ -0,0 +1,104 @@
+// The ticket → draft → publish flow against the local eBay mock (ebay-mock-api), fully offline
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMockServer } = require("../ebay-mock-api/server");
+const { createHttpClient } = require("../ebay-http");
+const { createEbaySellClient, buildOfferFromTicket } = require("../ebay-sell");
+
+const DEFAULTS = {
+  marketplaceId: "EBAY_US",
+  currency: "USD",
+  contentLanguage: "en-US",
+  condition: "USED_EXCELLENT",
+  categoryId: "",
+  price: "",
+  fulfillmentPolicyId: "F1",
+  paymentPolicyId: "P1",
+  returnPolicyId: "R1",
+  merchantLocationKey: "warehouse",
+};
+
+const ticket = {
+  itemName: "Nintendo Switch OLED",
+  itemDesc: "Barely used, with dock.",
+  condition: "LIKE_NEW",
+  ebayCategoryId: "139971",
+  targetPrice: "265.00",
+  quantity: 1,
+};
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = createMockServer({ log: () => {} });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+function createTestSellClient(defaults = DEFAULTS) {
+  const http = createHttpClient({ maxRetries: 0, defaultRateLimit: { perSecond: 1000, burst: 1000 } });
+  return createEbaySellClient({
+    baseUrl,
+    request: http.request,
+    getAccessToken: async () => "test-token",
+    defaults,
+  });
+}
+
+const getJson = async (path) => (await fetch(`${baseUrl}${path}`, { headers: { Authorization: "Bearer test-token" } })).json();
+
+test("buildOfferFromTicket leaves out what isn't set", () => {
+  const offer = buildOfferFromTicket({ itemName: "Thing" }, "SKU-1", { ...DEFAULTS, fulfillmentPolicyId: "", paymentPolicyId: "", returnPolicyId: "", merchantLocationKey: "" });
+  assert.deepEqual(offer, {
+    sku: "SKU-1",
+    marketplaceId: "EBAY_US",
+    format: "FIXED_PRICE",
+    availableQuantity: 1,
+    listingDescription: "Thing",
+  });
+});
+
+test("a suggested price is only used when it's in the selling currency", () => {
+  const usd = buildOfferFromTicket({ itemName: "Thing", suggestedPrice: "20.00", suggestedPriceCurrency: "USD" }, "SKU-1", DEFAULTS);
+  assert.deepEqual(usd.pricingSummary, { price: { value: "20.00", currency: "USD" } });
+
+  const gbp = buildOfferFromTicket({ itemName: "Thing", suggestedPrice: "20.00", suggestedPriceCurrency: "GBP" }, "SKU-1", DEFAULTS);
+  assert.equal(gbp.pricingSummary, undefined);
+});
+
+test("creates a draft, updates it in place and publishes it", async () => {
+  const sell = createTestSellClient();
+
+  const draft = await sell.createDraftFromTicket("123", ticket, ["https://img.example/1.jpg"]);
+  assert.equal(draft.sku, "SB-123");
+  assert.match(draft.offerId, /^\d+$/);
+
+  const item = await getJson("/sell/inventory/v1/inventory_item/SB-123");
+  assert.equal(item.product.title, "Nintendo Switch OLED");
+  assert.equal(item.condition, "LIKE_NEW");
+
+  // Pressing Update Draft again reuses the offer
+  const updated = await sell.createDraftFromTicket("123", { ...ticket, targetPrice: "249.00", ebayDraft: draft }, ["https://img.example/1.jpg"]);
+  assert.deepEqual(updated, draft);
+  const offer = await getJson(`/sell/inventory/v1/offer/${draft.offerId}`);
+  assert.equal(offer.pricingSummary.price.value, "249.00");
+  assert.equal(offer.status, "UNPUBLISHED");
+
+  const listingId = await sell.publishOffer(draft.offerId);
+  assert.match(listingId, /^\d{12}$/);
+  assert.equal((await getJson(`/buy/browse/v1/item/v1|${listingId}|0`)).title, "Nintendo Switch OLED");
+
+  // Already published (e.g. from Seller Hub): the same listing comes back
+  assert.equal(await sell.publishOffer(draft.offerId), listingId);
+});
+
+test("publishing an offer without policies reports eBay's error", async () => {
+  const sell = createTestSellClient({ ...DEFAULTS, fulfillmentPolicyId: "", paymentPolicyId: "", returnPolicyId: "" });
+  const { offerId } = await sell.createDraftFromTicket("456", ticket, ["https://img.example/2.jpg"]);
+
+  await assert.rejects(sell.publishOffer(offerId), /eBay Sell API error: 400 .*listingPolicies/);
+});
@@ -0,0 +1,33 @@
+// URL handling and edge cases for the non-eBay marketplaces; the fixture pages are run by
+// scraper-fixtures.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getMercariItemId, resolveMercariUrl, parseMercariItemPage } = require("../mercari-scraper");
+const { getPoshmarkItemId, resolvePoshmarkUrl } = require("../poshmark-scraper");
+
+test("Mercari item IDs come from /item/ URLs only", () => {
+  assert.equal(getMercariItemId("https://www.mercari.com/us/item/m48213907514/?ref=share"), "m48213907514");
+  assert.equal(getMercariItemId("https://mercari.com/us/item/m48213907514"), "m48213907514");
+  assert.equal(getMercariItemId("https://www.mercari.com/search/?keyword=switch"), null);
+  assert.equal(getMercariItemId("https://www.ebay.com/itm/m48213907514"), null);
+  assert.equal(resolveMercariUrl("https://mercari.com/us/item/m48213907514?ref=share"), "https://www.mercari.com/us/item/m48213907514/");
+});
+
+test("Poshmark listing IDs come from the end of the listing slug", () => {
+  const url = "https://poshmark.com/listing/Lululemon-Align-Pant-25-64f1a2b3c4d5e6f7a8b9c0d1?utm_source=share";
+  assert.equal(getPoshmarkItemId(url), "64f1a2b3c4d5e6f7a8b9c0d1");
+  assert.equal(getPoshmarkItemId("https://poshmark.ca/listing/64f1a2b3c4d5e6f7a8b9c0d1/"), "64f1a2b3c4d5e6f7a8b9c0d1");
+  assert.equal(getPoshmarkItemId("https://poshmark.com/closet/someseller"), null);
+  assert.equal(resolvePoshmarkUrl(url), "https://poshmark.com/listing/Lululemon-Align-Pant-25-64f1a2b3c4d5e6f7a8b9c0d1");
+});
+
+test("another item's state on the page is never mistaken for the listing", () => {
+  // Only a similar (sold) item is in the page data
+  const html = `<script id="__NEXT_DATA__" type="application/json">{"props":{"similar":[{"id":"m11111111111","name":"Switch Lite","price":18000,"status":"sold_out"}]}}</script>`;
+  const listing = parseMercariItemPage(html, "https://www.mercari.com/us/item/m48213907514/");
+
+  assert.equal(listing.title, "Unknown Item");
+  assert.equal(listing.status, "active");
+  assert.equal(listing.fieldSources.status.confidence, "none");
+});
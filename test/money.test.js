@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { formatMoney, parseMoney, isSamePrice } = require("../money");
+
+test("formatMoney uses the currency's symbol, or its code when there isn't one", () => {
+  assert.equal(formatMoney(12.3, "USD"), "$12.30");
+  assert.equal(formatMoney(-5, "GBP"), "-£5.00");
+  assert.equal(formatMoney(7, "CHF"), "7.00 CHF");
+});
+
+test("parseMoney reads the amount and currency", () => {
+  assert.deepEqual(parseMoney("USD $1,234.56"), { amount: 1234.56, currency: "USD" });
+  assert.deepEqual(parseMoney("12,50 €"), { amount: 12.5, currency: "EUR" });
+  assert.equal(parseMoney("N/A"), null);
+});
+
+test("isSamePrice ignores the format a price was stored in", () => {
+  // Records from before prices were normalized hold the API's "USD $12.34"
+  assert.equal(isSamePrice("USD $12.34", "$12.34"), true);
+  assert.equal(isSamePrice("US $1,200.00", "$1200.00"), true);
+  assert.equal(isSamePrice("USD $12.34", "$12.35"), false);
+  assert.equal(isSamePrice("N/A", "N/A"), true);
+  assert.equal(isSamePrice("N/A", "$12.34"), false);
+});
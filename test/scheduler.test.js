@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createScheduler } = require("../scheduler");
+
+// A scheduler on a fake clock. tick(ms) moves time forward and fires the pending timer
+function createTestScheduler(options = {}) {
+  let time = 0;
+  let timer = null;
+  const ran = [];
+  const scheduler = createScheduler({
+    runJob: async (key) => {
+      ran.push([key, time]);
+    },
+    now: () => time,
+    setTimer: (fn, delay) => {
+      timer = { fn, at: time + delay };
+      return timer;
+    },
+    clearTimer: (handle) => {
+      if (timer === handle) timer = null;
+    },
+    ...options,
+  });
+
+  async function tick(ms) {
+    const end = time + ms;
+    while (timer && timer.at <= end) {
+      time = timer.at;
+      const { fn } = timer;
+      timer = null;
+      fn();
+      // Let finished jobs re-pump the queue
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    time = end;
+  }
+
+  return { scheduler, ran, tick, now: () => time };
+}
+
+test("runs jobs in due order when they come due", async () => {
+  const { scheduler, ran, tick } = createTestScheduler();
+  scheduler.schedule("b", 2000);
+  scheduler.schedule("a", 1000);
+  scheduler.schedule("c", 3000);
+  scheduler.start();
+
+  await tick(2500);
+  assert.deepEqual(ran, [["a", 1000], ["b", 2000]]);
+  assert.equal(scheduler.getStats().queued, 1);
+});
+
+test("rescheduling replaces the old due time and null cancels", async () => {
+  const { scheduler, ran, tick } = createTestScheduler();
+  scheduler.schedule("a", 1000);
+  scheduler.schedule("a", 5000);
+  scheduler.schedule("b", 2000);
+  scheduler.schedule("b", null);
+  scheduler.start();
+
+  await tick(4000);
+  assert.deepEqual(ran, []);
+  await tick(1000);
+  assert.deepEqual(ran, [["a", 5000]]);
+});
+
+test("past due jobs run as soon as it starts (catch-up after a restart)", async () => {
+  const { scheduler, ran, tick } = createTestScheduler();
+  scheduler.schedule("missed", -60000);
+  scheduler.start();
+  await tick(0);
+
+  assert.deepEqual(ran, [["missed", 0]]);
+  assert.equal(scheduler.getStats().lastStartLagMs, 60000);
+});
+
+test("never runs more than `concurrency` jobs at once and reports the backlog", async () => {
+  const releases = [];
+  const { scheduler, tick } = createTestScheduler({
+    concurrency: 2,
+    runJob: () => new Promise((resolve) => releases.push(resolve)),
+  });
+  for (const key of ["a", "b", "c", "d"]) scheduler.schedule(key, 0);
+  scheduler.start();
+  await tick(5000);
+
+  const stats = scheduler.getStats();
+  assert.equal(stats.running, 2);
+  assert.equal(stats.queued, 2);
+  assert.equal(stats.overdue, 2);
+  assert.equal(stats.lagMs, 5000);
+
+  releases.shift()();
+  await tick(0);
+  assert.equal(scheduler.getStats().queued, 1);
+});
+
+test("a job that reschedules itself runs again", async () => {
+  const { scheduler, ran, tick, now } = createTestScheduler({
+    runJob: async (key) => {
+      ran.push([key, now()]);
+      if (ran.length < 3) scheduler.schedule(key, now() + 1000);
+    },
+  });
+  scheduler.schedule("loop", 1000);
+  scheduler.start();
+
+  await tick(10000);
+  assert.deepEqual(ran.map(([, at]) => at), [1000, 2000, 3000]);
+});
+
+test("errors are reported and don't stop the queue", async () => {
+  const errors = [];
+  const ran = [];
+  const { scheduler, tick } = createTestScheduler({
+    runJob: async (key) => {
+      if (key === "bad") throw new Error("boom");
+      ran.push(key);
+    },
+    onError: (key, err) => errors.push([key, err.message]),
+  });
+  scheduler.schedule("bad", 100);
+  scheduler.schedule("good", 200);
+  scheduler.start();
+
+  await tick(1000);
+  assert.deepEqual(errors, [["bad", "boom"]]);
+  assert.deepEqual(ran, ["good"]);
+});
@@ -0,0 +1,44 @@
+// Offline parser tests for every marketplace: each test/fixtures/<marketplace>/<name>.html is a saved
+// item page and <name>.json holds the URL it came from, the clock to parse it at (eBay only), the
+// expected fields and (optionally) the source each field should come from. Add a fixture whenever a
+// site's markup breaks its parser.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { parseEbayItemPage } = require("../ebay-scraper");
+const { parseMercariItemPage } = require("../mercari-scraper");
+const { parsePoshmarkItemPage } = require("../poshmark-scraper");
+
+const PARSERS = {
+  ebay: parseEbayItemPage,
+  mercari: parseMercariItemPage,
+  poshmark: parsePoshmarkItemPage,
+};
+
+for (const [marketplace, parse] of Object.entries(PARSERS)) {
+  const fixturesDir = path.join(__dirname, "fixtures", marketplace);
+  const fixtures = fs.readdirSync(fixturesDir)
+    .filter((file) => file.endsWith(".html"))
+    .map((file) => path.basename(file, ".html"));
+
+  for (const name of fixtures) {
+    test(`parses ${marketplace}/${name}`, () => {
+      const html = fs.readFileSync(path.join(fixturesDir, `${name}.html`), "utf8");
+      const { url, now, expected, sources = {} } = JSON.parse(
+        fs.readFileSync(path.join(fixturesDir, `${name}.json`), "utf8")
+      );
+
+      const listing = parse(html, url, { now });
+
+      assert.equal(listing.source, "scrape");
+      for (const [field, value] of Object.entries(expected)) {
+        assert.deepEqual(listing[field], value, `${field}`);
+      }
+      for (const [field, source] of Object.entries(sources)) {
+        assert.equal(listing.fieldSources[field]?.source, source, `source of ${field}`);
+      }
+    });
+  }
+}